@@ -1,6 +1,12 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { Alert, Text } from 'react-native';
 import { supabase } from '../utils/supabaseClient';
+import { startScheduledJobs } from '../supabase/scheduledJobs';
+import { getUserGroups } from '../supabase/groups';
+import { subscribeToBudgetAlerts } from '../supabase/budgets';
+import { claimPendingForUser } from '../supabase/auth';
+import { startOfflineSync } from '../supabase/offlineSync';
+import { clearReadCache } from '../utils/readCache';
 
 // Create the auth context
 const AuthContext = createContext(null);
@@ -77,6 +83,44 @@ export const AuthProvider = ({ children }) => {
     };
   }, []);
   
+  // Link shares and invitations that were waiting for the user's email, on
+  // every sign-in or restored session and once the email gets verified
+  useEffect(() => {
+    if (!currentUser?.id) return;
+    claimPendingForUser(currentUser).catch(error => {
+      console.error('Error claiming pending shares and invitations:', error);
+    });
+  }, [currentUser?.id, currentUser?.email_confirmed_at]);
+
+  // Keep the signed-in user's groups up to date while the app is open
+  useEffect(() => {
+    if (!currentUser?.id) return undefined;
+    return startScheduledJobs(currentUser.id);
+  }, [currentUser?.id]);
+
+  // Send changes made while offline once the connection is back
+  useEffect(() => {
+    if (!currentUser?.id) return undefined;
+    return startOfflineSync();
+  }, [currentUser?.id]);
+
+  // Announce budget thresholds as soon as an expense pushes a group past one
+  useEffect(() => {
+    if (!currentUser?.id) return undefined;
+
+    let cancelled = false;
+    let channels = [];
+    getUserGroups(currentUser.id).then(({ success, groups }) => {
+      if (cancelled || !success) return;
+      channels = (groups || []).map(group => subscribeToBudgetAlerts(group.id));
+    });
+
+    return () => {
+      cancelled = true;
+      channels.forEach(channel => channel.unsubscribe());
+    };
+  }, [currentUser?.id]);
+
   // Mock data for development
   useEffect(() => {
     if (!currentUser && !loading) {
@@ -112,6 +156,9 @@ export const AuthProvider = ({ children }) => {
       try {
         const { error } = await supabase.auth.signOut();
         if (error) throw error;
+
+        // Don't show the next user this user's cached data
+        await clearReadCache();
         return { success: true };
       } catch (error) {
         return { success: false, error: error.message };
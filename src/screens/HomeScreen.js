@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -14,9 +14,26 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useAuth } from '../context/AuthContext';
 import { Ionicons } from '@expo/vector-icons';
+import { getUserGroups, subscribeToUserGroups } from '../supabase/groups';
+import { getExpenses } from '../supabase/expenses';
+import { getBalancesFromExpenses, simplifyBalances } from '../utils/debtSimplifier';
+import { formatCacheAge } from '../utils/readCache';
 
 const { width } = Dimensions.get('window');
 const cardWidth = width * 0.42;
+const RECENT_TRANSACTION_COUNT = 5;
+
+// The banner describes the oldest cached data on screen
+const combineCacheInfo = (sources) => {
+  const cached = Object.values(sources).filter(info => info.fromCache);
+  if (cached.length === 0) return null;
+
+  return {
+    fromCache: true,
+    stale: cached.some(info => info.stale),
+    fetchedAt: Math.min(...cached.map(info => info.fetchedAt))
+  };
+};
 
 const HomeScreen = ({ navigation }) => {
   const auth = useAuth(); // Get the entire auth object first
@@ -31,56 +48,144 @@ const HomeScreen = ({ navigation }) => {
     upcomingExpenses: 0
   });
   const [recentTransactions, setRecentTransactions] = useState([]);
+  const [settleUp, setSettleUp] = useState([]);
   const [quickActions, setQuickActions] = useState([]);
+  // Cache state per query ('groups', 'expenses:<group id>')
+  const [cacheSources, setCacheSources] = useState({});
+  const cacheInfo = combineCacheInfo(cacheSources);
+  const groupExpensesRef = useRef({});
 
   useEffect(() => {
-    // Load initial data
-    loadHomeData();
+    // Open with the last-known data, refreshed in the background
+    loadHomeData({ cacheFirst: true });
   }, []);
 
-  const loadHomeData = async () => {
+  useEffect(() => {
+    if (!currentUser?.id) return undefined;
+
+    // Realtime changes invalidate the cache; refetch so the indicator stays honest
+    const channel = subscribeToUserGroups(currentUser.id, () => {
+      getUserGroups(currentUser.id).then(applyGroupsResult);
+    });
+    return () => channel.unsubscribe();
+  }, [currentUser?.id]);
+
+  const recordCacheInfo = (key, result) => {
+    setCacheSources(current => ({
+      ...current,
+      [key]: { fromCache: result.fromCache, stale: result.stale, fetchedAt: result.fetchedAt }
+    }));
+  };
+
+  const applyGroupsResult = (result) => {
+    if (!result.success) return;
+    recordCacheInfo('groups', result);
+  };
+
+  // A group's expenses arrived (from the cache, the server or a background refresh)
+  const applyExpensesResult = (group, result) => {
+    if (result.success) {
+      groupExpensesRef.current[group.id] = { group, expenses: result.expenses };
+      recordCacheInfo(`expenses:${group.id}`, result);
+    } else if (!groupExpensesRef.current[group.id]) {
+      groupExpensesRef.current[group.id] = { group, expenses: [] };
+    }
+  };
+
+  // Each group's unpaid shares are simplified to the fewest transfers;
+  // Home shows the ones the current user is part of
+  const applyGroupExpenses = (groupExpenses) => {
+    const names = {};
+    const transfers = [];
+
+    setRecentTransactions(groupExpenses
+      .flatMap(({ expenses }) => expenses)
+      .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+      .slice(0, RECENT_TRANSACTION_COUNT)
+      .map(expense => ({
+        id: expense.id,
+        description: expense.description,
+        date: expense.date,
+        amount: Number(expense.amount),
+        currency: expense.currency,
+        category: String(expense.category || '').toLowerCase(),
+        participants: (expense.expense_shares || []).map(share =>
+          share.user_id === currentUser.id ? 'You' : share.user?.full_name || 'A housemate'
+        ),
+        receipts: expense.receipts || []
+      })));
+
+    groupExpenses.forEach(({ group, expenses }) => {
+      const rows = expenses.map(expense => {
+        if (expense.created_by?.id) names[expense.created_by.id] = expense.created_by.full_name;
+        (expense.expense_shares || []).forEach(share => {
+          if (share.user) names[share.user_id] = share.user.full_name;
+        });
+        return { ...expense, created_by: expense.created_by?.id || expense.created_by };
+      });
+
+      Object.entries(getBalancesFromExpenses(rows)).forEach(([currency, balances]) => {
+        simplifyBalances(balances, currency).forEach(transfer => {
+          transfers.push({ ...transfer, groupId: group.id, groupName: group.name });
+        });
+      });
+    });
+
+    const mine = transfers
+      .filter(transfer => transfer.from_user_id === currentUser.id || transfer.to_user_id === currentUser.id)
+      .map(transfer => {
+        const youPay = transfer.from_user_id === currentUser.id;
+        const otherId = youPay ? transfer.to_user_id : transfer.from_user_id;
+        return { ...transfer, youPay, otherName: names[otherId] || 'A housemate' };
+      });
+
+    // The summary cards show the currency most of the user's debts are in
+    const currencyCounts = mine.reduce((counts, transfer) => {
+      counts[transfer.currency] = (counts[transfer.currency] || 0) + 1;
+      return counts;
+    }, {});
+    const currency = Object.keys(currencyCounts).sort((a, b) => currencyCounts[b] - currencyCounts[a])[0] || 'USD';
+    const inCurrency = mine.filter(transfer => transfer.currency === currency);
+    const owed = inCurrency.filter(transfer => !transfer.youPay).reduce((sum, transfer) => sum + transfer.amount, 0);
+    const owing = inCurrency.filter(transfer => transfer.youPay).reduce((sum, transfer) => sum + transfer.amount, 0);
+
+    setSettleUp(mine);
+    setSummary(current => ({
+      ...current,
+      currency,
+      yourBalance: Math.round((owed - owing) * 100) / 100,
+      pendingPayments: Math.round(owing * 100) / 100
+    }));
+  };
+
+  const loadHomeData = async (options = {}) => {
     setLoading(true);
     try {
-      // In a real app, fetch this data from your API/backend
-      // For now, using mock data
-      
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      setSummary({
-        totalExpenses: 742.50,
-        yourBalance: 125.75,
-        pendingPayments: 64.25,
-        upcomingExpenses: 215.00
-      });
-      
-      setRecentTransactions([
-        {
-          id: 1,
-          description: 'Grocery Shopping',
-          date: '2023-05-28',
-          amount: 85.75,
-          category: 'food',
-          participants: ['You', 'Emma', 'Michael']
-        },
-        {
-          id: 2,
-          description: 'Internet Bill',
-          date: '2023-05-25',
-          amount: 59.99,
-          category: 'utilities',
-          participants: ['All Roommates']
-        },
-        {
-          id: 3,
-          description: 'Netflix Subscription',
-          date: '2023-05-20',
-          amount: 14.99,
-          category: 'entertainment',
-          participants: ['All Roommates']
+      if (currentUser?.id) {
+        const groupsResult = await getUserGroups(currentUser.id, {
+          cacheFirst: options.cacheFirst,
+          onRefresh: applyGroupsResult
+        });
+        applyGroupsResult(groupsResult);
+
+        if (groupsResult.success) {
+          groupExpensesRef.current = {};
+          setCacheSources(current => ({ groups: current.groups }));
+
+          await Promise.all(groupsResult.groups.map(async group => {
+            const result = await getExpenses(group.id, {
+              cacheFirst: options.cacheFirst,
+              onRefresh: refreshed => {
+                applyExpensesResult(group, refreshed);
+                applyGroupExpenses(Object.values(groupExpensesRef.current));
+              }
+            });
+            applyExpensesResult(group, result);
+          }));
+          applyGroupExpenses(Object.values(groupExpensesRef.current));
         }
-      ]);
-      
+      }
+
       setQuickActions([
         { id: 'add_expense', title: 'Add Expense', icon: 'add-circle', color: '#3B82F6' },
         { id: 'settle_up', title: 'Settle Up', icon: 'cash', color: '#10B981' },
@@ -96,12 +201,13 @@ const HomeScreen = ({ navigation }) => {
 
   const onRefresh = async () => {
     setRefreshing(true);
+    // Pull-to-refresh always goes to the server
     await loadHomeData();
     setRefreshing(false);
   };
 
-  const formatCurrency = (amount) => {
-    return `$${amount.toFixed(2)}`;
+  const formatCurrency = (amount, currency = 'USD') => {
+    return currency === 'USD' ? `$${amount.toFixed(2)}` : `${amount.toFixed(2)} ${currency}`;
   };
 
   const formatDate = (dateString) => {
@@ -176,12 +282,25 @@ const HomeScreen = ({ navigation }) => {
           <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
         }
       >
+        {cacheInfo?.fromCache && (
+          <View style={[styles.cacheBanner, cacheInfo.stale && styles.cacheBannerStale]}>
+            <Ionicons
+              name={cacheInfo.stale ? 'cloud-offline' : 'time'}
+              size={16}
+              color={cacheInfo.stale ? '#B45309' : '#6B7280'}
+            />
+            <Text style={[styles.cacheBannerText, cacheInfo.stale && styles.cacheBannerTextStale]}>
+              {cacheInfo.stale ? 'Showing saved data · ' : ''}Last updated {formatCacheAge(cacheInfo.fetchedAt)}
+            </Text>
+          </View>
+        )}
+
         <View style={styles.summaryContainer}>
           <View style={styles.summaryRow}>
             <View style={[styles.summaryCard, styles.primaryCard]}>
               <Text style={styles.summaryLabel}>Your Balance</Text>
               <Text style={styles.summaryValue}>
-                {formatCurrency(summary.yourBalance)}
+                {formatCurrency(Math.abs(summary.yourBalance), summary.currency)}
               </Text>
               <Text style={styles.summaryNote}>
                 {summary.yourBalance >= 0 ? 'You are owed' : 'You owe'}
@@ -191,13 +310,45 @@ const HomeScreen = ({ navigation }) => {
             <View style={[styles.summaryCard, styles.secondaryCard]}>
               <Text style={styles.summaryLabel}>Pending Payments</Text>
               <Text style={styles.summaryValue}>
-                {formatCurrency(summary.pendingPayments)}
+                {formatCurrency(summary.pendingPayments, summary.currency)}
               </Text>
               <Text style={styles.summaryNote}>To be settled</Text>
             </View>
           </View>
         </View>
 
+        {settleUp.length > 0 && (
+          <>
+            <Text style={styles.sectionTitle}>Settle Up</Text>
+            {settleUp.map(transfer => (
+              <TouchableOpacity
+                key={`${transfer.groupId}:${transfer.currency}:${transfer.from_user_id}:${transfer.to_user_id}`}
+                style={styles.transactionCard}
+                onPress={() => navigation.navigate('Expenses')}
+              >
+                <View style={styles.transactionIconContainer}>
+                  <Ionicons
+                    name={transfer.youPay ? 'arrow-up-circle' : 'arrow-down-circle'}
+                    size={24}
+                    color={transfer.youPay ? '#EF4444' : '#10B981'}
+                  />
+                </View>
+                <View style={styles.transactionDetails}>
+                  <Text style={styles.transactionTitle}>
+                    {transfer.youPay ? `You pay ${transfer.otherName}` : `${transfer.otherName} pays you`}
+                  </Text>
+                  <Text style={styles.transactionParticipants}>{transfer.groupName}</Text>
+                </View>
+                <View style={styles.transactionAmount}>
+                  <Text style={styles.transactionAmountText}>
+                    {formatCurrency(transfer.amount, transfer.currency)}
+                  </Text>
+                </View>
+              </TouchableOpacity>
+            ))}
+          </>
+        )}
+
         <Text style={styles.sectionTitle}>Quick Actions</Text>
         <FlatList
           data={quickActions}
@@ -241,9 +392,24 @@ const HomeScreen = ({ navigation }) => {
               </Text>
               <Text style={styles.transactionDate}>{formatDate(transaction.date)}</Text>
             </View>
+            {transaction.receipts?.length > 0 && (
+              <View style={styles.receiptThumbnail}>
+                {transaction.receipts[0].thumbnail_url ? (
+                  <Image
+                    source={{ uri: transaction.receipts[0].thumbnail_url }}
+                    style={styles.receiptThumbnailImage}
+                  />
+                ) : (
+                  <Ionicons name="document-text" size={20} color="#6B7280" />
+                )}
+                {transaction.receipts.length > 1 && (
+                  <Text style={styles.receiptCount}>+{transaction.receipts.length - 1}</Text>
+                )}
+              </View>
+            )}
             <View style={styles.transactionAmount}>
               <Text style={styles.transactionAmountText}>
-                {formatCurrency(transaction.amount)}
+                {formatCurrency(transaction.amount, transaction.currency)}
               </Text>
             </View>
           </View>
@@ -298,6 +464,26 @@ const styles = StyleSheet.create({
     padding: 20,
     paddingTop: 8,
   },
+  cacheBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E5E7EB',
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginBottom: 12,
+  },
+  cacheBannerStale: {
+    backgroundColor: '#FEF3C7',
+  },
+  cacheBannerText: {
+    marginLeft: 6,
+    fontSize: 12,
+    color: '#6B7280',
+  },
+  cacheBannerTextStale: {
+    color: '#B45309',
+  },
   summaryContainer: {
     marginBottom: 24,
   },
@@ -428,6 +614,31 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#9CA3AF',
   },
+  receiptThumbnail: {
+    width: 40,
+    height: 40,
+    borderRadius: 8,
+    backgroundColor: '#F3F4F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+    overflow: 'hidden',
+  },
+  receiptThumbnailImage: {
+    width: 40,
+    height: 40,
+  },
+  receiptCount: {
+    position: 'absolute',
+    bottom: 2,
+    right: 2,
+    fontSize: 10,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+    backgroundColor: 'rgba(31, 41, 55, 0.7)',
+    borderRadius: 6,
+    paddingHorizontal: 3,
+  },
   transactionAmount: {
     alignItems: 'flex-end',
   },
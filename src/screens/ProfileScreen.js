@@ -11,13 +11,15 @@ import {
   Alert,
   ActivityIndicator,
   KeyboardAvoidingView,
-  Platform
+  Platform,
+  Share
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { StatusBar } from 'expo-status-bar';
 import { Ionicons } from '@expo/vector-icons';
 import { supabase } from '../utils/supabaseClient';
 import { useAuth } from '../context/AuthContext';
+import { exportGroupExpenses } from '../supabase/expenseExport';
 
 const ProfileScreen = ({ navigation }) => {
   // Auth context
@@ -293,6 +295,37 @@ const ProfileScreen = ({ navigation }) => {
     );
   };
   
+  // Export a group's expenses for this calendar year and hand it to the share sheet
+  const handleExportGroup = (groupId, groupName) => {
+    const runExport = async (format) => {
+      setLoading(true);
+      try {
+        const result = await exportGroupExpenses(groupId, { format });
+        if (!result.success) throw new Error(result.error);
+        
+        await Share.share({
+          title: result.fileName,
+          message: result.content
+        });
+      } catch (error) {
+        console.error('Error exporting group:', error);
+        Alert.alert('Error', error.message || 'Failed to export group expenses');
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    Alert.alert(
+      'Export Expenses',
+      `Export this year's expenses and settlements for "${groupName}"`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'CSV', onPress: () => runExport('csv') },
+        { text: 'JSON', onPress: () => runExport('json') }
+      ]
+    );
+  };
+  
   // Handle user logout
   const handleLogout = async () => {
     try {
@@ -827,6 +860,14 @@ const ProfileScreen = ({ navigation }) => {
                         <Text style={styles.viewGroupText}>View Details</Text>
                       </TouchableOpacity>
                       
+                      <TouchableOpacity 
+                        style={styles.exportGroupButton}
+                        onPress={() => handleExportGroup(membership.group_id, membership.groups.name)}
+                        disabled={loading}
+                      >
+                        <Text style={styles.viewGroupText}>Export</Text>
+                      </TouchableOpacity>
+                      
                       <TouchableOpacity 
                         style={styles.leaveGroupButton}
                         onPress={() => handleLeaveGroup(membership.group_id, membership.groups.name)}
@@ -1354,6 +1395,14 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     color: '#3B82F6',
   },
+  exportGroupButton: {
+    flex: 1,
+    marginHorizontal: 8,
+    padding: 10,
+    alignItems: 'center',
+    borderRadius: 8,
+    backgroundColor: '#EFF6FF',
+  },
   leaveGroupButton: {
     flex: 1,
     marginLeft: 8,
@@ -1,4 +1,20 @@
 import { supabase } from './config';
+import { claimPendingShares } from './expenses';
+import { claimPendingInvitations } from './groups';
+import { clearReadCache } from '../utils/readCache';
+
+// Link the shares and group invitations that were waiting for this user's
+// email address. Only a verified email can claim them, which the database
+// checks again. Invitations go first: shares of a group expense are only
+// claimed once the user is in the group.
+export const claimPendingForUser = async (user) => {
+  if (!user?.email || !user.email_confirmed_at) return null;
+  
+  const invitations = await claimPendingInvitations();
+  const shares = await claimPendingShares();
+  
+  return { shares: shares.claimed || 0, invitations: invitations.accepted || 0 };
+};
 
 // Sign up with email and password
 export const signUp = async (email, password, fullName) => {
@@ -45,7 +61,10 @@ export const signUp = async (email, password, fullName) => {
       }
     }
 
-    return { success: true, user: authData.user };
+    // With email confirmation on, this waits until the first verified sign-in
+    const claimed = authData.user ? await claimPendingForUser(authData.user) : null;
+
+    return { success: true, user: authData.user, claimed };
   } catch (error) {
     console.error('Error signing up:', error.message);
     return { success: false, error: error.message };
@@ -114,6 +133,9 @@ export const signOut = async () => {
   try {
     const { error } = await supabase.auth.signOut();
     if (error) throw error;
+
+    // Don't show the next user this user's cached data
+    await clearReadCache();
     return { success: true };
   } catch (error) {
     console.error('Error signing out:', error.message);
@@ -189,7 +211,8 @@ export const ensureUserProfile = async (user) => {
     
     if (existingProfile) {
       console.log('Profile already exists:', existingProfile.id);
-      return { success: true, profile: existingProfile };
+      const claimed = await claimPendingForUser(user);
+      return { success: true, profile: existingProfile, claimed };
     }
     
     console.log('Profile not found, creating new profile');
@@ -213,7 +236,8 @@ export const ensureUserProfile = async (user) => {
     }
     
     console.log('Profile created successfully:', newProfile.id);
-    return { success: true, profile: newProfile };
+    const claimed = await claimPendingForUser(user);
+    return { success: true, profile: newProfile, claimed };
   } catch (error) {
     console.error('Error ensuring user profile exists:', error);
     return { success: false, error: error.message };
@@ -0,0 +1,203 @@
+import { supabase } from './config';
+import { reassignTasksForAwayMember } from './tasks';
+import { addDays, today } from '../utils/recurrence';
+
+const OVERLAP_MESSAGE = 'This member is already away during part of that time';
+
+/**
+ * Get a group's away periods
+ * @param {string} groupId - The group ID
+ * @param {Object} options - { includePast } to also return periods that have ended
+ * @returns {Promise<Object>} - Object containing success status and away periods
+ */
+export const getAwayPeriods = async (groupId, options = {}) => {
+  try {
+    let query = supabase
+      .from('member_away_periods')
+      .select(`
+        *,
+        user:profiles!member_away_periods_user_id_fkey(id, full_name, avatar_url)
+      `)
+      .eq('group_id', groupId);
+
+    if (!options.includePast) {
+      query = query.gte('end_date', today());
+    }
+
+    const { data, error } = await query.order('start_date', { ascending: true });
+
+    if (error) throw error;
+    return { success: true, awayPeriods: data || [] };
+  } catch (error) {
+    console.error('Error fetching away periods:', error);
+    return { success: false, error: error.message, awayPeriods: [] };
+  }
+};
+
+/**
+ * Get the away periods overlapping a date range, for code that has to
+ * leave away members out (rotation, splits)
+ * @param {string} groupId - The group ID
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Away periods
+ */
+export const getAwayPeriodsBetween = async (groupId, from, to) => {
+  const { data, error } = await supabase
+    .from('member_away_periods')
+    .select('user_id, start_date, end_date, exclude_from_splits')
+    .eq('group_id', groupId)
+    .lte('start_date', to)
+    .gte('end_date', from);
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Mark a member as away. Their chores due in the period are handed to
+ * housemates who are around, rotations pass over them, and the rest of the
+ * house is told.
+ * @param {Object} periodData - Away period
+ * @param {string} periodData.group_id - The group ID
+ * @param {string} periodData.user_id - The member who is away
+ * @param {string} periodData.start_date - First day away (YYYY-MM-DD)
+ * @param {string} periodData.end_date - Last day away (YYYY-MM-DD)
+ * @param {boolean} periodData.exclude_from_splits - Leave them out of equal splits of recurring expenses meanwhile
+ * @param {string} periodData.note - Optional note shown to housemates
+ * @returns {Promise<Object>} - Success status, the away period, the reassigned tasks and, when the period
+ *   was saved but its chores could not all be handed on, reassignmentError
+ */
+export const createAwayPeriod = async (periodData) => {
+  try {
+    const { group_id: groupId, user_id: userId, start_date: startDate, end_date: endDate } = periodData;
+    if (!groupId || !userId) throw new Error('Group and member are required');
+    if (!startDate || !endDate || startDate > endDate) {
+      throw new Error('The away period needs a start date on or before its end date');
+    }
+    if (endDate < today()) throw new Error('The away period has already ended');
+
+    const overlapping = await getAwayPeriodsBetween(groupId, startDate, endDate);
+    if (overlapping.some(period => period.user_id === userId)) {
+      throw new Error(OVERLAP_MESSAGE);
+    }
+
+    const { data: awayPeriod, error } = await supabase
+      .from('member_away_periods')
+      .insert([{
+        group_id: groupId,
+        user_id: userId,
+        start_date: startDate,
+        end_date: endDate,
+        exclude_from_splits: !!periodData.exclude_from_splits,
+        note: periodData.note || null,
+        created_by: periodData.created_by || userId,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    // The exclusion constraint catches a period added at the same time
+    if (error?.code === '23P01') throw new Error(OVERLAP_MESSAGE);
+    if (error) throw error;
+
+    // Chores already overdue stay put; only what falls due while away moves
+    const reassignment = await reassignTasksForAwayMember(groupId, userId, {
+      from: startDate > today() ? startDate : today(),
+      to: endDate
+    });
+
+    await notifyHousemates(awayPeriod, reassignment.reassigned.length);
+
+    return {
+      success: true,
+      awayPeriod,
+      reassigned: reassignment.reassigned,
+      unassigned: reassignment.unassigned,
+      reassignmentError: reassignment.success ? null : reassignment.error
+    };
+  } catch (error) {
+    console.error('Error creating away period:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell everyone else in the group about an away period
+const notifyHousemates = async (awayPeriod, reassignedCount) => {
+  const { data: members, error: membersError } = await supabase
+    .from('group_members')
+    .select('user_id')
+    .eq('group_id', awayPeriod.group_id)
+    .neq('user_id', awayPeriod.user_id);
+
+  if (membersError || !members || members.length === 0) return;
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('full_name')
+    .eq('id', awayPeriod.user_id)
+    .maybeSingle();
+
+  const name = profile?.full_name || 'A housemate';
+  const details = [
+    reassignedCount > 0 ? `${reassignedCount} chore${reassignedCount === 1 ? ' was' : 's were'} reassigned` : null,
+    awayPeriod.exclude_from_splits ? 'they are left out of shared recurring expenses meanwhile' : null
+  ].filter(Boolean).join('; ');
+
+  const { error: notifError } = await supabase
+    .from('notifications')
+    .insert(members.map(member => ({
+      user_id: member.user_id,
+      title: 'Housemate Away',
+      message: `${name} is away from ${awayPeriod.start_date} to ${awayPeriod.end_date}` +
+        (details ? ` (${details})` : ''),
+      type: 'member_away',
+      read: false,
+      data: { awayPeriodId: awayPeriod.id, groupId: awayPeriod.group_id, userId: awayPeriod.user_id }
+    })));
+
+  if (notifError) console.error('Error creating notification:', notifError);
+};
+
+/**
+ * End an away period early (or cancel one that hasn't started)
+ * @param {string} awayPeriodId - The away period ID
+ * @returns {Promise<Object>} - Object containing success status and any error
+ */
+export const endAwayPeriod = async (awayPeriodId) => {
+  try {
+    const { data: awayPeriod, error: fetchError } = await supabase
+      .from('member_away_periods')
+      .select('*')
+      .eq('id', awayPeriodId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    if (awayPeriod.end_date < today()) {
+      return { success: true, cancelled: false };
+    }
+
+    if (awayPeriod.start_date >= today()) {
+      const { error } = await supabase
+        .from('member_away_periods')
+        .delete()
+        .eq('id', awayPeriodId);
+
+      if (error) throw error;
+      return { success: true, cancelled: true };
+    }
+
+    // Back today: yesterday was the last day away
+    const { error } = await supabase
+      .from('member_away_periods')
+      .update({ end_date: addDays(today(), -1) })
+      .eq('id', awayPeriodId);
+
+    if (error) throw error;
+    return { success: true, cancelled: false };
+  } catch (error) {
+    console.error('Error ending away period:', error);
+    return { success: false, error: error.message };
+  }
+};
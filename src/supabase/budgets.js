@@ -0,0 +1,248 @@
+import { supabase } from './config';
+import { getExpenseAnalytics } from './expenses';
+import { getGroupMembers } from './groups';
+import {
+  computeBudgetProgress,
+  currentMonth,
+  getMonthRange,
+  getReachedThresholds
+} from '../utils/budgetProgress';
+
+const sameCategory = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+/**
+ * Get the monthly budgets of a group
+ * @param {string} groupId - The group ID
+ * @returns {Promise<Object>} - Object containing success status and budgets
+ */
+export const getBudgets = async (groupId) => {
+  try {
+    const { data, error } = await supabase
+      .from('expense_budgets')
+      .select('*')
+      .eq('group_id', groupId)
+      .order('category', { ascending: true, nullsFirst: true });
+
+    if (error) throw error;
+    return { success: true, budgets: data || [] };
+  } catch (error) {
+    console.error('Error fetching budgets:', error);
+    return { success: false, error: error.message, budgets: [] };
+  }
+};
+
+/**
+ * Create or change a monthly budget. Without a category the budget covers
+ * all of the group's spending.
+ * @param {string} groupId - The group ID
+ * @param {Object} budgetData - { category, amount } with amount in the group's base currency
+ * @param {string} userId - The user setting the budget
+ * @returns {Promise<Object>} - Object containing success status and the saved budget
+ */
+export const setBudget = async (groupId, budgetData, userId) => {
+  try {
+    if (!groupId) throw new Error('Group ID is required');
+
+    const amount = Number(budgetData.amount);
+    if (!(amount > 0)) throw new Error('Budget amount must be greater than zero');
+
+    const category = budgetData.category || null;
+
+    let existingQuery = supabase
+      .from('expense_budgets')
+      .select('id')
+      .eq('group_id', groupId);
+
+    existingQuery = category
+      ? existingQuery.eq('category', category)
+      : existingQuery.is('category', null);
+
+    const { data: existing, error: existingError } = await existingQuery.maybeSingle();
+    if (existingError) throw existingError;
+
+    const { data, error } = existing
+      ? await supabase
+        .from('expense_budgets')
+        .update({ amount, updated_at: new Date().toISOString() })
+        .eq('id', existing.id)
+        .select()
+        .single()
+      : await supabase
+        .from('expense_budgets')
+        .insert({
+          group_id: groupId,
+          category,
+          amount,
+          created_by: userId,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return { success: true, budget: data };
+  } catch (error) {
+    console.error('Error saving budget:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Remove a budget
+ * @param {string} budgetId - The budget ID
+ * @returns {Promise<Object>} - Object containing success status
+ */
+export const deleteBudget = async (budgetId) => {
+  try {
+    const { error } = await supabase
+      .from('expense_budgets')
+      .delete()
+      .eq('id', budgetId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Progress of every budget of a group for a month, using the same numbers
+ * as the analytics screen
+ * @param {string} groupId - The group ID
+ * @param {string} month - 'YYYY-MM' (defaults to the current month)
+ * @returns {Promise<Object>} - Success status, currency and budgets with their progress
+ */
+export const getBudgetProgress = async (groupId, month = currentMonth()) => {
+  try {
+    const { success, budgets, error } = await getBudgets(groupId);
+    if (!success) throw new Error(error);
+
+    const { startDate, endDate } = getMonthRange(month);
+    const analyticsResult = await getExpenseAnalytics(groupId, null, { startDate, endDate });
+    if (!analyticsResult.success) throw new Error(analyticsResult.error);
+
+    const { analytics } = analyticsResult;
+
+    const progress = budgets.map(budget => {
+      const spent = budget.category
+        ? analytics.categorySummary
+          .filter(category => sameCategory(category.name, budget.category))
+          .reduce((sum, category) => sum + category.total, 0)
+        : analytics.totalSpent;
+
+      return {
+        ...budget,
+        month,
+        ...computeBudgetProgress(budget, spent, { month })
+      };
+    });
+
+    return { success: true, month, currency: analytics.currency, budgets: progress };
+  } catch (error) {
+    console.error('Error fetching budget progress:', error);
+    return { success: false, error: error.message, budgets: [] };
+  }
+};
+
+/**
+ * Notify group members about budgets that crossed 80% or 100% this month.
+ * Each threshold is announced once per budget and month: budget_alerts has
+ * a unique key on (budget_id, month, threshold), and only the run that
+ * records the alert sends it.
+ * @param {string} groupId - The group ID
+ * @param {string} month - 'YYYY-MM' (defaults to the current month)
+ * @returns {Promise<Object>} - Object containing success status and the alerts sent
+ */
+export const checkBudgetAlerts = async (groupId, month = currentMonth()) => {
+  try {
+    const { success, budgets, error } = await getBudgetProgress(groupId, month);
+    if (!success) throw new Error(error);
+
+    // Highest threshold first, so a budget that jumps straight past 100%
+    // gets one "exceeded" notice rather than a warning as well
+    const crossed = budgets.flatMap(budget =>
+      getReachedThresholds(budget.spent, budget.amount).reverse().map(threshold => ({ budget, threshold }))
+    );
+
+    if (crossed.length === 0) return { success: true, alerts: [] };
+
+    const { members } = await getGroupMembers(groupId);
+    const alerts = [];
+    const notifiedBudgets = new Set();
+
+    for (const { budget, threshold } of crossed) {
+      const { error: claimError } = await supabase
+        .from('budget_alerts')
+        .insert({
+          budget_id: budget.id,
+          month,
+          threshold,
+          created_at: new Date().toISOString()
+        });
+
+      // Already announced
+      if (claimError && claimError.code === '23505') continue;
+      if (claimError) throw claimError;
+
+      if (notifiedBudgets.has(budget.id)) continue;
+      notifiedBudgets.add(budget.id);
+
+      const label = budget.category ? `${budget.category} budget` : 'group budget';
+      const message = threshold >= 100
+        ? `The ${label} for ${month} has been exceeded (${budget.percentage}% spent)`
+        : `The ${label} for ${month} is ${budget.percentage}% spent`;
+
+      const notifications = (members || []).map(member => ({
+        user_id: member.user_id,
+        type: 'budget_alert',
+        title: threshold >= 100 ? 'Budget Exceeded' : 'Budget Warning',
+        message,
+        read: false,
+        data: {
+          group_id: groupId,
+          budget_id: budget.id,
+          category: budget.category,
+          month,
+          threshold,
+          spent: budget.spent,
+          amount: budget.amount,
+          projected: budget.projected
+        }
+      }));
+
+      if (notifications.length > 0) {
+        const { error: notifError } = await supabase
+          .from('notifications')
+          .insert(notifications);
+
+        if (notifError) console.error('Error creating notification:', notifError);
+      }
+
+      alerts.push({ budgetId: budget.id, category: budget.category, threshold });
+    }
+
+    return { success: true, alerts };
+  } catch (error) {
+    console.error('Error checking budget alerts:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Check budget alerts whenever an expense is added to or changed in the group
+export const subscribeToBudgetAlerts = (groupId, callback) => {
+  return supabase
+    .channel(`budget-alerts-${groupId}`)
+    .on('postgres_changes', {
+      event: '*',
+      schema: 'public',
+      table: 'expenses',
+      filter: `group_id=eq.${groupId}`
+    }, async (payload) => {
+      const expenseDate = payload.new?.date;
+      const result = await checkBudgetAlerts(groupId, expenseDate ? expenseDate.slice(0, 7) : undefined);
+      if (callback) callback(result);
+    })
+    .subscribe();
+};
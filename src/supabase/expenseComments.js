@@ -0,0 +1,193 @@
+import { supabase } from './config';
+import { getGroupMembers } from './groups';
+import { extractMentions } from '../utils/mentions';
+
+/**
+ * Add a comment to an expense. Members mentioned with @name are notified,
+ * and so is the person who added the expense.
+ * @param {string} expenseId - The expense ID
+ * @param {string} userId - The comment author
+ * @param {string} body - Comment text
+ * @returns {Promise<Object>} - Object containing success status and the comment
+ */
+export const addExpenseComment = async (expenseId, userId, body) => {
+  try {
+    const text = (body || '').trim();
+    if (!text) throw new Error('Comment cannot be empty');
+
+    const { data: expense, error: expenseError } = await supabase
+      .from('expenses')
+      .select('id, description, group_id, created_by')
+      .eq('id', expenseId)
+      .single();
+
+    if (expenseError) throw expenseError;
+
+    const { members } = await getGroupMembers(expense.group_id);
+    const mentions = extractMentions(text, members || []).filter(id => id !== userId);
+
+    const { data: comment, error } = await supabase
+      .from('expense_comments')
+      .insert({
+        expense_id: expenseId,
+        group_id: expense.group_id,
+        user_id: userId,
+        body: text,
+        mentions,
+        created_at: new Date().toISOString()
+      })
+      .select(`
+        *,
+        author:profiles!expense_comments_user_id_fkey(id, full_name, avatar_url)
+      `)
+      .single();
+
+    if (error) throw error;
+
+    const authorName = comment.author?.full_name || 'Someone';
+    const notifications = mentions.map(mentionedId => ({
+      user_id: mentionedId,
+      type: 'expense_mention',
+      title: 'You were mentioned',
+      message: `${authorName} mentioned you on ${expense.description}`,
+      read: false,
+      data: { expense_id: expenseId, comment_id: comment.id }
+    }));
+
+    if (expense.created_by !== userId && !mentions.includes(expense.created_by)) {
+      notifications.push({
+        user_id: expense.created_by,
+        type: 'expense_comment',
+        title: 'New Comment',
+        message: `${authorName} commented on ${expense.description}`,
+        read: false,
+        data: { expense_id: expenseId, comment_id: comment.id }
+      });
+    }
+
+    if (notifications.length > 0) {
+      const { error: notifError } = await supabase
+        .from('notifications')
+        .insert(notifications);
+
+      if (notifError) console.error('Error creating notification:', notifError);
+    }
+
+    return { success: true, comment };
+  } catch (error) {
+    console.error('Error adding expense comment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Edit the text of one's own comment
+ * @param {string} commentId - The comment ID
+ * @param {string} userId - The user editing (must be the author)
+ * @param {string} body - New comment text
+ * @returns {Promise<Object>} - Object containing success status and the comment
+ */
+export const updateExpenseComment = async (commentId, userId, body) => {
+  try {
+    const text = (body || '').trim();
+    if (!text) throw new Error('Comment cannot be empty');
+
+    const { data, error } = await supabase
+      .from('expense_comments')
+      .update({ body: text, edited_at: new Date().toISOString() })
+      .eq('id', commentId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, comment: data };
+  } catch (error) {
+    console.error('Error updating expense comment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete one's own comment
+ * @param {string} commentId - The comment ID
+ * @param {string} userId - The user deleting (must be the author)
+ * @returns {Promise<Object>} - Object containing success status
+ */
+export const deleteExpenseComment = async (commentId, userId) => {
+  try {
+    const { error } = await supabase
+      .from('expense_comments')
+      .delete()
+      .eq('id', commentId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting expense comment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get an expense's thread: comments and logged edits in time order
+ * @param {string} expenseId - The expense ID
+ * @returns {Promise<Object>} - Object containing success status and thread entries ({ kind: 'comment' | 'activity', ... })
+ */
+export const getExpenseThread = async (expenseId) => {
+  try {
+    const { data: comments, error: commentsError } = await supabase
+      .from('expense_comments')
+      .select(`
+        *,
+        author:profiles!expense_comments_user_id_fkey(id, full_name, avatar_url)
+      `)
+      .eq('expense_id', expenseId);
+
+    if (commentsError) throw commentsError;
+
+    const { data: activity, error: activityError } = await supabase
+      .from('expense_activity')
+      .select(`
+        *,
+        author:profiles!expense_activity_user_id_fkey(id, full_name, avatar_url)
+      `)
+      .eq('expense_id', expenseId);
+
+    if (activityError) throw activityError;
+
+    const thread = [
+      ...(comments || []).map(comment => ({ kind: 'comment', ...comment })),
+      ...(activity || []).map(entry => ({ kind: 'activity', ...entry }))
+    ].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    return { success: true, thread };
+  } catch (error) {
+    console.error('Error fetching expense thread:', error);
+    return { success: false, error: error.message, thread: [] };
+  }
+};
+
+// Set up a real-time subscription to an expense's comments and edits
+export const subscribeToExpenseThread = (expenseId, callback) => {
+  return supabase
+    .channel(`expense-thread-${expenseId}`)
+    .on('postgres_changes', {
+      event: '*',
+      schema: 'public',
+      table: 'expense_comments',
+      filter: `expense_id=eq.${expenseId}`
+    }, (payload) => {
+      callback({ kind: 'comment', ...payload });
+    })
+    .on('postgres_changes', {
+      event: 'INSERT',
+      schema: 'public',
+      table: 'expense_activity',
+      filter: `expense_id=eq.${expenseId}`
+    }, (payload) => {
+      callback({ kind: 'activity', ...payload });
+    })
+    .subscribe();
+};
@@ -0,0 +1,206 @@
+import { supabase } from './config';
+import { getExpenseAnalytics } from './expenses';
+import { getGroupBaseCurrency } from './groups';
+import { toCsvTable } from '../utils/csv';
+
+const EXPENSE_COLUMNS = [
+  'id', 'date', 'description', 'category', 'amount', 'currency',
+  'exchange_rate', 'base_currency', 'paid_by', 'paid_by_name', 'split_method', 'created_at'
+];
+
+const SHARE_COLUMNS = [
+  'id', 'expense_id', 'expense_description', 'user_id', 'user_name',
+  'amount', 'amount_paid', 'paid', 'paid_at'
+];
+
+const SETTLEMENT_COLUMNS = [
+  'id', 'created_at', 'from_user_id', 'from_name', 'to_user_id', 'to_name',
+  'amount', 'payment_method', 'status', 'note'
+];
+
+const CATEGORY_COLUMNS = ['name', 'total', 'percentage'];
+
+/**
+ * Collect everything needed for a group export
+ * @param {string} groupId - The group ID
+ * @param {Object} range - { startDate, endDate } as YYYY-MM-DD (defaults to this calendar year)
+ * @returns {Promise<Object>} - Object containing success status and export data
+ */
+export const getGroupExportData = async (groupId, range = {}) => {
+  try {
+    if (!groupId) throw new Error('Group ID is required');
+
+    const now = new Date();
+    const startDate = range.startDate || `${now.getFullYear()}-01-01`;
+    const endDate = range.endDate || now.toISOString().split('T')[0];
+
+    const { data: group, error: groupError } = await supabase
+      .from('groups')
+      .select('id, name')
+      .eq('id', groupId)
+      .single();
+
+    if (groupError) throw groupError;
+
+    const { data: expenses, error: expensesError } = await supabase
+      .from('expenses')
+      .select(`
+        id, date, description, category, amount, currency, exchange_rate,
+        base_currency, split_method, created_at,
+        created_by:profiles!expenses_created_by_fkey(id, full_name),
+        paid_by:profiles!expenses_paid_by_fkey(id, full_name),
+        expense_shares(
+          id, user_id, amount, amount_paid, paid, paid_at,
+          user:profiles!expense_shares_user_id_fkey(id, full_name)
+        )
+      `)
+      .eq('group_id', groupId)
+      .is('deleted_at', null)
+      .gte('date', startDate)
+      .lte('date', endDate)
+      .order('date', { ascending: true });
+
+    if (expensesError) throw expensesError;
+
+    const { data: settlements, error: settlementsError } = await supabase
+      .from('expense_settlements')
+      .select('id, created_at, from_user_id, to_user_id, amount, payment_method, status, note')
+      .eq('group_id', groupId)
+      .gte('created_at', `${startDate}T00:00:00`)
+      .lte('created_at', `${endDate}T23:59:59`)
+      .order('created_at', { ascending: true });
+
+    if (settlementsError) throw settlementsError;
+
+    // Settlements carry only user IDs, look the names up in one query
+    const settlementUserIds = new Set();
+    (settlements || []).forEach(s => {
+      settlementUserIds.add(s.from_user_id);
+      settlementUserIds.add(s.to_user_id);
+    });
+
+    let profilesMap = {};
+    if (settlementUserIds.size > 0) {
+      const { data: profiles } = await supabase
+        .from('profiles')
+        .select('id, full_name')
+        .in('id', Array.from(settlementUserIds));
+
+      profilesMap = (profiles || []).reduce((map, profile) => {
+        map[profile.id] = profile.full_name;
+        return map;
+      }, {});
+    }
+
+    // Category totals come from the analytics the app already shows
+    const { analytics } = await getExpenseAnalytics(groupId, null, { startDate, endDate });
+    const { success: currencyFound, baseCurrency, error: currencyError } = await getGroupBaseCurrency(groupId);
+    if (!currencyFound) throw new Error(currencyError);
+
+    const expenseRows = (expenses || []).map(expense => ({
+      id: expense.id,
+      date: expense.date,
+      description: expense.description,
+      category: expense.category || 'Other',
+      amount: Number(expense.amount),
+      currency: expense.currency || baseCurrency,
+      exchange_rate: expense.exchange_rate || 1,
+      base_currency: expense.base_currency || baseCurrency,
+      // Whoever paid, or whoever entered it when the payer is not recorded
+      paid_by: (expense.paid_by || expense.created_by)?.id,
+      paid_by_name: (expense.paid_by || expense.created_by)?.full_name,
+      split_method: expense.split_method,
+      created_at: expense.created_at
+    }));
+
+    const shareRows = (expenses || []).flatMap(expense =>
+      (expense.expense_shares || []).map(share => ({
+        id: share.id,
+        expense_id: expense.id,
+        expense_description: expense.description,
+        user_id: share.user_id,
+        user_name: share.user?.full_name,
+        amount: Number(share.amount),
+        amount_paid: share.paid ? Number(share.amount) : Number(share.amount_paid || 0),
+        paid: !!share.paid,
+        paid_at: share.paid_at
+      }))
+    );
+
+    const settlementRows = (settlements || []).map(settlement => ({
+      ...settlement,
+      amount: Number(settlement.amount),
+      from_name: profilesMap[settlement.from_user_id],
+      to_name: profilesMap[settlement.to_user_id]
+    }));
+
+    return {
+      success: true,
+      data: {
+        group: { id: group.id, name: group.name },
+        range: { startDate, endDate },
+        currency: baseCurrency,
+        generatedAt: new Date().toISOString(),
+        expenses: expenseRows,
+        shares: shareRows,
+        settlements: settlementRows,
+        categories: analytics?.categorySummary || []
+      }
+    };
+  } catch (error) {
+    console.error('Error collecting export data:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Export a group's expenses, shares, settlements and category totals
+ * @param {string} groupId - The group ID
+ * @param {Object} options - { format: 'csv' | 'json', startDate, endDate }
+ * @returns {Promise<Object>} - Success status, file name, MIME type and file content
+ */
+export const exportGroupExpenses = async (groupId, options = {}) => {
+  try {
+    const format = options.format || 'csv';
+    if (format !== 'csv' && format !== 'json') {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const { success, data, error } = await getGroupExportData(groupId, options);
+    if (!success) throw new Error(error);
+
+    const safeName = data.group.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    const fileName = `${safeName}-${data.range.startDate}-to-${data.range.endDate}.${format}`;
+
+    if (format === 'json') {
+      return {
+        success: true,
+        fileName,
+        mimeType: 'application/json',
+        content: JSON.stringify(data, null, 2)
+      };
+    }
+
+    // One CSV file with a titled table per section
+    const content = [
+      `# ${data.group.name} (${data.range.startDate} to ${data.range.endDate}), amounts in ${data.currency} unless noted`,
+      '',
+      '# Expenses',
+      toCsvTable(data.expenses, EXPENSE_COLUMNS),
+      '',
+      '# Shares',
+      toCsvTable(data.shares, SHARE_COLUMNS),
+      '',
+      '# Settlements',
+      toCsvTable(data.settlements, SETTLEMENT_COLUMNS),
+      '',
+      '# Categories',
+      toCsvTable(data.categories, CATEGORY_COLUMNS)
+    ].join('\n');
+
+    return { success: true, fileName, mimeType: 'text/csv', content };
+  } catch (error) {
+    console.error('Error exporting group expenses:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,447 @@
+import { supabase } from './config';
+import { createExpense, createPendingShare } from './expenses';
+import { getGroupMembers } from './groups';
+import { calculateSplit, fromCents, toCents } from '../utils/splitCalculator';
+import { parseAmount, parseCsvRecords } from '../utils/csv';
+
+export const IMPORT_SOURCES = ['splitwise', 'bank_csv', 'ofx'];
+
+// Used when the caller does not pass its own category map
+const DEFAULT_CATEGORY_KEYWORDS = {
+  food: ['grocer', 'food', 'restaurant', 'dining', 'supermarket', 'cafe', 'coffee'],
+  utilities: ['electric', 'utilit', 'water', 'gas', 'internet', 'phone', 'heat', 'trash'],
+  rent: ['rent', 'mortgage', 'housing'],
+  entertainment: ['entertain', 'movie', 'netflix', 'spotify', 'music', 'game', 'subscription'],
+  transportation: ['transport', 'taxi', 'uber', 'lyft', 'fuel', 'parking', 'bus', 'train']
+};
+
+const SPLITWISE_FIXED_COLUMNS = ['Date', 'Description', 'Category', 'Cost', 'Currency'];
+
+const normalize = (text) => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const isEmail = (text) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(text || ''));
+
+/**
+ * The decimal separator to assume for ambiguous amounts: the caller's choice,
+ * or the convention that goes with the file's date order
+ */
+const getDecimalSeparator = (options) => {
+  if (options.decimalSeparator) return options.decimalSeparator;
+  if (options.dateOrder === 'DMY') return ',';
+  if (options.dateOrder === 'MDY') return '.';
+  return null;
+};
+
+/**
+ * Parse a date in ISO, US (MM/DD/YYYY) or European (DD/MM/YYYY) order
+ * @returns {string|null} - YYYY-MM-DD
+ */
+const parseImportDate = (text, dateOrder = 'MDY') => {
+  const value = String(text || '').trim();
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+  const compact = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (compact) return `${compact[1]}-${compact[2]}-${compact[3]}`;
+
+  const parts = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+  if (!parts) return null;
+
+  const [, first, second, yearText] = parts;
+  const year = yearText.length === 2 ? `20${yearText}` : yearText;
+  const [month, day] = dateOrder === 'DMY' ? [second, first] : [first, second];
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+};
+
+const mapCategory = (sourceCategory, description, categoryMap) => {
+  if (categoryMap && sourceCategory && categoryMap[sourceCategory]) {
+    return categoryMap[sourceCategory];
+  }
+
+  const haystack = normalize(`${sourceCategory || ''} ${description || ''}`);
+  const match = Object.entries(DEFAULT_CATEGORY_KEYWORDS)
+    .find(([, keywords]) => keywords.some(keyword => haystack.includes(keyword)));
+
+  return match ? match[0] : 'Other';
+};
+
+/**
+ * Splitwise export: Date, Description, Category, Cost, Currency, then one
+ * column per person holding their net amount (positive = paid for others)
+ */
+const parseSplitwise = (content) => {
+  const { headers, records } = parseCsvRecords(content);
+  const memberColumns = headers.filter(header => !SPLITWISE_FIXED_COLUMNS.includes(header));
+
+  // Settle-up payments and the closing balance row are not expenses
+  return records
+    .filter(record => record.Description && normalize(record.Description) !== 'total balance')
+    .filter(record => normalize(record.Category) !== 'payment')
+    .map(record => {
+      const cost = parseAmount(record.Cost, '.');
+      const nets = memberColumns
+        .map(name => ({ name, net: parseAmount(record[name], '.') || 0 }))
+        .filter(entry => entry.net !== 0);
+
+      // The person with the largest positive net paid; everyone with a
+      // negative net owes that much, and the payer keeps the remainder
+      const payer = nets.filter(entry => entry.net > 0).sort((a, b) => b.net - a.net)[0];
+      const owedCents = nets
+        .filter(entry => entry.net < 0)
+        .map(entry => ({ name: entry.name, cents: toCents(-entry.net) }));
+      const othersCents = owedCents.reduce((sum, entry) => sum + entry.cents, 0);
+
+      const participants = [...owedCents];
+      if (payer && cost !== null) {
+        const payerCents = toCents(cost) - othersCents;
+        if (payerCents > 0) participants.push({ name: payer.name, cents: payerCents });
+      }
+
+      return {
+        date: parseImportDate(record.Date, 'YMD'),
+        description: record.Description,
+        sourceCategory: record.Category,
+        amount: cost,
+        currency: record.Currency || null,
+        payerName: payer?.name || null,
+        participants: participants.map(entry => ({ name: entry.name, amount: fromCents(entry.cents) })),
+        importRef: null
+      };
+    });
+};
+
+const findColumn = (headers, candidates) =>
+  headers.find(header => candidates.includes(normalize(header)));
+
+/**
+ * Generic bank CSV: a date column, a description column and either a signed
+ * amount column or separate debit/credit columns. Only money going out is kept.
+ */
+const parseBankCsv = (content, options) => {
+  const { headers, records } = parseCsvRecords(content);
+
+  const dateColumn = findColumn(headers, ['date', 'transaction date', 'posted date', 'posting date', 'booking date']);
+  const descriptionColumn = findColumn(headers, ['description', 'payee', 'name', 'memo', 'details', 'merchant']);
+  const amountColumn = findColumn(headers, ['amount', 'transaction amount']);
+  const debitColumn = findColumn(headers, ['debit', 'withdrawal', 'money out']);
+  const categoryColumn = findColumn(headers, ['category']);
+  const referenceColumn = findColumn(headers, ['reference', 'transaction id', 'id', 'fitid']);
+
+  if (!dateColumn || !descriptionColumn || (!amountColumn && !debitColumn)) {
+    throw new Error('Could not find date, description and amount columns in this file');
+  }
+
+  const decimalSeparator = getDecimalSeparator(options);
+
+  return records
+    .map(record => {
+      let amount = null;
+      if (debitColumn && record[debitColumn]) {
+        amount = Math.abs(parseAmount(record[debitColumn], decimalSeparator));
+      } else if (amountColumn) {
+        const signed = parseAmount(record[amountColumn], decimalSeparator);
+        // Outflows are negative in most bank exports
+        amount = signed !== null && signed < 0 ? -signed : null;
+      }
+
+      return {
+        date: parseImportDate(record[dateColumn], options.dateOrder),
+        description: record[descriptionColumn],
+        sourceCategory: categoryColumn ? record[categoryColumn] : null,
+        amount,
+        currency: options.currency || null,
+        payerName: null,
+        participants: null,
+        importRef: referenceColumn ? record[referenceColumn] || null : null
+      };
+    })
+    .filter(row => row.amount !== null && row.amount > 0);
+};
+
+/**
+ * OFX / QFX statement: one <STMTTRN> block per transaction (SGML or XML style)
+ */
+const parseOfx = (content, options) => {
+  const currency = (content.match(/<CURDEF>\s*([A-Z]{3})/) || [])[1] || options.currency || null;
+  const decimalSeparator = getDecimalSeparator(options);
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/g) || [];
+  const field = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`));
+    return match ? match[1].trim() : null;
+  };
+
+  return blocks
+    .map(block => {
+      const signed = parseAmount(field(block, 'TRNAMT'), decimalSeparator);
+      return {
+        date: parseImportDate(field(block, 'DTPOSTED')),
+        description: field(block, 'NAME') || field(block, 'MEMO') || 'Bank transaction',
+        sourceCategory: null,
+        amount: signed !== null && signed < 0 ? -signed : null,
+        currency,
+        payerName: null,
+        participants: null,
+        importRef: field(block, 'FITID')
+      };
+    })
+    .filter(row => row.amount !== null && row.amount > 0);
+};
+
+/**
+ * Parse an import file into normalized rows
+ * @param {string} content - File content
+ * @param {Object} options - { source: 'splitwise' | 'bank_csv' | 'ofx', dateOrder, decimalSeparator, currency }
+ * @returns {Array} - Normalized rows
+ */
+export const parseImportFile = (content, options = {}) => {
+  switch (options.source) {
+    case 'splitwise':
+      return parseSplitwise(content);
+    case 'bank_csv':
+      return parseBankCsv(content, options);
+    case 'ofx':
+      return parseOfx(content, options);
+    default:
+      throw new Error(`Unsupported import source: ${options.source}`);
+  }
+};
+
+/**
+ * Resolve a name or email from the file to a group member. The caller's
+ * memberMap wins; it may point a name at a user ID or at an email address.
+ * @returns {Object} - { userId } for members, { email } for unknown emails, or {}
+ */
+const resolvePerson = (name, members, memberMap = {}) => {
+  const target = memberMap[name] || name;
+
+  const byId = members.find(member => member.user_id === target);
+  if (byId) return { userId: byId.user_id };
+
+  if (isEmail(target)) {
+    const byEmail = members.find(member => normalize(member.profile?.email) === normalize(target));
+    return byEmail ? { userId: byEmail.user_id } : { email: normalize(target) };
+  }
+
+  const byName = members.filter(member => normalize(member.profile?.full_name) === normalize(target));
+  return byName.length === 1 ? { userId: byName[0].user_id } : {};
+};
+
+const duplicateKey = (date, amount, description) =>
+  `${date}|${toCents(amount)}|${normalize(description)}`;
+
+/**
+ * Dry run: parse the file, map people and categories, and flag duplicates
+ * against the group's existing expenses and earlier rows of the same file.
+ * Nothing is written.
+ * @param {string} groupId - The group to import into
+ * @param {string} content - File content
+ * @param {Object} options - Options
+ * @param {string} options.source - 'splitwise', 'bank_csv' or 'ofx'
+ * @param {string} options.userId - Importing user; payer for bank rows
+ * @param {Object} options.memberMap - Name in file -> user ID or email
+ * @param {Object} options.categoryMap - Category in file -> app category
+ * @param {Object} options.split - Split definition for bank rows (default: equal, all members)
+ * @param {string} options.dateOrder - 'MDY' (default) or 'DMY' for ambiguous dates
+ * @param {string} options.decimalSeparator - '.' or ','; defaults to the one that goes
+ *                                            with dateOrder, and amounts like "1,234"
+ *                                            are rejected when neither is given
+ * @returns {Promise<Object>} - Success status and preview rows with a status each
+ */
+export const previewImport = async (groupId, content, options = {}) => {
+  try {
+    if (!groupId) throw new Error('Group ID is required');
+
+    const rows = parseImportFile(content, options);
+
+    const { success, members, error } = await getGroupMembers(groupId);
+    if (!success) throw new Error(error);
+
+    // Existing expenses in the file's date range, for duplicate detection
+    const dates = rows.map(row => row.date).filter(Boolean).sort();
+    const existingKeys = new Set();
+    const existingRefs = new Set();
+
+    if (dates.length > 0) {
+      const { data: existing, error: existingError } = await supabase
+        .from('expenses')
+        .select('date, amount, description, import_ref')
+        .eq('group_id', groupId)
+        .is('deleted_at', null)
+        .gte('date', dates[0])
+        .lte('date', dates[dates.length - 1]);
+
+      if (existingError) throw existingError;
+
+      (existing || []).forEach(expense => {
+        existingKeys.add(duplicateKey(expense.date, expense.amount, expense.description));
+        if (expense.import_ref) existingRefs.add(expense.import_ref);
+      });
+    }
+
+    const seenKeys = new Set();
+    const allMemberIds = (members || []).map(member => member.user_id);
+
+    const previewRows = rows.map((row, index) => {
+      const issues = [];
+      let status = 'ready';
+
+      if (!row.date) issues.push('Unreadable date');
+      if (!(row.amount > 0)) issues.push('Missing amount');
+
+      // People: Splitwise rows carry their own split, bank rows use the default one
+      let payerId = options.userId || null;
+      let shares = [];
+      const pendingShares = [];
+
+      if (row.participants) {
+        if (row.payerName) {
+          const payer = resolvePerson(row.payerName, members || [], options.memberMap);
+          payerId = payer.userId || null;
+          if (!payerId) issues.push(`Payer "${row.payerName}" is not a group member`);
+        }
+
+        row.participants.forEach(participant => {
+          const person = resolvePerson(participant.name, members || [], options.memberMap);
+          if (person.userId) {
+            shares.push({ user_id: person.userId, amount: participant.amount });
+          } else if (person.email) {
+            pendingShares.push({ email: person.email, amount: participant.amount });
+          } else {
+            issues.push(`No member or email for "${participant.name}"`);
+          }
+        });
+      } else if (row.amount > 0) {
+        const split = options.split || {
+          mode: 'equal',
+          participants: allMemberIds.map(user_id => ({ user_id }))
+        };
+        const result = calculateSplit(row.amount, split);
+        if (result.success) {
+          shares = result.shares;
+        } else {
+          issues.push(result.error);
+        }
+      }
+
+      if (!payerId) issues.push('No payer');
+
+      const key = duplicateKey(row.date, row.amount, row.description);
+      const duplicateOf = (row.importRef && existingRefs.has(row.importRef)) || existingKeys.has(key)
+        ? 'existing'
+        : seenKeys.has(key) ? 'file' : null;
+      seenKeys.add(key);
+
+      if (issues.length > 0) {
+        status = 'needs_attention';
+      } else if (duplicateOf) {
+        status = 'duplicate';
+      }
+
+      return {
+        index,
+        status,
+        issues,
+        duplicateOf,
+        date: row.date,
+        description: row.description,
+        category: mapCategory(row.sourceCategory, row.description, options.categoryMap),
+        sourceCategory: row.sourceCategory,
+        amount: row.amount,
+        currency: row.currency,
+        paidBy: payerId,
+        splitMethod: row.participants ? 'exact' : (options.split?.mode || 'equal'),
+        shares,
+        pendingShares,
+        importRef: row.importRef
+      };
+    });
+
+    const count = (status) => previewRows.filter(row => row.status === status).length;
+
+    return {
+      success: true,
+      rows: previewRows,
+      summary: {
+        total: previewRows.length,
+        ready: count('ready'),
+        duplicates: count('duplicate'),
+        needsAttention: count('needs_attention')
+      }
+    };
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Create expenses for the rows of a preview. Rows that need attention are
+ * always skipped; duplicates only go in when includeDuplicates is set.
+ * @param {string} groupId - The group to import into
+ * @param {Array} previewRows - Rows from previewImport (optionally edited by the user)
+ * @param {Object} options - { userId, source, includeDuplicates }; userId is the member importing
+ * @returns {Promise<Object>} - Success status, created count, skipped and failed rows, and partial rows
+ *   whose expense was created but some pending shares were not ({ index, expenseId, error })
+ */
+export const commitImport = async (groupId, previewRows, options = {}) => {
+  try {
+    if (!options.userId) throw new Error('The importing user is required');
+
+    let created = 0;
+    const skipped = [];
+    const failed = [];
+    const partial = [];
+
+    for (const row of previewRows || []) {
+      const importable = row.status === 'ready' ||
+        (row.status === 'duplicate' && options.includeDuplicates);
+
+      if (!importable) {
+        skipped.push(row.index);
+        continue;
+      }
+
+      const result = await createExpense({
+        group_id: groupId,
+        created_by: options.userId,
+        paid_by: row.paidBy || options.userId,
+        description: row.description,
+        amount: row.amount,
+        date: row.date,
+        category: row.category,
+        ...(row.currency ? { currency: row.currency } : {}),
+        split_method: row.splitMethod,
+        import_source: options.source || null,
+        import_ref: row.importRef || null
+      }, row.shares);
+
+      if (!result.success) {
+        failed.push({ index: row.index, error: result.error });
+        continue;
+      }
+
+      created++;
+
+      // People who are not on SpliFair yet get their share when they sign up.
+      // The expense exists either way, so a failure here must not make the
+      // row look unimported and be imported again.
+      const expenseId = result.expense?.id || result.expense;
+      const pendingErrors = [];
+      for (const pending of row.pendingShares) {
+        const pendingResult = await createPendingShare(expenseId, pending.email, pending.amount);
+        if (!pendingResult.success) {
+          pendingErrors.push(`Pending share for ${pending.email}: ${pendingResult.error}`);
+        }
+      }
+
+      if (pendingErrors.length > 0) {
+        partial.push({ index: row.index, expenseId, error: pendingErrors.join('; ') });
+      }
+    }
+
+    return { success: failed.length === 0 && partial.length === 0, created, skipped, failed, partial };
+  } catch (error) {
+    console.error('Error importing expenses:', error);
+    return { success: false, error: error.message };
+  }
+};
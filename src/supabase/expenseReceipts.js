@@ -0,0 +1,223 @@
+import { supabase } from './config';
+
+const RECEIPTS_BUCKET = 'receipts';
+const THUMBNAIL_SIZE = 96;
+
+// The bucket is private; signed URLs stop working after this many seconds
+const RECEIPT_URL_TTL_SECONDS = 60 * 60;
+
+const ALLOWED_RECEIPT_TYPES = ['image/jpeg', 'image/png', 'image/heic', 'image/webp', 'application/pdf'];
+
+const EXTENSIONS_BY_TYPE = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/heic': 'heic',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+
+const receiptFolder = (expenseId) => `expenses/${expenseId}`;
+
+// Picker results do not always carry a name or a MIME type in `type`
+const getReceiptFileName = (file) =>
+  file.name || file.fileName || (file.uri && file.uri.split('/').pop().split('?')[0]) || 'receipt';
+
+const getReceiptContentType = (file) =>
+  file.mimeType || (file.type && file.type.includes('/') ? file.type : null) || 'application/octet-stream';
+
+const getReceiptExtension = (fileName, contentType) => {
+  const match = /\.([a-z0-9]+)$/i.exec(fileName);
+  return match ? match[1].toLowerCase() : EXTENSIONS_BY_TYPE[contentType] || 'bin';
+};
+
+/**
+ * Add short-lived signed URLs to receipt rows: file_url for the file and,
+ * for images, thumbnail_url for a small preview
+ * @param {Array} receipts - Receipt rows with file_path and content_type
+ * @returns {Promise<Array>} - The receipts with file_url and thumbnail_url
+ */
+export const withReceiptUrls = async (receipts) => {
+  if (!receipts || receipts.length === 0) return [];
+
+  const { data: signed, error } = await supabase.storage
+    .from(RECEIPTS_BUCKET)
+    .createSignedUrls(receipts.map(receipt => receipt.file_path), RECEIPT_URL_TTL_SECONDS);
+
+  if (error) throw error;
+
+  return Promise.all(receipts.map(async (receipt, index) => {
+    // PDFs have no image thumbnail; the UI shows a document icon instead
+    let thumbnailUrl = null;
+    if (receipt.content_type?.startsWith('image/')) {
+      const { data: thumbnail } = await supabase.storage
+        .from(RECEIPTS_BUCKET)
+        .createSignedUrl(receipt.file_path, RECEIPT_URL_TTL_SECONDS, {
+          transform: { width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, resize: 'cover' }
+        });
+      thumbnailUrl = thumbnail?.signedUrl || null;
+    }
+
+    return { ...receipt, file_url: signed?.[index]?.signedUrl || null, thumbnail_url: thumbnailUrl };
+  }));
+};
+
+/**
+ * Upload receipt photos or PDFs for an expense
+ * @param {string} expenseId - The expense ID
+ * @param {Array} files - Files to upload as returned by the picker ({ uri, name or fileName, type or mimeType })
+ * @param {string} userId - The user uploading the receipts
+ * @returns {Promise<Object>} - Object containing success status, saved receipts and failed file names
+ */
+export const uploadExpenseReceipts = async (expenseId, files, userId) => {
+  try {
+    if (!expenseId) throw new Error('Expense ID is required');
+
+    const uploaded = [];
+    const failed = [];
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      const fileName = getReceiptFileName(file);
+      const contentType = getReceiptContentType(file);
+
+      if (!ALLOWED_RECEIPT_TYPES.includes(contentType)) {
+        failed.push(fileName);
+        continue;
+      }
+
+      const fileExt = getReceiptExtension(fileName, contentType);
+      const filePath = `${receiptFolder(expenseId)}/${i}-${Date.now()}.${fileExt}`;
+
+      const { error: uploadError } = await supabase.storage
+        .from(RECEIPTS_BUCKET)
+        .upload(filePath, file, {
+          cacheControl: '3600',
+          contentType,
+          upsert: false
+        });
+
+      if (uploadError) {
+        console.error('Error uploading receipt:', uploadError);
+        failed.push(fileName);
+        continue;
+      }
+
+      uploaded.push({
+        expense_id: expenseId,
+        file_path: filePath,
+        file_name: fileName,
+        content_type: contentType,
+        uploaded_by: userId,
+        created_at: new Date().toISOString()
+      });
+    }
+
+    if (uploaded.length === 0) {
+      return { success: failed.length === 0, receipts: [], failed };
+    }
+
+    const { data: receipts, error } = await supabase
+      .from('expense_receipts')
+      .insert(uploaded)
+      .select();
+
+    if (error) throw error;
+
+    return { success: true, receipts: await withReceiptUrls(receipts), failed };
+  } catch (error) {
+    console.error('Error uploading expense receipts:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get the receipts attached to an expense, with signed URLs (see withReceiptUrls)
+ * @param {string} expenseId - The expense ID
+ * @returns {Promise<Object>} - Object containing success status and receipts
+ */
+export const getExpenseReceipts = async (expenseId) => {
+  try {
+    const { data, error } = await supabase
+      .from('expense_receipts')
+      .select('*')
+      .eq('expense_id', expenseId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return { success: true, receipts: await withReceiptUrls(data) };
+  } catch (error) {
+    console.error('Error fetching expense receipts:', error);
+    return { success: false, error: error.message, receipts: [] };
+  }
+};
+
+/**
+ * Remove a single receipt from an expense
+ * @param {string} receiptId - The receipt ID
+ * @returns {Promise<Object>} - Object containing success status
+ */
+export const deleteExpenseReceipt = async (receiptId) => {
+  try {
+    const { data: receipt, error: fetchError } = await supabase
+      .from('expense_receipts')
+      .select('id, file_path')
+      .eq('id', receiptId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    const { error: storageError } = await supabase.storage
+      .from(RECEIPTS_BUCKET)
+      .remove([receipt.file_path]);
+
+    if (storageError) throw storageError;
+
+    const { error } = await supabase
+      .from('expense_receipts')
+      .delete()
+      .eq('id', receiptId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting expense receipt:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Remove every receipt file stored for an expense, including files whose
+ * database row was never written
+ * @param {string} expenseId - The expense ID
+ * @returns {Promise<Object>} - Object containing success status and number of files removed
+ */
+export const deleteExpenseReceipts = async (expenseId) => {
+  try {
+    const folder = receiptFolder(expenseId);
+
+    const { data: files, error: listError } = await supabase.storage
+      .from(RECEIPTS_BUCKET)
+      .list(folder);
+
+    if (listError) throw listError;
+
+    if (files && files.length > 0) {
+      const { error: removeError } = await supabase.storage
+        .from(RECEIPTS_BUCKET)
+        .remove(files.map(file => `${folder}/${file.name}`));
+
+      if (removeError) throw removeError;
+    }
+
+    const { error } = await supabase
+      .from('expense_receipts')
+      .delete()
+      .eq('expense_id', expenseId);
+
+    if (error) throw error;
+    return { success: true, removed: files?.length || 0 };
+  } catch (error) {
+    console.error('Error deleting receipts for expense:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -1,39 +1,171 @@
 import { supabase } from './config';
+import { getGroupBaseCurrency, getGroupPaymentTerm } from './groups';
+import { deleteExpenseReceipts, withReceiptUrls } from './expenseReceipts';
+import { calculateSplit, fromCents, toCents } from '../utils/splitCalculator';
+import { getDebtsFromExpenses, simplifyDebts } from '../utils/debtSimplifier';
+import { DEFAULT_REMINDER_SETTINGS, isStaleClaim, planReminders } from '../utils/reminderPlanner';
+import { DEFAULT_PAYMENT_TERM_DAYS, getDaysPastDue, getEscalationLevel, getShareDueDate, getShareStatus } from '../utils/dueDates';
+import {
+  LATEST_CACHE_TTL_MS,
+  getRateProvider,
+  isRateEntryStale,
+  readCachedRates,
+  writeCachedRates
+} from '../utils/exchangeRates';
+import { invalidateTable, readCachedQuery, readThrough } from '../utils/readCache';
 
-// Get all expenses for a specific group
-export const getExpenses = async (groupId) => {
+// Shape a readThrough result like the other expense queries
+const expensesResult = ({ rows, ...cacheInfo }) => ({ expenses: rows, ...cacheInfo });
+
+/**
+ * Get all expenses for a specific group, read through the local cache.
+ * Receipts come without URLs, which would expire in the cache; get them
+ * from getExpenseReceipts.
+ * @param {string} groupId - The group ID
+ * @param {Object} options - Cache options for readThrough (cacheFirst, maxAgeMs, onRefresh)
+ * @returns {Promise<Object>} - Success status, expenses, and fromCache, stale and fetchedAt
+ */
+export const getExpenses = async (groupId, options = {}) => {
   try {
-    const { data, error } = await supabase
-      .from('expenses')
-      .select(`
-        *,
-        created_by:profiles(id, full_name, avatar_url),
-        expense_shares:expense_shares(
+    const result = await readThrough(`expenses:group:${groupId}`, 'expenses', async () => {
+      const { data, error } = await supabase
+        .from('expenses')
+        .select(`
           *,
-          user:profiles(id, full_name, avatar_url)
-        )
-      `)
-      .eq('group_id', groupId)
-      .order('created_at', { ascending: false });
-    
-    if (error) throw error;
-    return { success: true, expenses: data };
+          created_by:profiles!expenses_created_by_fkey(id, full_name, avatar_url),
+          expense_shares:expense_shares(
+            *,
+            user:profiles(id, full_name, avatar_url)
+          ),
+          receipts:expense_receipts(id, file_path, file_name, content_type)
+        `)
+        .eq('group_id', groupId)
+        .is('deleted_at', null)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data;
+    }, {
+      ...options,
+      onRefresh: options.onRefresh && (refreshed => options.onRefresh({ success: true, ...expensesResult(refreshed) }))
+    });
+
+    return { success: true, ...expensesResult(result) };
   } catch (error) {
     console.error('Error fetching expenses:', error.message);
     return { success: false, error: error.message };
   }
 };
 
+// The group's base currency. Fails rather than falling back to USD, so a
+// lookup error is never stored on an expense or mixed into totals.
+const requireBaseCurrency = async (groupId) => {
+  const { success, baseCurrency, error } = await getGroupBaseCurrency(groupId);
+  if (!success) throw new Error(`Could not get the group's base currency: ${error}`);
+  return baseCurrency;
+};
+
+/**
+ * Fill in an expense's currency and the rate to its group's base currency
+ * at the expense date, unless the caller already provided them
+ * @param {Object} expenseData - Expense data
+ * @returns {Promise<Object>} - Expense data with currency, base_currency and exchange_rate
+ */
+const withCurrencyInfo = async (expenseData) => {
+  if (!expenseData.group_id) {
+    return { currency: 'USD', exchange_rate: 1, ...expenseData };
+  }
+
+  const baseCurrency = await requireBaseCurrency(expenseData.group_id);
+  const currency = expenseData.currency || baseCurrency;
+
+  if (expenseData.exchange_rate && expenseData.base_currency === baseCurrency) {
+    return { ...expenseData, currency };
+  }
+
+  if (currency === baseCurrency) {
+    return { ...expenseData, currency, base_currency: baseCurrency, exchange_rate: 1 };
+  }
+
+  const conversion = await convertCurrency(1, currency, baseCurrency, expenseData.date);
+  if (!conversion.success) {
+    throw new Error(`Could not get a ${currency} to ${baseCurrency} rate: ${conversion.error}`);
+  }
+
+  return {
+    ...expenseData,
+    currency,
+    base_currency: baseCurrency,
+    exchange_rate: conversion.rate
+  };
+};
+
+/**
+ * Get a converter to a base currency for a set of expenses. A rate stored
+ * on an expense for that same base currency is used as is; the others are
+ * looked up once per currency and date, in parallel.
+ * @param {Array} expenses - Expenses with currency, base_currency, exchange_rate and date
+ * @param {string} baseCurrency - Currency to report in
+ * @returns {Promise<Function>} - (expense, amount) => amount in baseCurrency
+ */
+const getBaseConverter = async (expenses, baseCurrency) => {
+  const storedRate = (expense) => expense.base_currency === baseCurrency && expense.exchange_rate;
+  const rateKey = (expense) => `${expense.currency}|${expense.date || ''}`;
+
+  const lookups = {};
+  (expenses || []).forEach(expense => {
+    const currency = expense.currency || baseCurrency;
+    if (currency === baseCurrency || storedRate(expense)) return;
+    lookups[rateKey(expense)] = { currency, date: expense.date || null };
+  });
+
+  const rates = {};
+  await Promise.all(Object.entries(lookups).map(async ([key, { currency, date }]) => {
+    const conversion = await convertCurrency(1, currency, baseCurrency, date);
+    if (!conversion.success) throw new Error(conversion.error);
+    rates[key] = conversion.rate;
+  }));
+
+  return (expense, amount) => {
+    if ((expense.currency || baseCurrency) === baseCurrency) return amount;
+    return amount * (storedRate(expense) || rates[rateKey(expense)]);
+  };
+};
+
+/**
+ * Give each share a due date from the group's payment term, keeping any
+ * due date the caller set explicitly
+ * @param {Object} expenseData - Expense data (group_id, date)
+ * @param {Array} sharesData - Shares to create
+ * @returns {Promise<Array>} - Shares with due_date
+ */
+const withDueDates = async (expenseData, sharesData) => {
+  const { termDays } = expenseData.group_id
+    ? await getGroupPaymentTerm(expenseData.group_id)
+    : { termDays: DEFAULT_PAYMENT_TERM_DAYS };
+
+  return (sharesData || []).map(share => ({
+    ...share,
+    due_date: getShareDueDate(share, expenseData.date, termDays)
+  }));
+};
+
 // Create a new expense
 export const createExpense = async (expenseData, sharesData) => {
   try {
+    const expenseWithCurrency = await withCurrencyInfo(expenseData);
+    const sharesWithDueDates = await withDueDates(expenseData, sharesData);
+    
     // Start a transaction
     const { data, error } = await supabase.rpc('create_expense_with_shares', {
-      expense_data: expenseData,
-      shares_data: sharesData
+      expense_data: expenseWithCurrency,
+      shares_data: sharesWithDueDates
     });
 
     if (error) throw error;
+
+    // Cached expense lists no longer match the server
+    await invalidateTable('expenses');
     return { success: true, expense: data };
   } catch (error) {
     console.error('Error creating expense:', error.message);
@@ -41,40 +173,582 @@ export const createExpense = async (expenseData, sharesData) => {
   }
 };
 
-// Update an expense
-export const updateExpense = async (expenseId, updates) => {
+/**
+ * Create an expense from a split definition instead of pre-computed shares
+ * @param {Object} expenseData - Expense data (amount is the total to split)
+ * @param {Object} split - Split definition, see calculateSplit in utils/splitCalculator
+ * @returns {Promise<Object>} - Success status, created expense and calculated shares
+ */
+export const createSplitExpense = async (expenseData, split) => {
+  const { success, shares, error } = calculateSplit(expenseData.amount, split);
+  if (!success) {
+    return { success: false, error };
+  }
+
+  const result = await createExpense(
+    { ...expenseData, split_method: split.mode },
+    shares
+  );
+
+  return result.success ? { ...result, shares } : result;
+};
+
+// Fields whose edits are recorded in an expense's activity log
+const TRACKED_EXPENSE_FIELDS = ['description', 'amount', 'currency', 'category', 'date', 'split_method'];
+
+// Edits to these fields change what people owe, so paid members must agree
+const MONEY_EXPENSE_FIELDS = ['amount', 'currency', 'exchange_rate'];
+
+// Deleted expenses can be restored for this long before they are purged
+export const EXPENSE_RESTORE_WINDOW_DAYS = 30;
+
+const hasPayments = (share) => share.paid || Number(share.amount_paid || 0) > 0;
+
+// Shares marked paid before partial payments existed have no amount_paid
+const paidCents = (share) =>
+  share.paid ? Math.max(toCents(share.amount_paid || 0), toCents(share.amount)) : toCents(share.amount_paid || 0);
+
+/**
+ * Check the shares an edit leaves behind: they must add up to the expense
+ * amount, no share may drop below what was already paid towards it, and
+ * shares that received payments cannot be removed
+ * @returns {Array|null} - The new shares, normalized, or null when the edit keeps the current ones
+ */
+const validateExpenseEdit = (before, existingShares, updates, shares) => {
+  const amount = 'amount' in updates ? updates.amount : before.amount;
+  const amountChanges = toCents(amount) !== toCents(before.amount);
+  if (!shares && !amountChanges) return null;
+  if (!shares) throw new Error('Changing the amount needs the new shares as well');
+
+  const { success, shares: normalized, error } = calculateSplit(amount, {
+    mode: 'exact',
+    participants: shares.map(share => ({ user_id: share.user_id, amount: share.amount }))
+  });
+  if (!success) throw new Error(error);
+
+  existingShares.forEach(existing => {
+    const share = normalized.find(candidate => candidate.user_id === existing.user_id);
+    if (!share && hasPayments(existing)) {
+      throw new Error('Shares that have received payments cannot be removed');
+    }
+    if (share && toCents(share.amount) < paidCents(existing)) {
+      throw new Error(`A share cannot be lowered below the ${fromCents(paidCents(existing)).toFixed(2)} already paid towards it`);
+    }
+  });
+
+  return normalized;
+};
+
+// Record an entry in an expense's activity log; failures are only logged
+const logExpenseActivity = async (expense, userId, action, changes = null) => {
+  const { error } = await supabase
+    .from('expense_activity')
+    .insert({
+      expense_id: expense.id,
+      group_id: expense.group_id,
+      user_id: userId || null,
+      action,
+      changes,
+      created_at: new Date().toISOString()
+    });
+
+  if (error) console.error('Error logging expense activity:', error);
+};
+
+/**
+ * Members who have paid towards an expense and must acknowledge an edit
+ * before it is applied. Only edits to money fields or shares count.
+ * @returns {Array<string>} - User IDs, never including the editor
+ */
+const getMembersToAcknowledge = (existingShares, updates, shares, editorId) => {
+  const changesMoney = MONEY_EXPENSE_FIELDS.some(field => field in updates) || !!shares;
+  if (!changesMoney) return [];
+
+  return existingShares
+    .filter(share => hasPayments(share) && share.user_id !== editorId)
+    .map(share => share.user_id);
+};
+
+/**
+ * Hold an edit until the members who already paid acknowledge it
+ * @returns {Promise<Object>} - The created edit request
+ */
+const requestExpenseEdit = async (expense, updates, options, requiredUserIds) => {
+  const { data: editRequest, error } = await supabase
+    .from('expense_edit_requests')
+    .insert({
+      expense_id: expense.id,
+      group_id: expense.group_id,
+      requested_by: options.userId,
+      updates,
+      shares: options.shares || null,
+      base_version: expense.version || 1,
+      required_user_ids: requiredUserIds,
+      acknowledged_user_ids: [],
+      status: 'pending',
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { error: notifError } = await supabase
+    .from('notifications')
+    .insert(requiredUserIds.map(userId => ({
+      user_id: userId,
+      type: 'expense_edit_request',
+      title: 'Expense Change Needs Your OK',
+      message: `A change to ${expense.description}, which you already paid towards, needs your acknowledgement`,
+      read: false,
+      data: { expense_id: expense.id, edit_request_id: editRequest.id, updates }
+    })));
+
+  if (notifError) console.error('Error creating notification:', notifError);
+
+  return editRequest;
+};
+
+/**
+ * Update an expense. The previous state is kept as a numbered version and
+ * the change is recorded in the expense's activity log. When the edit
+ * touches money on an expense that members have already paid towards, it
+ * is held as an edit request until they all acknowledge it.
+ * @param {string} expenseId - The expense ID
+ * @param {Object} updates - Expense fields to change
+ * @param {Object} options - Options
+ * @param {string} options.userId - The user making the edit (required)
+ * @param {Array} options.shares - New shares ({ user_id, amount }) to replace the current ones; they
+ *                                 must add up to the amount, so an amount change needs them too
+ * @param {boolean} options.acknowledged - Paid members already agreed (used when applying an edit request)
+ * @param {number} options.baseVersion - Version the edit was made on (defaults to the current one)
+ * @returns {Promise<Object>} - Success status and either the updated expense and changes, or pendingAcknowledgement with the edit request
+ */
+export const updateExpense = async (expenseId, updates, options = {}) => {
   try {
-    const { data, error } = await supabase
+    if (!options.userId) throw new Error('User ID is required');
+
+    const { data: before, error: fetchError } = await supabase
       .from('expenses')
-      .update(updates)
+      .select('*')
       .eq('id', expenseId)
-      .select();
-    
+      .single();
+
+    if (fetchError) throw fetchError;
+    if (before.deleted_at) throw new Error('Deleted expenses cannot be edited');
+
+    const { data: existingShares, error: sharesError } = await supabase
+      .from('expense_shares')
+      .select('id, user_id, amount, amount_paid, paid, due_date')
+      .eq('expense_id', expenseId);
+
+    if (sharesError) throw sharesError;
+
+    // Checked before anything is written, including edit requests
+    const shares = validateExpenseEdit(before, existingShares || [], updates, options.shares);
+
+    const toAcknowledge = options.acknowledged
+      ? []
+      : getMembersToAcknowledge(existingShares || [], updates, shares, options.userId);
+
+    if (toAcknowledge.length > 0) {
+      const editRequest = await requestExpenseEdit(before, updates, { ...options, shares }, toAcknowledge);
+      return { success: true, pendingAcknowledgement: true, editRequest };
+    }
+
+    // Keeps the current state as a version and applies the edit together.
+    // Only an edit made on the current version goes through.
+    const { data: result, error } = await supabase.rpc('record_expense_edit', {
+      p_expense_id: expenseId,
+      p_base_version: options.baseVersion || before.version || 1,
+      p_edited_by: options.userId,
+      p_updates: updates,
+      p_shares: shares
+    });
+
     if (error) throw error;
-    return { success: true, expense: data[0] };
+
+    // Record each tracked field as { from, to }
+    const changes = {};
+    TRACKED_EXPENSE_FIELDS.forEach(field => {
+      if (!(field in updates)) return;
+      if (String(before[field] ?? '') !== String(updates[field] ?? '')) {
+        changes[field] = { from: before[field] ?? null, to: updates[field] ?? null };
+      }
+    });
+
+    if (result.share_changes.length > 0) changes.shares = result.share_changes;
+
+    if (Object.keys(changes).length > 0) {
+      await logExpenseActivity(before, options.userId, 'edited', changes);
+    }
+
+    await invalidateTable('expenses');
+    return { success: true, expense: result.expense, changes };
   } catch (error) {
     console.error('Error updating expense:', error.message);
     return { success: false, error: error.message };
   }
 };
 
-// Delete an expense
-export const deleteExpense = async (expenseId) => {
+/**
+ * Get edit requests waiting for a user's acknowledgement
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - Object containing success status and edit requests
+ */
+export const getPendingExpenseEdits = async (userId) => {
   try {
-    // This will cascade delete related expense shares due to foreign key constraints
-    const { error } = await supabase
-      .from('expenses')
-      .delete()
-      .eq('id', expenseId);
-    
+    const { data, error } = await supabase
+      .from('expense_edit_requests')
+      .select(`
+        *,
+        expense:expenses(id, description, amount, currency, date)
+      `)
+      .eq('status', 'pending')
+      .contains('required_user_ids', [userId])
+      .order('created_at', { ascending: false });
+
     if (error) throw error;
+
+    const editRequests = (data || [])
+      .filter(request => !(request.acknowledged_user_ids || []).includes(userId));
+
+    return { success: true, editRequests };
+  } catch (error) {
+    console.error('Error fetching pending expense edits:', error);
+    return { success: false, error: error.message, editRequests: [] };
+  }
+};
+
+// Tell the member who asked for an edit how it ended
+const notifyEditRequester = async (editRequest, type, message) => {
+  if (!editRequest.requested_by) return;
+
+  const { error: notifError } = await supabase
+    .from('notifications')
+    .insert([{
+      user_id: editRequest.requested_by,
+      type,
+      title: 'Expense Change',
+      message,
+      read: false,
+      data: { expense_id: editRequest.expense_id, edit_request_id: editRequest.id }
+    }]);
+
+  if (notifError) console.error('Error creating notification:', notifError);
+};
+
+/**
+ * Acknowledge an edit to an expense the user has paid towards. The edit is
+ * applied once every required member has acknowledged it, unless the
+ * expense changed in the meantime. If applying fails, the request stays
+ * pending and acknowledging it again retries.
+ * @param {string} editRequestId - The edit request ID
+ * @param {string} userId - The acknowledging user
+ * @returns {Promise<Object>} - Success status, whether the edit was applied and the edit request
+ */
+export const acknowledgeExpenseEdit = async (editRequestId, userId) => {
+  try {
+    // Appends the user in the database, so acknowledgements made at the same
+    // time cannot overwrite each other
+    const { data: editRequest, error: ackError } = await supabase
+      .rpc('acknowledge_expense_edit', { p_request_id: editRequestId, p_user_id: userId })
+      .single();
+
+    if (ackError) throw ackError;
+
+    const complete = editRequest.required_user_ids.every(id => editRequest.acknowledged_user_ids.includes(id));
+    if (!complete) {
+      return { success: true, applied: false, editRequest };
+    }
+
+    // Whoever completes the acknowledgements applies the edit, once
+    const { data: claimed, error: claimError } = await supabase
+      .from('expense_edit_requests')
+      .update({ status: 'applying' })
+      .eq('id', editRequestId)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) {
+      return { success: true, applied: false, editRequest };
+    }
+
+    let resolved = false;
+    try {
+      // Do not apply an edit on top of a newer version of the expense
+      const { data: expense, error: expenseError } = await supabase
+        .from('expenses')
+        .select('id, description, version, deleted_at')
+        .eq('id', editRequest.expense_id)
+        .single();
+
+      if (expenseError) throw expenseError;
+
+      if (expense.deleted_at || (expense.version || 1) !== editRequest.base_version) {
+        const { error: supersedeError } = await supabase
+          .from('expense_edit_requests')
+          .update({ status: 'superseded', resolved_at: new Date().toISOString() })
+          .eq('id', editRequestId);
+
+        if (supersedeError) throw supersedeError;
+        resolved = true;
+
+        await notifyEditRequester(editRequest, 'expense_edit_superseded',
+          `Your change to ${expense.description} was not applied because the expense changed in the meantime`);
+
+        return { success: false, error: 'The expense changed since this edit was requested' };
+      }
+
+      // The edit only lands on the version it was requested on, even if the
+      // expense changes between the check above and now
+      const result = await updateExpense(editRequest.expense_id, editRequest.updates, {
+        userId: editRequest.requested_by,
+        shares: editRequest.shares || undefined,
+        acknowledged: true,
+        baseVersion: editRequest.base_version
+      });
+
+      if (!result.success) throw new Error(result.error);
+      resolved = true;
+
+      const { error: resolveError } = await supabase
+        .from('expense_edit_requests')
+        .update({ status: 'applied', resolved_at: new Date().toISOString() })
+        .eq('id', editRequestId);
+
+      if (resolveError) console.error('Error marking expense edit as applied:', resolveError);
+
+      await notifyEditRequester(editRequest, 'expense_edit_applied',
+        `Everyone acknowledged your change to ${expense.description}, it has been applied`);
+
+      return { success: true, applied: true, expense: result.expense, changes: result.changes };
+    } finally {
+      // Anything that stopped the edit before it was applied hands the
+      // request back, so acknowledging it again retries the apply
+      if (!resolved) {
+        const { error: releaseError } = await supabase
+          .from('expense_edit_requests')
+          .update({ status: 'pending' })
+          .eq('id', editRequestId)
+          .eq('status', 'applying');
+
+        if (releaseError) console.error('Error releasing expense edit:', releaseError);
+      }
+    }
+  } catch (error) {
+    console.error('Error acknowledging expense edit:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Decline an edit to an expense the user has paid towards
+ * @param {string} editRequestId - The edit request ID
+ * @param {string} userId - The declining user
+ * @param {string} reason - Optional reason shown to the requester
+ * @returns {Promise<Object>} - Object containing success status
+ */
+export const rejectExpenseEdit = async (editRequestId, userId, reason = '') => {
+  try {
+    const { data: editRequest, error } = await supabase
+      .from('expense_edit_requests')
+      .update({
+        status: 'rejected',
+        rejected_by: userId,
+        reject_reason: reason,
+        resolved_at: new Date().toISOString()
+      })
+      .eq('id', editRequestId)
+      .eq('status', 'pending')
+      .contains('required_user_ids', [userId])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await notifyEditRequester(editRequest, 'expense_edit_rejected',
+      reason ? `Your expense change was declined: ${reason}` : 'Your expense change was declined');
+
     return { success: true };
+  } catch (error) {
+    console.error('Error rejecting expense edit:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get the saved versions of an expense, newest first
+ * @param {string} expenseId - The expense ID
+ * @returns {Promise<Object>} - Object containing success status and versions ({ version, snapshot, edited_by, created_at })
+ */
+export const getExpenseHistory = async (expenseId) => {
+  try {
+    const { data, error } = await supabase
+      .from('expense_versions')
+      .select(`
+        *,
+        editor:profiles!expense_versions_edited_by_fkey(id, full_name, avatar_url)
+      `)
+      .eq('expense_id', expenseId)
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+    return { success: true, versions: data || [] };
+  } catch (error) {
+    console.error('Error fetching expense history:', error);
+    return { success: false, error: error.message, versions: [] };
+  }
+};
+
+/**
+ * Delete an expense. It disappears from balances and lists straight away
+ * but can be restored for EXPENSE_RESTORE_WINDOW_DAYS; purgeDeletedExpenses
+ * removes it for good after that.
+ * @param {string} expenseId - The expense ID
+ * @param {string} userId - The user deleting the expense
+ * @returns {Promise<Object>} - Object containing success status and the restore deadline
+ */
+export const deleteExpense = async (expenseId, userId = null) => {
+  try {
+    const deletedAt = new Date();
+
+    const { data, error } = await supabase
+      .from('expenses')
+      .update({ deleted_at: deletedAt.toISOString(), deleted_by: userId })
+      .eq('id', expenseId)
+      .is('deleted_at', null)
+      .select('id, group_id')
+      .single();
+
+    if (error) throw error;
+
+    await logExpenseActivity(data, userId, 'deleted');
+    await invalidateTable('expenses', { eventType: 'DELETE', old: { id: expenseId } });
+
+    const restoreUntil = new Date(deletedAt.getTime() + EXPENSE_RESTORE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    return { success: true, restoreUntil: restoreUntil.toISOString() };
   } catch (error) {
     console.error('Error deleting expense:', error.message);
     return { success: false, error: error.message };
   }
 };
 
+/**
+ * Bring back a deleted expense within the restore window
+ * @param {string} expenseId - The expense ID
+ * @param {string} userId - The user restoring the expense
+ * @returns {Promise<Object>} - Object containing success status and the restored expense
+ */
+export const restoreExpense = async (expenseId, userId = null) => {
+  try {
+    const { data: expense, error: fetchError } = await supabase
+      .from('expenses')
+      .select('id, group_id, deleted_at')
+      .eq('id', expenseId)
+      .single();
+
+    if (fetchError) throw fetchError;
+    if (!expense.deleted_at) throw new Error('This expense is not deleted');
+
+    const windowMs = EXPENSE_RESTORE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    if (Date.now() - new Date(expense.deleted_at).getTime() > windowMs) {
+      throw new Error(`Expenses can only be restored within ${EXPENSE_RESTORE_WINDOW_DAYS} days`);
+    }
+
+    const { data, error } = await supabase
+      .from('expenses')
+      .update({ deleted_at: null, deleted_by: null })
+      .eq('id', expenseId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await logExpenseActivity(expense, userId, 'restored');
+    await invalidateTable('expenses');
+
+    return { success: true, expense: data };
+  } catch (error) {
+    console.error('Error restoring expense:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get a group's deleted expenses that can still be restored
+ * @param {string} groupId - The group ID
+ * @returns {Promise<Object>} - Object containing success status and expenses with restore_until
+ */
+export const getDeletedExpenses = async (groupId) => {
+  try {
+    const windowMs = EXPENSE_RESTORE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    const cutoff = new Date(Date.now() - windowMs).toISOString();
+
+    const { data, error } = await supabase
+      .from('expenses')
+      .select('id, description, amount, currency, date, deleted_at, deleted_by')
+      .eq('group_id', groupId)
+      .gte('deleted_at', cutoff)
+      .order('deleted_at', { ascending: false });
+
+    if (error) throw error;
+
+    const expenses = (data || []).map(expense => ({
+      ...expense,
+      restore_until: new Date(new Date(expense.deleted_at).getTime() + windowMs).toISOString()
+    }));
+
+    return { success: true, expenses };
+  } catch (error) {
+    console.error('Error fetching deleted expenses:', error.message);
+    return { success: false, error: error.message, expenses: [] };
+  }
+};
+
+/**
+ * Permanently remove a group's expenses deleted longer ago than the restore
+ * window, with their receipts and shares
+ * @param {string} groupId - The group ID
+ * @returns {Promise<Object>} - Object containing success status and number of expenses purged
+ */
+export const purgeDeletedExpenses = async (groupId) => {
+  try {
+    const cutoff = new Date(Date.now() - EXPENSE_RESTORE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data: expired, error: fetchError } = await supabase
+      .from('expenses')
+      .select('id')
+      .eq('group_id', groupId)
+      .lt('deleted_at', cutoff);
+
+    if (fetchError) throw fetchError;
+
+    for (const expense of expired || []) {
+      // Storage files are not covered by foreign keys, remove them first
+      const receiptCleanup = await deleteExpenseReceipts(expense.id);
+      if (!receiptCleanup.success) {
+        console.warn('Could not remove receipts for expense:', receiptCleanup.error);
+      }
+
+      // This will cascade delete related expense shares due to foreign key constraints
+      const { error } = await supabase
+        .from('expenses')
+        .delete()
+        .eq('id', expense.id);
+
+      if (error) throw error;
+    }
+
+    if ((expired || []).length > 0) await invalidateTable('expenses');
+    return { success: true, purged: (expired || []).length };
+  } catch (error) {
+    console.error('Error purging deleted expenses:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
 // Mark a share as paid
 export const markShareAsPaid = async (shareId, isPaid = true) => {
   try {
@@ -85,6 +759,8 @@ export const markShareAsPaid = async (shareId, isPaid = true) => {
       .select();
     
     if (error) throw error;
+
+    await invalidateTable('expenses');
     return { success: true, share: data[0] };
   } catch (error) {
     console.error('Error updating payment status:', error.message);
@@ -92,31 +768,156 @@ export const markShareAsPaid = async (shareId, isPaid = true) => {
   }
 };
 
-// Get expense summary for a group
-export const getExpenseSummary = async (groupId) => {
+/**
+ * Get expense summary for a group. The get_expense_summary fields are
+ * returned as before, with totals and balances in the group's base
+ * currency added alongside.
+ * @param {string} groupId - The group ID
+ * @param {Object} options - Options
+ * @param {string} options.userId - Also report totals in this user's preferred currency
+ * @param {string} options.displayCurrency - Explicit currency to also report totals in
+ * @returns {Promise<Object>} - Success status and summary
+ */
+export const getExpenseSummary = async (groupId, options = {}) => {
   try {
-    const { data, error } = await supabase.rpc('get_expense_summary', {
+    const { data, error: summaryError } = await supabase.rpc('get_expense_summary', {
       group_id_param: groupId
     });
     
+    if (summaryError) throw summaryError;
+    
+    const baseCurrency = await requireBaseCurrency(groupId);
+    
+    const { data: expenses, error } = await supabase
+      .from('expenses')
+      .select(`
+        id, amount, currency, base_currency, exchange_rate, date, created_by, paid_by,
+        expense_shares(user_id, amount, amount_paid, paid)
+      `)
+      .eq('group_id', groupId)
+      .is('deleted_at', null);
+    
     if (error) throw error;
-    return { success: true, summary: data };
+    
+    const toBase = await getBaseConverter(expenses, baseCurrency);
+    
+    let totalSpent = 0;
+    let totalOutstanding = 0;
+    const balances = {};
+    const addBalance = (userId, amount) => {
+      balances[userId] = (balances[userId] || 0) + amount;
+    };
+    
+    (expenses || []).forEach(expense => {
+      totalSpent += toBase(expense, parseFloat(expense.amount));
+      
+      // Unpaid parts of other people's shares are owed to whoever paid
+      const payer = expense.paid_by || expense.created_by;
+      (expense.expense_shares || []).forEach(share => {
+        if (share.paid || share.user_id === payer) return;
+        
+        const unpaid = parseFloat(share.amount) - parseFloat(share.amount_paid || 0);
+        if (unpaid <= 0) return;
+        
+        const unpaidBase = toBase(expense, unpaid);
+        totalOutstanding += unpaidBase;
+        addBalance(payer, unpaidBase);
+        addBalance(share.user_id, -unpaidBase);
+      });
+    });
+    
+    const round = (amount) => Math.round(amount * 100) / 100;
+    const summary = {
+      ...data,
+      currency: baseCurrency,
+      totalSpent: round(totalSpent),
+      totalOutstanding: round(totalOutstanding),
+      expenseCount: expenses?.length || 0,
+      balances: Object.entries(balances).map(([userId, balance]) => ({
+        userId,
+        balance: round(balance)
+      }))
+    };
+    
+    // Optionally repeat the totals in the viewer's own currency
+    let displayCurrency = options.displayCurrency;
+    if (!displayCurrency && options.userId) {
+      const { data: profile } = await supabase
+        .from('profiles')
+        .select('preferred_currency')
+        .eq('id', options.userId)
+        .single();
+      
+      displayCurrency = profile?.preferred_currency;
+    }
+    
+    if (displayCurrency && displayCurrency !== baseCurrency) {
+      const conversion = await convertCurrency(1, baseCurrency, displayCurrency);
+      if (conversion.success) {
+        summary.display = {
+          currency: displayCurrency,
+          rate: conversion.rate,
+          stale: conversion.stale,
+          totalSpent: round(summary.totalSpent * conversion.rate),
+          totalOutstanding: round(summary.totalOutstanding * conversion.rate),
+          balances: summary.balances.map(entry => ({
+            ...entry,
+            balance: round(entry.balance * conversion.rate)
+          }))
+        };
+      }
+    }
+    
+    return { success: true, summary };
   } catch (error) {
     console.error('Error fetching expense summary:', error.message);
     return { success: false, error: error.message };
   }
 };
 
-// Set up a real-time subscription to expenses
+// Whether a share event is about one of a group's expenses. expense_shares
+// has no group column to filter the subscription on, so the expense is
+// looked up in the cached list first and on the server otherwise.
+const isShareOfGroup = async (groupId, payload) => {
+  const expenseId = payload.new?.expense_id || payload.old?.expense_id;
+  // Deletes may only carry the share ID
+  if (!expenseId) return true;
+
+  const cached = await readCachedQuery(`expenses:group:${groupId}`);
+  if (cached?.rows.some(expense => expense.id === expenseId)) return true;
+
+  const { data, error } = await supabase
+    .from('expenses')
+    .select('group_id')
+    .eq('id', expenseId)
+    .maybeSingle();
+
+  if (error) return true;
+  return data?.group_id === groupId;
+};
+
+// Set up a real-time subscription to expenses; changes also invalidate the read cache
 export const subscribeToExpenses = (groupId, callback) => {
   return supabase
-    .channel('expenses-channel')
+    .channel(`expenses-${groupId}`)
     .on('postgres_changes', {
       event: '*',
       schema: 'public',
       table: 'expenses',
       filter: `group_id=eq.${groupId}`
-    }, (payload) => {
+    }, async (payload) => {
+      await invalidateTable('expenses', payload);
+      callback(payload);
+    })
+    .on('postgres_changes', {
+      event: '*',
+      schema: 'public',
+      table: 'expense_shares'
+    }, async (payload) => {
+      if (!(await isShareOfGroup(groupId, payload))) return;
+
+      // Shares are cached inside their expense, so a paid share makes the list stale
+      await invalidateTable('expenses');
       callback(payload);
     })
     .subscribe();
@@ -135,7 +936,7 @@ export const createPendingShare = async (expenseId, email, amount) => {
       .from('pending_expense_shares')
       .insert({
         expense_id: expenseId,
-        email: email,
+        email: email.trim().toLowerCase(),
         amount: parseFloat(amount),
         created_at: new Date().toISOString(),
         status: 'pending'
@@ -154,150 +955,420 @@ export const createPendingShare = async (expenseId, email, amount) => {
 // Get pending shares for an expense
 export const getPendingShares = async (expenseId) => {
   try {
-    const { data, error } = await supabase
-      .from('pending_expense_shares')
-      .select('*')
-      .eq('expense_id', expenseId);
+    const { data, error } = await supabase
+      .from('pending_expense_shares')
+      .select('*')
+      .eq('expense_id', expenseId);
+    
+    if (error) throw error;
+    
+    return { success: true, pendingShares: data };
+  } catch (error) {
+    console.error('Error getting pending shares:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Get pending shares for an email
+export const getPendingSharesByEmail = async (email) => {
+  try {
+    const { data, error } = await supabase
+      .from('pending_expense_shares')
+      .select(`
+        *,
+        expense:expenses(id, description, amount, date, category)
+      `)
+      .eq('email', email);
+    
+    if (error) throw error;
+    
+    return { success: true, pendingShares: data };
+  } catch (error) {
+    console.error('Error getting pending shares by email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Turn the pending shares waiting for the signed-in user's confirmed email
+ * into real shares, and let each expense's creator know. Shares of group
+ * expenses wait until the user has joined the group.
+ * @returns {Promise<Object>} - Object containing success status, number claimed, number still waiting and failures
+ */
+export const claimPendingShares = async () => {
+  try {
+    // claim_pending_shares works from the session's own email, so nobody
+    // can claim shares sent to an address they do not control
+    const { data: result, error } = await supabase.rpc('claim_pending_shares');
+
+    if (error) throw error;
+
+    for (const pending of result.claimed) {
+      const { error: notifError } = await supabase
+        .from('notifications')
+        .insert([{
+          user_id: pending.created_by,
+          type: 'pending_share_claimed',
+          title: 'Share Claimed',
+          message: `${result.email} joined and their share of ${pending.description} is now linked to their account`,
+          read: false,
+          data: { expense_id: pending.expense_id, user_id: result.user_id, amount: pending.amount }
+        }]);
+
+      if (notifError) console.error('Error creating notification:', notifError);
+    }
+
+    if (result.claimed.length > 0) await invalidateTable('expenses');
+    return {
+      success: result.failed.length === 0,
+      claimed: result.claimed.length,
+      waiting: result.waiting,
+      failed: result.failed
+    };
+  } catch (error) {
+    console.error('Error claiming pending shares:', error.message);
+    return { success: false, error: error.message, claimed: 0 };
+  }
+};
+
+/**
+ * Work out how a payment is spread over unpaid shares, oldest first
+ * @param {Array} shares - Shares with amount and amount_paid
+ * @param {number} amount - Payment amount
+ * @returns {Object} - Allocations per share and any amount left over
+ */
+const planShareAllocations = (shares, amount) => {
+  let remainingCents = toCents(amount);
+  const allocations = [];
+
+  for (const share of shares || []) {
+    if (remainingCents <= 0) break;
+
+    const owedCents = toCents(share.amount);
+    const paidBeforeCents = toCents(share.amount_paid || 0);
+    const outstandingCents = owedCents - paidBeforeCents;
+    if (outstandingCents <= 0) continue;
+
+    const appliedCents = Math.min(outstandingCents, remainingCents);
+    remainingCents -= appliedCents;
+
+    allocations.push({
+      share_id: share.id,
+      expense_id: share.expense_id,
+      share_amount: fromCents(owedCents),
+      paid_before: fromCents(paidBeforeCents),
+      amount: fromCents(appliedCents),
+      paid_after: fromCents(paidBeforeCents + appliedCents),
+      clears_share: paidBeforeCents + appliedCents >= owedCents
+    });
+  }
+
+  return { allocations, unallocated: fromCents(remainingCents) };
+};
+
+/**
+ * Fetch the payer's unpaid shares that a settlement can be allocated to:
+ * only shares in the settlement's group on expenses paid by the recipient
+ * (paid_by, or created_by when the expense does not record a payer).
+ * A direct settlement covers one-on-one friend expenses instead of a group.
+ * @param {Object} settlementData - Settlement information (group_id, or direct: true; optional currency)
+ * @returns {Promise<Array>} - Unpaid shares, oldest first
+ */
+const getSettleableShares = async (settlementData) => {
+  const direct = settlementData.direct === true;
+  if (!direct && !settlementData.group_id) throw new Error('Group ID is required');
+  if (!settlementData.from_user_id || !settlementData.to_user_id) {
+    throw new Error('Both users are required for a settlement');
+  }
+  if (settlementData.from_user_id === settlementData.to_user_id) {
+    throw new Error('Cannot settle with yourself');
+  }
+
+  let query = supabase
+    .from('expense_shares')
+    .select(`
+      id,
+      amount,
+      amount_paid,
+      expense_id,
+      user_id,
+      paid,
+      created_at,
+      expense:expenses!inner(id, description, date, group_id, created_by, paid_by, currency)
+    `)
+    .eq('user_id', settlementData.from_user_id)
+    .eq('paid', false)
+    .is('expense.deleted_at', null);
+
+  query = direct
+    ? query.is('expense.group_id', null)
+    : query.eq('expense.group_id', settlementData.group_id);
+
+  // Shares in other currencies cannot be paid off by this amount
+  if (settlementData.currency) {
+    query = query.eq('expense.currency', settlementData.currency);
+  }
+
+  const { data: shares, error } = await query.order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  // Expenses may record who paid separately from who entered them; the
+  // payer is owed, the same rule balances use
+  return (shares || [])
+    .filter(share => (share.expense.paid_by || share.expense.created_by) === settlementData.to_user_id);
+};
+
+/**
+ * Preview which shares a settlement amount would clear, without writing anything
+ * @param {Object} settlementData - group_id, from_user_id, to_user_id and amount
+ * @returns {Promise<Object>} - Success status, allocations, amount left over and total owed
+ */
+export const previewSettlement = async (settlementData) => {
+  try {
+    const shares = await getSettleableShares(settlementData);
+    const { allocations, unallocated } = planShareAllocations(shares, settlementData.amount);
+
+    const sharesById = {};
+    shares.forEach(share => { sharesById[share.id] = share; });
+
+    const totalOwedCents = shares.reduce(
+      (sum, share) => sum + toCents(share.amount) - toCents(share.amount_paid || 0),
+      0
+    );
+
+    return {
+      success: true,
+      allocations: allocations.map(allocation => ({
+        ...allocation,
+        description: sharesById[allocation.share_id]?.expense?.description,
+        date: sharesById[allocation.share_id]?.expense?.date
+      })),
+      unallocated,
+      totalOwed: fromCents(totalOwedCents)
+    };
+  } catch (error) {
+    console.error('Error previewing settlement:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Work out what recording a settlement will write: the settlement row and
+ * the share payments it makes
+ * @param {Object} settlementData - Settlement information
+ * @param {Object} plannedCents - Share ID -> cents already allocated by settlements recorded in the same transaction
+ * @returns {Promise<Object>} - { settlement_data, allocations, unallocated } for the record_settlement function
+ */
+const planSettlement = async (settlementData, plannedCents = {}) => {
+  const shares = (await getSettleableShares(settlementData)).map(share => (plannedCents[share.id]
+    ? { ...share, amount_paid: fromCents(toCents(share.amount_paid || 0) + plannedCents[share.id]) }
+    : share));
+  const { allocations, unallocated } = planShareAllocations(shares, settlementData.amount);
+
+  // A settlement is in the currency of the shares it pays
+  const allocatedCurrencies = [...new Set(shares
+    .filter(share => allocations.some(allocation => allocation.share_id === share.id))
+    .map(share => share.expense.currency))];
+  const currency = settlementData.currency ||
+    (allocatedCurrencies.length === 1 ? allocatedCurrencies[0] : null);
+
+  return {
+    settlement_data: {
+      group_id: settlementData.group_id || null,
+      from_user_id: settlementData.from_user_id,
+      to_user_id: settlementData.to_user_id,
+      amount: settlementData.amount,
+      currency,
+      payment_method: settlementData.payment_method || 'cash',
+      note: settlementData.note || '',
+      status: 'completed',
+      client_ref: settlementData.client_ref || null,
+      created_at: new Date().toISOString(),
+      completed_at: new Date().toISOString(),
+    },
+    allocations,
+    unallocated
+  };
+};
+
+const formatSettlementAmount = (amount, currency) =>
+  !currency || currency === 'USD' ? `$${amount}` : `${amount} ${currency}`;
+
+/**
+ * Tell both parties about a recorded settlement. Offsets move no money, so
+ * they are described as balances cancelling out rather than a payment.
+ */
+const notifySettlement = async (settlement, allocations) => {
+  const paidShares = allocations.filter(allocation => allocation.clears_share).length;
+  const partialShares = allocations.length - paidShares;
+  const amount = formatSettlementAmount(settlement.amount, settlement.currency);
+  const data = { settlement_id: settlement.id, total_amount: settlement.amount, currency: settlement.currency, shares_paid: paidShares, shares_partially_paid: partialShares };
+  const offset = settlement.payment_method === 'offset';
+
+  const { error: notifError } = await supabase
+    .from('notifications')
+    .insert([
+      {
+        user_id: settlement.from_user_id,
+        type: 'payment',
+        title: offset ? 'Balances Offset' : 'Payment Sent',
+        message: offset
+          ? `${amount} you owed was cancelled out by money owed to you`
+          : `You sent ${amount} to settle expenses`,
+        data
+      },
+      {
+        user_id: settlement.to_user_id,
+        type: 'payment',
+        title: offset ? 'Balances Offset' : 'Payment Received',
+        message: offset
+          ? `${amount} owed to you was cancelled out by money you owe`
+          : `You received ${amount} settlement payment`,
+        data
+      }
+    ]);
+
+  if (notifError) console.error('Error creating notification:', notifError);
+
+  return { paidShares, partialShares };
+};
+
+const toRpcAllocations = (allocations) => allocations.map(allocation => ({
+  share_id: allocation.share_id,
+  amount: allocation.amount
+}));
+
+/**
+ * Record a settlement between users. The amount is allocated oldest first
+ * to the payer's unpaid shares in the settlement's group on expenses paid
+ * by the recipient; each allocation is written to the
+ * expense_share_payments ledger and shares keep their original amount.
+ * The settlement and its payments are written in one transaction by the
+ * record_settlement function, so either both exist or neither does.
+ * @param {Object} settlementData - Settlement information
+ * @returns {Promise<Object>} - Success status and any error
+ */
+export const recordSettlement = async (settlementData) => {
+  try {
+    const { settlement_data, allocations, unallocated } = await planSettlement(settlementData);
     
-    if (error) throw error;
+    const { data: settlement, error: settlementError } = await supabase.rpc('record_settlement', {
+      settlement_data,
+      allocations: toRpcAllocations(allocations)
+    });
+
+    if (settlementError) throw settlementError;
     
-    return { success: true, pendingShares: data };
+    // Shares are cached inside their expense
+    await invalidateTable('expenses');
+    const { paidShares, partialShares } = await notifySettlement(settlement, allocations);
+
+    return {
+      success: true,
+      settlement,
+      paidShares,
+      partialShares,
+      allocations,
+      unallocated
+    };
   } catch (error) {
-    console.error('Error getting pending shares:', error.message);
+    console.error('Error recording settlement:', error);
     return { success: false, error: error.message };
   }
 };
 
-// Get pending shares for an email
-export const getPendingSharesByEmail = async (email) => {
+/**
+ * Record several settlements in one transaction (record_settlements), so
+ * either all of them and their share payments are written or none are
+ * @param {Array<Object>} settlementsData - Settlement information, see recordSettlement
+ * @returns {Promise<Object>} - Success status and the recorded settlements, in order
+ */
+export const recordSettlements = async (settlementsData) => {
   try {
-    const { data, error } = await supabase
-      .from('pending_expense_shares')
-      .select(`
-        *,
-        expense:expenses(id, description, amount, date, category)
-      `)
-      .eq('email', email);
-    
+    // Settlements between the same people in the same group (an offset and
+    // a cash payment) must not both pay the same part of a share
+    const plans = [];
+    const plannedCents = {};
+    for (const settlementData of settlementsData) {
+      const plan = await planSettlement(settlementData, plannedCents);
+      plan.allocations.forEach(allocation => {
+        plannedCents[allocation.share_id] = (plannedCents[allocation.share_id] || 0) + toCents(allocation.amount);
+      });
+      plans.push(plan);
+    }
+
+    const { data: settlements, error } = await supabase.rpc('record_settlements', {
+      settlements: plans.map(plan => ({
+        settlement_data: plan.settlement_data,
+        allocations: toRpcAllocations(plan.allocations)
+      }))
+    });
+
     if (error) throw error;
-    
-    return { success: true, pendingShares: data };
+
+    await invalidateTable('expenses');
+    for (let i = 0; i < settlements.length; i++) {
+      await notifySettlement(settlements[i], plans[i].allocations);
+    }
+
+    return { success: true, settlements };
   } catch (error) {
-    console.error('Error getting pending shares by email:', error.message);
+    console.error('Error recording settlements:', error);
     return { success: false, error: error.message };
   }
 };
 
 /**
- * Record a settlement between users (simplified version)
- * @param {Object} settlementData - Settlement information
- * @returns {Promise<Object>} - Success status and any error
+ * Void a settlement that was recorded by mistake. The shares it paid are
+ * restored to their prior state and both parties are notified.
+ * @param {string} settlementId - The settlement ID
+ * @param {string} voidedBy - User voiding the settlement (must be one of the parties)
+ * @param {string} reason - Why the settlement is being voided
+ * @returns {Promise<Object>} - Success status and the voided settlement
  */
-export const recordSettlement = async (settlementData) => {
+export const voidSettlement = async (settlementId, voidedBy, reason = '') => {
   try {
-    // Find unpaid expense shares between these users
-    const { data: fromUserShares, error: sharesError } = await supabase
-      .from('expense_shares')
-      .select(`
-        id,
-        amount,
-        expense_id,
-        user_id,
-        paid
-      `)
-      .eq('user_id', settlementData.from_user_id)
-      .eq('paid', false)
-      .order('created_at', { ascending: true });
-    
-    if (sharesError) throw sharesError;
+    // void_settlement locks the settlement, checks it can be voided and
+    // reverses its share payments in one transaction
+    const { data: result, error: voidError } = await supabase.rpc('void_settlement', {
+      p_settlement_id: settlementId,
+      p_voided_by: voidedBy,
+      p_reason: reason
+    });
     
-    // Mark shares as paid up to the settlement amount
-    let remainingAmount = settlementData.amount;
-    const paidShareIds = [];
+    if (voidError) throw voidError;
     
-    for (const share of fromUserShares || []) {
-      if (remainingAmount <= 0) break;
-
-      if (share.amount <= remainingAmount) {
-        // Fully pay this share
-        paidShareIds.push(share.id);
-        remainingAmount -= share.amount;
-      } else {
-        // Partial payment: deduct from share, don't mark as fully paid
-        // (You'd need a column to track partially paid amounts or split the share)
-        const partialPaid = share.amount - remainingAmount;
-        // Update share with the new remaining balance
-        const { error: partialError } = await supabase
-          .from('expense_shares')
-          .update({
-            amount: partialPaid, // The leftover after partial payment
-            payment_method: settlementData.payment_method,
-            settlement_note: settlementData.note
-          })
-          .eq('id', share.id);
-
-        if (partialError) throw partialError;
-
-        remainingAmount = 0;
-      }
-    }
-
-    if (paidShareIds.length > 0) {
-      // Mark fully covered shares as paid
-      const { error: updateError } = await supabase
-        .from('expense_shares')
-        .update({
-          paid: true,
-          paid_at: new Date(),
-          payment_method: settlementData.payment_method,
-          settlement_note: settlementData.note
-        })
-        .in('id', paidShareIds);
-
-      if (updateError) throw updateError;
-    }
+    const settlement = result.settlement;
+    const amount = formatSettlementAmount(settlement.amount, settlement.currency);
+    const message = reason
+      ? `A ${amount} settlement was voided: ${reason}`
+      : `A ${amount} settlement was voided`;
     
-    // Create notifications
     const { error: notifError } = await supabase
       .from('notifications')
-      .insert([
-        {
-          user_id: settlementData.from_user_id,
-          type: 'payment',
-          title: 'Payment Sent',
-          message: `You sent $${settlementData.amount} to settle expenses`,
-          data: { total_amount: settlementData.amount, shares_paid: paidShareIds.length }
-        },
-        {
-          user_id: settlementData.to_user_id,
-          type: 'payment',
-          title: 'Payment Received',
-          message: `You received $${settlementData.amount} settlement payment`,
-          data: { total_amount: settlementData.amount, shares_paid: paidShareIds.length }
+      .insert([settlement.from_user_id, settlement.to_user_id].map(userId => ({
+        user_id: userId,
+        type: 'payment',
+        title: 'Settlement Voided',
+        message,
+        read: false,
+        data: {
+          settlement_id: settlementId,
+          amount: settlement.amount,
+          currency: settlement.currency,
+          voided_by: voidedBy,
+          reason,
+          shares_restored: result.restored_shares
         }
-      ]);
+      })));
     
-    // After paying shares, insert a record in expense_settlements
-    const { data: settlementInsert, error: settlementError } = await supabase
-      .from('expense_settlements')
-      .insert({
-        group_id: settlementData.group_id,
-        from_user_id: settlementData.from_user_id,
-        to_user_id: settlementData.to_user_id,
-        amount: settlementData.amount,
-        payment_method: settlementData.payment_method || 'cash',
-        note: settlementData.note || '',
-        status: 'completed',
-        created_at: new Date().toISOString(),
-        completed_at: new Date().toISOString(),
-      })
-      .single();
-
-    if (settlementError) throw settlementError;
-
-    return { success: true, paidShares: paidShareIds.length };
+    if (notifError) console.error('Error creating notification:', notifError);
+    
+    await invalidateTable('expenses');
+    return { success: true, settlement, restoredShares: result.restored_shares };
   } catch (error) {
-    console.error('Error recording settlement:', error);
+    console.error('Error voiding settlement:', error);
     return { success: false, error: error.message };
   }
 };
@@ -305,184 +1376,51 @@ export const recordSettlement = async (settlementData) => {
 /**
  * Get simplified/optimized debts for a group
  * @param {string} groupId - Group ID
- * @param {string} userId - Current user ID
+ * @param {Object} options - Simplification options, see simplifyDebts in utils/debtSimplifier. In
+ *   'base_currency' mode each expense is converted with its stored exchange rate, as getExpenseSummary does.
  * @returns {Promise<Object>} - Success status and optimized settlements
  */
-export const getSimplifiedDebts = async (groupId, userId) => {
+export const getSimplifiedDebts = async (groupId, options = {}) => {
   try {
-    // Step 1: Get all debts in the group
-    const { data: debts, error: debtsError } = await supabase.rpc('get_all_group_debts', {
-      p_group_id: groupId
-    });
+    // Step 1: Work out the debts from the group's expenses. Deleted
+    // expenses are left out; they can still be restored.
+    const { data: expenses, error: expensesError } = await supabase
+      .from('expenses')
+      .select('*, expense_shares(user_id, amount, amount_paid, paid)')
+      .eq('group_id', groupId)
+      .is('deleted_at', null);
+    
+    if (expensesError) throw expensesError;
     
-    if (debtsError) throw debtsError;
+    let debts = getDebtsFromExpenses(expenses);
+    let simplifyOptions = options;
+    
+    // Convert each expense's debts at the rate stored on it, so the
+    // transfers match the balances getExpenseSummary reports
+    if (options.mode === 'base_currency') {
+      const baseCurrency = options.baseCurrency || await requireBaseCurrency(groupId);
+      const toBase = await getBaseConverter(expenses, baseCurrency);
+      debts = (expenses || []).flatMap(expense =>
+        getDebtsFromExpenses([expense]).map(debt => ({
+          ...debt,
+          amount: toBase(expense, debt.amount),
+          currency: baseCurrency
+        }))
+      );
+      simplifyOptions = { ...options, mode: 'per_currency' };
+    }
     
     // If there are no debts, return empty array
     if (!debts || debts.length === 0) {
       return { success: true, settlements: [] };
     }
     
-    // Step 2: Build a debt graph
-    const debtGraph = {};
-    const currencies = new Set();
-    
-    // Initialize debtGraph with all members
-    debts.forEach(debt => {
-      if (!debtGraph[debt.from_user_id]) {
-        debtGraph[debt.from_user_id] = {};
-      }
-      if (!debtGraph[debt.to_user_id]) {
-        debtGraph[debt.to_user_id] = {};
-      }
-      
-      // Track all currencies used
-      currencies.add(debt.currency);
-    });
-    
-    // Calculate net debts - group by currency
-    debts.forEach(debt => {
-      const { from_user_id, to_user_id, amount, currency } = debt;
-      
-      if (!debtGraph[from_user_id][to_user_id]) {
-        debtGraph[from_user_id][to_user_id] = {};
-      }
-      
-      if (!debtGraph[to_user_id][from_user_id]) {
-        debtGraph[to_user_id][from_user_id] = {};
-      }
-      
-      if (!debtGraph[from_user_id][to_user_id][currency]) {
-        debtGraph[from_user_id][to_user_id][currency] = 0;
-      }
-      
-      if (!debtGraph[to_user_id][from_user_id][currency]) {
-        debtGraph[to_user_id][from_user_id][currency] = 0;
-      }
-      
-      // Add this debt to the graph
-      debtGraph[from_user_id][to_user_id][currency] += amount;
-      // Subtract from any reverse debt
-      debtGraph[to_user_id][from_user_id][currency] -= amount;
-    });
-    
-    // Step 3: Resolve bidirectional debts for each currency
-    const netDebts = [];
-    
-    // Process each currency separately
-    for (const currency of currencies) {
-      for (const [fromUser, toUsers] of Object.entries(debtGraph)) {
-        for (const [toUser, debts] of Object.entries(toUsers)) {
-          const amount = debts[currency];
-          
-          // Only consider positive debts and avoid duplicates
-          if (amount > 0 && fromUser < toUser) {
-            // Calculate net amount between these two users in this currency
-            const netAmount = Math.max(0, amount - (debtGraph[toUser]?.[fromUser]?.[currency] || 0));
-            
-            // Apply a minimum threshold (e.g., $0.01) to avoid tiny transactions
-            if (netAmount >= 0.01) {
-              // Determine the direction of the net debt
-              let from = fromUser;
-              let to = toUser;
-              
-              // If the reverse debt is bigger, flip direction
-              if ((debtGraph[toUser]?.[fromUser]?.[currency] || 0) > amount) {
-                from = toUser;
-                to = fromUser;
-              }
-              
-              netDebts.push({
-                from_user_id: from,
-                to_user_id: to,
-                amount: Math.round(netAmount * 100) / 100, // Round to nearest cent
-                currency
-              });
-            }
-          }
-        }
-      }
-    }
-    
-    // Step 4: Optimize the settlement graph (minimum-cash-flow algorithm)
-    
-    // Process each currency separately
-    const optimizedSettlements = [];
-    
-    for (const currency of currencies) {
-      // Calculate the net balance for each user in this currency
-      const balances = {};
-      netDebts.forEach(debt => {
-        if (debt.currency !== currency) return;
-        
-        if (!balances[debt.from_user_id]) balances[debt.from_user_id] = 0;
-        if (!balances[debt.to_user_id]) balances[debt.to_user_id] = 0;
-        
-        balances[debt.from_user_id] -= debt.amount;
-        balances[debt.to_user_id] += debt.amount;
-      });
-      
-      // Initialize arrays of creditors and debtors
-      const creditors = [];
-      const debtors = [];
-      
-      // Separate users into creditors and debtors based on their net balance
-      for (const [userId, balance] of Object.entries(balances)) {
-        // Use a small epsilon (0.01) to handle floating point errors
-        if (balance > 0.01) {
-          creditors.push({ id: userId, amount: balance });
-        } else if (balance < -0.01) {
-          debtors.push({ id: userId, amount: -balance });
-        }
-      }
-      
-      // Sort creditors and debtors by amount (descending)
-      creditors.sort((a, b) => b.amount - a.amount);
-      debtors.sort((a, b) => b.amount - a.amount);
-      
-      // Generate optimized settlements for this currency
-      while (creditors.length > 0 && debtors.length > 0) {
-        const creditor = creditors[0];
-        const debtor = debtors[0];
-        
-        // Get the minimum of what debtor owes and what creditor is owed
-        const amount = Math.min(creditor.amount, debtor.amount);
-        
-        // Round to nearest cent to avoid floating point issues
-        const roundedAmount = Math.round(amount * 100) / 100;
-        
-        // Skip very small settlements (less than $0.01)
-        if (roundedAmount < 0.01) {
-          // Remove exhausted users
-          if (Math.abs(creditor.amount - amount) < 0.01) creditors.shift();
-          else creditors[0].amount -= amount;
-          
-          if (Math.abs(debtor.amount - amount) < 0.01) debtors.shift();
-          else debtors[0].amount -= amount;
-          
-          continue;
-        }
-        
-        // Remove the user who gets fully settled
-        if (Math.abs(creditor.amount - amount) < 0.01) creditors.shift();
-        else creditors[0].amount -= amount;
-        
-        if (Math.abs(debtor.amount - amount) < 0.01) debtors.shift();
-        else debtors[0].amount -= amount;
-        
-        // Create a new optimized settlement
-        optimizedSettlements.push({
-          from_user_id: debtor.id,
-          to_user_id: creditor.id,
-          amount: roundedAmount,
-          currency,
-          optimized: true
-        });
-      }
-    }
+    // Step 2: Net and simplify the debts
+    const { netDebts, transfers, stats } = simplifyDebts(debts, simplifyOptions);
     
-    // Step 5: Fetch user details for all involved users
+    // Step 3: Fetch user details for all involved users
     const userIds = new Set();
-    [...netDebts, ...optimizedSettlements].forEach(debt => {
+    netDebts.forEach(debt => {
       userIds.add(debt.from_user_id);
       userIds.add(debt.to_user_id);
     });
@@ -513,42 +1451,34 @@ export const getSimplifiedDebts = async (groupId, userId) => {
       optimized: false
     }));
     
-    // Map optimized settlements with replaced information
-    const mappedOptimizedSettlements = optimizedSettlements.map(debt => {
-      // Find which original settlements this optimized one replaces
-      const replaced = netDebts.filter(origDebt => 
-        (origDebt.from_user_id === debt.from_user_id && origDebt.to_user_id !== debt.to_user_id) ||
-        (origDebt.to_user_id === debt.to_user_id && origDebt.from_user_id !== debt.from_user_id)
-      ).map(origDebt => ({
-        from: profilesMap[origDebt.from_user_id],
-        to: profilesMap[origDebt.to_user_id],
-        amount: origDebt.amount,
-        currency: origDebt.currency
+    // Map optimized settlements with the original debts each one pays off
+    const mappedOptimizedSettlements = transfers.map(transfer => {
+      const replaced = transfer.covers.map(cover => ({
+        from: profilesMap[cover.from_user_id],
+        to: profilesMap[cover.to_user_id],
+        amount: cover.amount,
+        covered: cover.covered,
+        currency: cover.currency
       }));
       
       return {
-        from: profilesMap[debt.from_user_id],
-        to: profilesMap[debt.to_user_id],
-        amount: debt.amount,
-        currency: debt.currency,
+        from: profilesMap[transfer.from_user_id],
+        to: profilesMap[transfer.to_user_id],
+        amount: transfer.amount,
+        currency: transfer.currency,
         optimized: true,
         replaced: replaced.length > 0 ? replaced : null
       };
     });
     
     // Return either original or optimized settlements based on whether optimization reduced transactions
-    const hasOptimization = optimizedSettlements.length < netDebts.length;
+    const hasOptimization = stats.optimizedCount < stats.originalCount;
     
     return { 
       success: true, 
       settlements: hasOptimization ? mappedOptimizedSettlements : originalSettlements,
       optimized: hasOptimization,
-      stats: {
-        originalCount: netDebts.length,
-        optimizedCount: optimizedSettlements.length,
-        reductionPercent: netDebts.length > 0 ? 
-          Math.round((1 - optimizedSettlements.length / netDebts.length) * 100) : 0
-      }
+      stats
     };
   } catch (error) {
     console.error('Error calculating simplified debts:', error);
@@ -586,7 +1516,8 @@ export const getExpensePerformance = async (groupId) => {
           .from('expenses')
           .select('id, amount, date')
           .eq('created_by', member.user_id)
-          .eq('group_id', groupId);
+          .eq('group_id', groupId)
+          .is('deleted_at', null);
         
         if (expensesError) throw expensesError;
         
@@ -739,7 +1670,7 @@ const calculateExpenseScore = (metrics) => {
  * Get analytics data for a group
  * @param {string} groupId - The group ID
  * @param {string} userId - The current user ID
- * @param {Object} options - Options for filtering (timeRange, etc.)
+ * @param {Object} options - Options for filtering (timeRange in days, or startDate/endDate as YYYY-MM-DD)
  * @returns {Promise<Object>} - Object containing success status and analytics data
  */
 export const getExpenseAnalytics = async (groupId, userId, options = {}) => {
@@ -752,14 +1683,21 @@ export const getExpenseAnalytics = async (groupId, userId, options = {}) => {
     startDate.setDate(startDate.getDate() - timeRange);
     
     // Get expenses for the time range
-    const { data: expenses, error: expensesError } = await supabase
+    let expensesQuery = supabase
       .from('expenses')
       .select(`
         *,
-        created_by:profiles(id, full_name, avatar_url)
+        created_by:profiles!expenses_created_by_fkey(id, full_name, avatar_url)
       `)
       .eq('group_id', groupId)
-      .gte('date', startDate.toISOString().split('T')[0]);
+      .is('deleted_at', null)
+      .gte('date', options.startDate || startDate.toISOString().split('T')[0]);
+    
+    if (options.endDate) {
+      expensesQuery = expensesQuery.lte('date', options.endDate);
+    }
+    
+    const { data: expenses, error: expensesError } = await expensesQuery;
     
     if (expensesError) throw expensesError;
     
@@ -777,8 +1715,16 @@ export const getExpenseAnalytics = async (groupId, userId, options = {}) => {
       };
     }
     
+    // Report everything in the group's base currency
+    const baseCurrency = await requireBaseCurrency(groupId);
+    const toBase = await getBaseConverter(expenses, baseCurrency);
+    const baseAmounts = {};
+    expenses.forEach(expense => {
+      baseAmounts[expense.id] = toBase(expense, parseFloat(expense.amount));
+    });
+    
     // Calculate total spent
-    const totalSpent = expenses.reduce((sum, expense) => sum + parseFloat(expense.amount), 0);
+    const totalSpent = expenses.reduce((sum, expense) => sum + baseAmounts[expense.id], 0);
     
     // Calculate category breakdown
     const categoryMap = {};
@@ -787,7 +1733,7 @@ export const getExpenseAnalytics = async (groupId, userId, options = {}) => {
       if (!categoryMap[category]) {
         categoryMap[category] = 0;
       }
-      categoryMap[category] += parseFloat(expense.amount);
+      categoryMap[category] += baseAmounts[expense.id];
     });
     
     const categorySummary = Object.entries(categoryMap).map(([name, total]) => ({
@@ -805,7 +1751,7 @@ export const getExpenseAnalytics = async (groupId, userId, options = {}) => {
       if (!months[monthKey]) {
         months[monthKey] = { month: monthKey, total: 0 };
       }
-      months[monthKey].total += parseFloat(expense.amount);
+      months[monthKey].total += baseAmounts[expense.id];
     });
     
     const monthlyTrend = Object.values(months).sort((a, b) => a.month.localeCompare(b.month));
@@ -814,18 +1760,20 @@ export const getExpenseAnalytics = async (groupId, userId, options = {}) => {
     const { data: expenseShares, error: sharesError } = await supabase
       .from('expense_shares')
       .select(`
-        amount, paid,
-        expense:expenses(id, group_id),
+        amount, amount_paid, paid,
+        expense:expenses!inner(id, group_id, currency, base_currency, exchange_rate, date),
         user:profiles(id, full_name, avatar_url)
       `)
-      .eq('expense.group_id', groupId);
+      .eq('expense.group_id', groupId)
+      .is('expense.deleted_at', null);
     
     if (sharesError) throw sharesError;
     
     // Group by user
+    const toBaseShare = await getBaseConverter((expenseShares || []).map(share => share.expense || {}), baseCurrency);
     const userShareMap = {};
-    expenseShares?.forEach(share => {
-      if (!share.user || !share.user.id) return;
+    for (const share of expenseShares || []) {
+      if (!share.user || !share.user.id) continue;
       
       const userId = share.user.id;
       if (!userShareMap[userId]) {
@@ -838,13 +1786,14 @@ export const getExpenseAnalytics = async (groupId, userId, options = {}) => {
         };
       }
       
-      const amount = parseFloat(share.amount);
-      if (share.paid) {
-        userShareMap[userId].totalPaid += amount;
-      } else {
-        userShareMap[userId].totalOwed += amount;
-      }
-    });
+      // Partially paid shares count towards both totals
+      const amount = toBaseShare(share.expense || {}, parseFloat(share.amount));
+      const paidAmount = share.paid
+        ? amount
+        : Math.min(amount, toBaseShare(share.expense || {}, parseFloat(share.amount_paid || 0)));
+      userShareMap[userId].totalPaid += paidAmount;
+      userShareMap[userId].totalOwed += amount - paidAmount;
+    }
     
     const userShares = Object.values(userShareMap);
     
@@ -863,6 +1812,7 @@ export const getExpenseAnalytics = async (groupId, userId, options = {}) => {
     return {
       success: true,
       analytics: {
+        currency: baseCurrency,
         totalSpent,
         categorySummary,
         monthlyTrend,
@@ -889,26 +1839,12 @@ export const getReminderSettings = async (userId, groupId) => {
       .select('*')
       .eq('user_id', userId)
       .eq('group_id', groupId)
-      .single();
-    
-    if (error && error.code !== 'PGSQL_ERROR') throw error;
+      .maybeSingle();
     
-    // If no settings found, return default settings
-    if (!data) {
-      return { 
-        success: true, 
-        settings: {
-          autoReminders: false,
-          frequency: 'weekly',
-          daysBefore: 3,
-          customMessage: 'Hey! Just a friendly reminder about the expense payment due soon.',
-          emailNotifications: true,
-          appNotifications: true
-        }
-      };
-    }
+    if (error) throw error;
     
-    return { success: true, settings: data };
+    // Missing settings (or settings saved before a field existed) fall back to the defaults
+    return { success: true, settings: { ...DEFAULT_REMINDER_SETTINGS, ...data } };
   } catch (error) {
     console.error('Error fetching reminder settings:', error);
     return { success: false, error: error.message };
@@ -930,9 +1866,9 @@ export const updateReminderSettings = async (userId, groupId, settings) => {
       .select('id')
       .eq('user_id', userId)
       .eq('group_id', groupId)
-      .single();
+      .maybeSingle();
     
-    if (checkError && checkError.code !== 'PGSQL_ERROR') throw checkError;
+    if (checkError) throw checkError;
     
     // Insert or update based on whether settings exist
     if (existingSettings) {
@@ -977,42 +1913,55 @@ export const getPendingReminders = async (groupId) => {
         amount, 
         date,
         group_id,
+        created_by,
+        paid_by,
         expense_shares:expense_shares(
           id, 
           amount, 
+          amount_paid,
           paid,
+          due_date,
           user:profiles!user_id(id, full_name, avatar_url)
         )
       `)
       .eq('group_id', groupId)
+      .is('deleted_at', null)
       .order('date', { ascending: false });
     
     if (expensesError) throw expensesError;
     
     // Filter to find unpaid shares and format as reminders
-    const now = new Date();
     const reminders = [];
     
     expenses?.forEach(expense => {
       if (!expense.expense_shares) return;
       
-      const dueDate = new Date(expense.date);
-      const daysOverdue = Math.floor((now - dueDate) / (1000 * 60 * 60 * 24));
+      // The debt is owed to whoever paid, not whoever entered the expense
+      const payerId = expense.paid_by || expense.created_by;
       
-      // Add a reminder for each unpaid share
+      // Add a reminder for each unpaid share, for what is still outstanding
       expense.expense_shares.forEach(share => {
-        if (!share.paid && share.user) {
+        const outstanding = fromCents(toCents(share.amount) - toCents(share.amount_paid || 0));
+        
+        if (!share.paid && outstanding > 0 && share.user && share.user.id !== payerId) {
+          // Shares created before due dates existed fall due on the expense date
+          const dueDate = getShareDueDate(share, expense.date, 0);
+          const daysPastDue = getDaysPastDue(dueDate);
+          
           reminders.push({
             id: `${expense.id}_${share.id}`,
             expense_id: expense.id,
             share_id: share.id,
+            creditor_id: payerId,
             recipient_id: share.user.id,
             recipient_name: share.user.full_name,
             recipient_avatar: share.user.avatar_url,
-            amount: share.amount,
-            due_date: expense.date,
-            days_overdue: Math.max(0, daysOverdue),
-            status: 'pending',
+            amount: outstanding,
+            due_date: dueDate,
+            days_overdue: Math.max(0, daysPastDue),
+            days_until_due: Math.max(0, -daysPastDue),
+            status: getShareStatus({ ...share, due_date: dueDate }),
+            escalation_level: getEscalationLevel(daysPastDue),
             expense: {
               description: expense.description,
               amount: expense.amount
@@ -1030,11 +1979,58 @@ export const getPendingReminders = async (groupId) => {
 };
 
 /**
- * Send a payment reminder
+ * Tell a group's admins that a member's share has reached the top of the
+ * escalation ladder
+ * @param {Object} share - Share with user_id, due_date and its expense
+ * @param {number} daysOverdue - Days past the due date
+ */
+const notifyGroupAdminsOfOverdueShare = async (share, daysOverdue) => {
+  const { data: admins, error: adminsError } = await supabase
+    .from('group_members')
+    .select('user_id')
+    .eq('group_id', share.expense.group_id)
+    .eq('role', 'admin');
+
+  if (adminsError) throw adminsError;
+
+  const notifications = (admins || [])
+    .filter(admin => admin.user_id !== share.user_id)
+    .map(admin => ({
+      user_id: admin.user_id,
+      type: 'payment_escalation',
+      title: 'Overdue Payment',
+      message: `A share of ${share.expense.description} is ${daysOverdue} days overdue`,
+      read: false,
+      data: {
+        expense_id: share.expense.id,
+        share_id: share.id,
+        debtor_id: share.user_id,
+        amount: share.amount,
+        due_date: share.due_date,
+        days_overdue: daysOverdue
+      }
+    }));
+
+  if (notifications.length === 0) return;
+
+  const { error: notifError } = await supabase
+    .from('notifications')
+    .insert(notifications);
+
+  if (notifError) console.error('Error creating notification:', notifError);
+};
+
+/**
+ * Send a payment reminder. The tone follows the escalation ladder for how
+ * far past its due date the share is; at the top of the ladder the group's
+ * admins are told as well.
  * @param {string} reminderId - The composite reminder ID (expense_id_share_id)
+ * @param {Object} options - Options
+ * @param {string} options.message - Custom message to include
+ * @param {string} options.logId - Reminder log entry already claimed by the scheduler
  * @returns {Promise<Object>} - Object containing success status
  */
-export const sendReminder = async (reminderId) => {
+export const sendReminder = async (reminderId, options = {}) => {
   try {
     const [expenseId, shareId] = reminderId.split('_');
     
@@ -1044,8 +2040,11 @@ export const sendReminder = async (reminderId) => {
       .select(`
         id, 
         user_id,
+        amount,
+        amount_paid,
+        due_date,
         expense:expenses!expense_id(
-          id, description, amount, date
+          id, description, amount, date, group_id
         )
       `)
       .eq('id', shareId)
@@ -1053,38 +2052,63 @@ export const sendReminder = async (reminderId) => {
     
     if (shareError) throw shareError;
     
+    const dueDate = getShareDueDate(share, share.expense.date, 0);
+    const daysPastDue = getDaysPastDue(dueDate);
+    const level = getEscalationLevel(daysPastDue) || 'gentle';
+    // Partly paid shares are reminded of what is left, not the whole share
+    const outstanding = fromCents(toCents(share.amount) - toCents(share.amount_paid || 0));
+    
+    const gentleMessage = options.message
+      ? `${options.message} (${share.expense.description})`
+      : `You have an outstanding payment for ${share.expense.description}`;
+    const message = level === 'gentle'
+      ? gentleMessage
+      : `Your payment for ${share.expense.description} is ${daysPastDue} days overdue. Please settle it as soon as possible.`;
+    
     // Send notification
     const { error: notifError } = await supabase
       .from('notifications')
       .insert([{
         user_id: share.user_id,
         type: 'payment_reminder',
-        title: 'Payment Reminder',
-        message: `You have an outstanding payment for ${share.expense.description}`,
+        title: level === 'gentle' ? 'Payment Reminder' : 'Overdue Payment',
+        message,
         read: false,
         data: {
           expense_id: share.expense.id,
-          amount: share.expense.amount,
-          due_date: share.expense.date
+          amount: outstanding,
+          due_date: dueDate,
+          days_overdue: Math.max(0, daysPastDue),
+          escalation_level: level
         }
       }]);
     
     if (notifError) throw notifError;
     
-    // Log the reminder
-    const { error: logError } = await supabase
-      .from('expense_reminder_logs')
-      .insert([{
-        expense_id: expenseId,
-        share_id: shareId,
-        recipient_id: share.user_id,
-        sent_at: new Date().toISOString(),
-        status: 'sent'
-      }]);
+    if (level === 'admin') {
+      await notifyGroupAdminsOfOverdueShare({ ...share, amount: outstanding, due_date: dueDate }, daysPastDue);
+    }
+    
+    // Log the reminder, or confirm the entry the scheduler claimed for it
+    const { error: logError } = options.logId
+      ? await supabase
+        .from('expense_reminder_logs')
+        .update({ status: 'sent', sent_at: new Date().toISOString(), escalation_level: level })
+        .eq('id', options.logId)
+      : await supabase
+        .from('expense_reminder_logs')
+        .insert([{
+          expense_id: expenseId,
+          share_id: shareId,
+          recipient_id: share.user_id,
+          sent_at: new Date().toISOString(),
+          status: 'sent',
+          escalation_level: level
+        }]);
     
     if (logError) console.error('Error logging reminder:', logError);
     
-    return { success: true };
+    return { success: true, escalationLevel: level };
   } catch (error) {
     console.error('Error sending reminder:', error);
     return { success: false, error: error.message };
@@ -1092,21 +2116,172 @@ export const sendReminder = async (reminderId) => {
 };
 
 /**
- * Schedule automatic reminders based on settings
+ * Run one pass of the automatic reminder scheduler for a group. Each
+ * creditor's reminder settings decide whether, how often and when their
+ * debtors are reminded; expense_reminder_logs keeps a share from being
+ * reminded twice, even when two runs overlap.
  * @param {string} groupId - The group ID
- * @param {Object} settings - Reminder settings
- * @returns {Promise<Object>} - Object containing success status
+ * @param {Object} options - Options
+ * @param {Date} options.now - Time to plan for (defaults to now, override for testing)
+ * @param {Object} options.defaultSettings - Reminder settings for creditors who have not saved their own
+ * @param {boolean} options.dryRun - Plan only, send nothing
+ * @returns {Promise<Object>} - Success status, sent reminders, skipped reminders with reasons and failures
  */
-export const scheduleAutomaticReminders = async (groupId, settings) => {
+export const runReminderJob = async (groupId, options = {}) => {
   try {
-    // This would normally queue reminders in a job system, but for this demo
-    // we'll just log that automatic reminders have been scheduled
-    console.log('Scheduled automatic reminders for group:', groupId, 'with settings:', settings);
-    
-    // In a real implementation, this would interact with a backend job scheduler
-    // or serverless function that runs on a schedule
-    
-    return { success: true };
+    const now = options.now || new Date();
+
+    const { success, reminders, error } = await getPendingReminders(groupId);
+    if (!success) throw new Error(error);
+
+    if (reminders.length === 0) {
+      return { success: true, sent: [], skipped: [], failed: [] };
+    }
+
+    // Settings belong to the creditor: they choose how their debtors are reminded.
+    // Creditors who never saved any get the caller's defaults.
+    const creditorIds = [...new Set(reminders.map(reminder => reminder.creditor_id))];
+    const { data: savedSettings, error: settingsError } = await supabase
+      .from('expense_reminder_settings')
+      .select('*')
+      .eq('group_id', groupId)
+      .in('user_id', creditorIds);
+
+    if (settingsError) throw settingsError;
+
+    const settingsByCreditor = {};
+    creditorIds.forEach(creditorId => {
+      const saved = (savedSettings || []).find(settings => settings.user_id === creditorId) || {};
+      // Columns added after a row was saved are null there, not a choice
+      const chosen = Object.fromEntries(Object.entries(saved).filter(([, value]) => value !== null));
+      settingsByCreditor[creditorId] = { ...options.defaultSettings, ...chosen };
+    });
+
+    // Claims still marked 'sending' are either in flight in another run or
+    // were abandoned; abandoned ones are taken over below
+    const { data: logs, error: logsError } = await supabase
+      .from('expense_reminder_logs')
+      .select('id, share_id, sent_at, escalation_level, status, dedupe_key')
+      .in('share_id', reminders.map(reminder => reminder.share_id))
+      .in('status', ['sent', 'sending']);
+
+    if (logsError) throw logsError;
+
+    const logsByShare = (logs || [])
+      .filter(log => log.status === 'sent')
+      .reduce((map, log) => {
+        (map[log.share_id] = map[log.share_id] || []).push(log);
+        return map;
+      }, {});
+    const staleClaims = (logs || [])
+      .filter(log => log.dedupe_key && isStaleClaim(log, now))
+      .reduce((map, log) => ({ ...map, [log.dedupe_key]: log }), {});
+
+    const { due, skipped } = planReminders(reminders, { settingsByCreditor, logsByShare, now });
+
+    if (options.dryRun) {
+      return { success: true, sent: [], due, skipped, failed: [] };
+    }
+
+    const sent = [];
+    const failed = [];
+
+    for (const item of due) {
+      const { reminder } = item;
+
+      // Claim the reminder first; the unique dedupe key rejects a second claim.
+      // An abandoned claim is taken over only if it is still the same claim.
+      const stale = staleClaims[item.dedupeKey];
+      const { data: claim, error: claimError } = stale
+        ? await supabase
+          .from('expense_reminder_logs')
+          .update({ sent_at: now.toISOString() })
+          .eq('id', stale.id)
+          .eq('status', 'sending')
+          .eq('sent_at', stale.sent_at)
+          .select('id')
+          .maybeSingle()
+        : await supabase
+          .from('expense_reminder_logs')
+          .insert([{
+            expense_id: reminder.expense_id,
+            share_id: reminder.share_id,
+            recipient_id: reminder.recipient_id,
+            sent_at: now.toISOString(),
+            status: 'sending',
+            dedupe_key: item.dedupeKey
+          }])
+          .select('id')
+          .single();
+
+      if (claimError) {
+        if (claimError.code === '23505') {
+          skipped.push({ reminder, reason: 'already_sent' });
+        } else {
+          failed.push({ reminder, error: claimError.message });
+        }
+        continue;
+      }
+
+      if (!claim) {
+        skipped.push({ reminder, reason: 'already_sent' });
+        continue;
+      }
+
+      const result = await sendReminder(reminder.id, { message: item.message, logId: claim.id });
+
+      if (result.success) {
+        sent.push(item);
+      } else {
+        // Release the claim so the next run can try again; if even that
+        // fails, the claim goes stale and a later run takes it over
+        const { error: releaseError } = await supabase.from('expense_reminder_logs').delete().eq('id', claim.id);
+        if (releaseError) console.error('Error releasing reminder claim:', releaseError);
+        failed.push({ reminder, error: result.error });
+      }
+    }
+
+    return { success: true, sent, skipped, failed };
+  } catch (error) {
+    console.error('Error running reminder job:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const reminderJobs = {};
+
+/**
+ * Start running the reminder scheduler for a group on an interval. This is
+ * the local job; a server cron can call runReminderJob the same way.
+ * @param {string} groupId - The group ID
+ * @param {Object} settings - Reminder settings for creditors who have not saved their own
+ * @param {Object} options - Options
+ * @param {number} options.intervalMs - Time between runs (default one hour)
+ * @param {Function} options.onRun - Called with each run's result
+ * @returns {Promise<Object>} - Object containing success status, first run result and a stop function
+ */
+export const scheduleAutomaticReminders = async (groupId, settings = {}, options = {}) => {
+  try {
+    if (!groupId) throw new Error('Group ID is required');
+
+    const intervalMs = options.intervalMs || 60 * 60 * 1000;
+    const run = async () => {
+      const result = await runReminderJob(groupId, { defaultSettings: settings });
+      if (options.onRun) options.onRun(result);
+      return result;
+    };
+
+    // Only one job per group, rescheduling replaces the previous one
+    if (reminderJobs[groupId]) clearInterval(reminderJobs[groupId]);
+    reminderJobs[groupId] = setInterval(run, intervalMs);
+
+    const stop = () => {
+      clearInterval(reminderJobs[groupId]);
+      delete reminderJobs[groupId];
+    };
+
+    const firstRun = await run();
+    return { success: true, firstRun, stop };
   } catch (error) {
     console.error('Error scheduling automatic reminders:', error);
     return { success: false, error: error.message };
@@ -1163,9 +2338,11 @@ export const getUserTransactions = async (userId, period = 'month', type = 'all'
           amount,
           paid,
           user:profiles!expense_shares_user_id_fkey (id, full_name)
-        )
+        ),
+        expense_receipts (id, file_path, content_type)
       `)
       .eq('created_by', userId)
+      .is('deleted_at', null)
       .gte('date', startDate.toISOString().split('T')[0]);
 
     if (createdError) {
@@ -1188,11 +2365,13 @@ export const getUserTransactions = async (userId, period = 'month', type = 'all'
           date,
           created_at,
           category,
-          created_by (id, full_name, avatar_url)
+          created_by (id, full_name, avatar_url),
+          expense_receipts (id, file_path, content_type)
         )
       `)
       .eq('user_id', userId)
       .gte('expense.date', startDate.toISOString().split('T')[0])
+      .is('expense.deleted_at', null)
       .not('expense', 'is', null);
 
     if (sharedError) {
@@ -1297,7 +2476,8 @@ export const getUserTransactions = async (userId, period = 'month', type = 'all'
         type,
         participant_name: 'You',
         recipient_name: recipientName,
-        category: expense.category
+        category: expense.category,
+        receipts: expense.expense_receipts || []
       };
     });
 
@@ -1315,7 +2495,8 @@ export const getUserTransactions = async (userId, period = 'month', type = 'all'
           type: 'expense', // User owes someone else
           participant_name: share.expense.created_by?.full_name || 'Unknown',
           recipient_name: 'You',
-          category: share.expense.category
+          category: share.expense.category,
+          receipts: share.expense.expense_receipts || []
         };
       });
 
@@ -1374,6 +2555,17 @@ export const getUserTransactions = async (userId, period = 'month', type = 'all'
       allTransactions = allTransactions.filter(t => t.type === type);
     }
 
+    // Receipts are in a private bucket; sign their URLs for the thumbnails
+    allTransactions = await Promise.all(allTransactions.map(async (t) => {
+      if (!t.receipts?.length) return t;
+      try {
+        return { ...t, receipts: await withReceiptUrls(t.receipts) };
+      } catch (receiptError) {
+        console.error('Error signing receipt URLs:', receiptError);
+        return t;
+      }
+    }));
+
     return {
       success: true,
       transactions: allTransactions
@@ -1388,48 +2580,67 @@ export const getUserTransactions = async (userId, period = 'month', type = 'all'
 };
 
 /**
- * Get currency exchange rates
- * @returns {Promise<Object>} - Success status and exchange rates
+ * Get currency exchange rates from the active rate provider
+ * (see setRateProvider in utils/exchangeRates), cached in AsyncStorage
+ * @param {string|null} date - Rates for this day (YYYY-MM-DD), null for the latest
+ * @returns {Promise<Object>} - Success status, rates, rate date and a stale flag
  */
-export const getCurrencyRates = async () => {
+export const getCurrencyRates = async (date = null) => {
   try {
-    // In a real app, you would fetch from an API like Open Exchange Rates or ECB
-    // For this demo, we'll use a mock implementation with static rates
-    
-    // Check if we have cached rates and they're not too old (1 hour)
-    const cachedRates = localStorage.getItem('currencyRates');
-    const cachedTimestamp = localStorage.getItem('currencyRatesTimestamp');
+    const todayString = new Date().toISOString().split('T')[0];
+    const requestedDate = date && String(date).slice(0, 10) < todayString
+      ? String(date).slice(0, 10)
+      : null;
+    
+    // Historical rates never change; latest rates are reused for an hour
+    const cachedEntry = await readCachedRates(requestedDate);
+    const cacheIsFresh = cachedEntry && (
+      requestedDate || Date.now() - cachedEntry.fetchedAt < LATEST_CACHE_TTL_MS
+    );
     
-    if (cachedRates && cachedTimestamp && (Date.now() - parseInt(cachedTimestamp)) < 3600000) {
-      return { 
-        success: true, 
-        rates: JSON.parse(cachedRates),
-        cached: true 
+    if (cacheIsFresh) {
+      return {
+        success: true,
+        rates: cachedEntry.rates,
+        base: cachedEntry.base,
+        rateDate: cachedEntry.date,
+        fetchedAt: cachedEntry.fetchedAt,
+        cached: true,
+        stale: isRateEntryStale(cachedEntry, requestedDate)
       };
     }
     
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    // Mock rates relative to USD
-    const rates = {
-      USD: 1,
-      EUR: 0.92,
-      GBP: 0.78,
-      JPY: 145.23,
-      CAD: 1.35,
-      AUD: 1.48,
-      CNY: 7.21,
-      INR: 83.15,
-      MXN: 17.05,
-      BRL: 4.92
-    };
-    
-    // Cache the rates
-    localStorage.setItem('currencyRates', JSON.stringify(rates));
-    localStorage.setItem('currencyRatesTimestamp', Date.now().toString());
+    const provider = getRateProvider();
     
-    return { success: true, rates };
+    try {
+      const result = await provider.getRates(requestedDate);
+      const entry = { ...result, provider: provider.name, fetchedAt: Date.now() };
+      await writeCachedRates(requestedDate, entry);
+      
+      return {
+        success: true,
+        rates: entry.rates,
+        base: entry.base,
+        rateDate: entry.date,
+        fetchedAt: entry.fetchedAt,
+        cached: false,
+        stale: isRateEntryStale(entry, requestedDate)
+      };
+    } catch (providerError) {
+      // Fall back to whatever we had, but say so
+      if (!cachedEntry) throw providerError;
+      
+      console.warn('Using cached currency rates, provider failed:', providerError.message);
+      return {
+        success: true,
+        rates: cachedEntry.rates,
+        base: cachedEntry.base,
+        rateDate: cachedEntry.date,
+        fetchedAt: cachedEntry.fetchedAt,
+        cached: true,
+        stale: true
+      };
+    }
   } catch (error) {
     console.error('Error fetching currency rates:', error);
     return { success: false, error: error.message };
@@ -1441,28 +2652,30 @@ export const getCurrencyRates = async () => {
  * @param {number} amount - Amount to convert
  * @param {string} fromCurrency - Source currency code
  * @param {string} toCurrency - Target currency code
- * @returns {Promise<Object>} - Success status and converted amount
+ * @param {string|null} date - Convert at the rate of this day (e.g. the expense date)
+ * @returns {Promise<Object>} - Success status, converted amount, rate used and stale flag
  */
-export const convertCurrency = async (amount, fromCurrency, toCurrency) => {
+export const convertCurrency = async (amount, fromCurrency, toCurrency, date = null) => {
   try {
     if (!amount || fromCurrency === toCurrency) {
-      return { success: true, convertedAmount: amount };
+      return { success: true, convertedAmount: amount, rate: 1, stale: false };
     }
     
-    const { success, rates } = await getCurrencyRates();
+    const { success, rates, rateDate, stale, error } = await getCurrencyRates(date);
     
     if (!success) {
-      throw new Error('Failed to get currency rates');
+      throw new Error(error || 'Failed to get currency rates');
     }
     
     if (!rates[fromCurrency] || !rates[toCurrency]) {
       throw new Error('Invalid currency code');
     }
     
-    // Convert through base currency (USD in our case)
-    const convertedAmount = (amount * rates[toCurrency]) / rates[fromCurrency];
+    // Convert through the provider's base currency
+    const rate = rates[toCurrency] / rates[fromCurrency];
+    const convertedAmount = amount * rate;
     
-    return { success: true, convertedAmount };
+    return { success: true, convertedAmount, rate, rateDate, stale };
   } catch (error) {
     console.error('Error converting currency:', error);
     return { success: false, error: error.message };
@@ -1511,6 +2724,9 @@ export const createFriendExpense = async (expenseData) => {
       throw new Error('Both users are required for friend expense');
     }
     
+    // Either friend may have paid; the creator unless told otherwise
+    const paidBy = expenseData.paidBy || expenseData.created_by;
+    
     // Insert expense record
     const { data: expense, error: expenseError } = await supabase
       .from('expenses')
@@ -1520,6 +2736,7 @@ export const createFriendExpense = async (expenseData) => {
         date: expenseData.date || new Date().toISOString().slice(0, 10),
         category: expenseData.category || 'Other',
         created_by: expenseData.created_by,
+        paid_by: paidBy,
         split_method: expenseData.split_method || 'equal',
         recurring: expenseData.recurring || false,
         frequency: expenseData.frequency,
@@ -1561,13 +2778,13 @@ export const createFriendExpense = async (expenseData) => {
           expense_id: expense.id,
           user_id: expenseData.created_by,
           amount: userShare,
-          paid: expenseData.paidBy === expenseData.created_by
+          paid: paidBy === expenseData.created_by
         },
         {
           expense_id: expense.id,
           user_id: expenseData.friend_id,
           amount: friendShare,
-          paid: expenseData.paidBy === expenseData.friend_id
+          paid: paidBy === expenseData.friend_id
         }
       ])
       .select();
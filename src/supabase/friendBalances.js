@@ -0,0 +1,198 @@
+import { supabase } from './config';
+import { recordSettlements } from './expenses';
+import { buildFriendBalances, planFriendSettlement } from '../utils/friendBalances';
+
+const SHARE_FIELDS = `
+  id,
+  user_id,
+  amount,
+  amount_paid,
+  created_at,
+  expense:expenses!inner(
+    id, group_id, created_by, paid_by, currency, deleted_at,
+    group:groups(id, name)
+  )
+`;
+
+// Group expenses are paid by their creator; friend expenses record the payer
+const payerOf = (expense) => expense.paid_by || expense.created_by;
+
+/**
+ * Load the outstanding part of every unpaid share between a user and
+ * anyone else, in either direction
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} - Debts for buildFriendBalances
+ */
+const getOutstandingDebts = async (userId) => {
+  // What the user owes
+  const { data: owedShares, error: owedError } = await supabase
+    .from('expense_shares')
+    .select(SHARE_FIELDS)
+    .eq('user_id', userId)
+    .eq('paid', false)
+    .is('expense.deleted_at', null);
+
+  if (owedError) throw owedError;
+
+  // What others owe the user, on expenses the user entered or paid
+  const owingShares = {};
+  for (const payerColumn of ['created_by', 'paid_by']) {
+    const { data, error } = await supabase
+      .from('expense_shares')
+      .select(SHARE_FIELDS)
+      .neq('user_id', userId)
+      .eq('paid', false)
+      .eq(`expense.${payerColumn}`, userId)
+      .is('expense.deleted_at', null);
+
+    if (error) throw error;
+    (data || []).forEach(share => { owingShares[share.id] = share; });
+  }
+
+  return [...(owedShares || []), ...Object.values(owingShares)]
+    .filter(share => share.user_id !== payerOf(share.expense))
+    .filter(share => share.user_id === userId || payerOf(share.expense) === userId)
+    .map(share => ({
+      debtor_id: share.user_id,
+      creditor_id: payerOf(share.expense),
+      amount: Number(share.amount) - Number(share.amount_paid || 0),
+      currency: share.expense.currency || 'USD',
+      group_id: share.expense.group_id,
+      group_name: share.expense.group?.name || null,
+      created_at: share.created_at
+    }))
+    .filter(debt => debt.amount > 0);
+};
+
+/**
+ * Get what each friend owes the user (or is owed), combining one-on-one
+ * expenses with every group they share
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - Success status and friend balances: per currency totals and a
+ *   per-group breakdown, positive when the friend owes the user
+ */
+export const getFriendBalances = async (userId) => {
+  try {
+    const debts = await getOutstandingDebts(userId);
+    const balances = buildFriendBalances(userId, debts);
+
+    if (balances.length === 0) {
+      return { success: true, friends: [] };
+    }
+
+    const { data: profiles, error: profilesError } = await supabase
+      .from('profiles')
+      .select('id, full_name, avatar_url')
+      .in('id', balances.map(balance => balance.friend_id));
+
+    if (profilesError) throw profilesError;
+
+    const profilesMap = (profiles || []).reduce((map, profile) => {
+      map[profile.id] = profile;
+      return map;
+    }, {});
+
+    const friends = balances.map(balance => ({
+      ...balance,
+      name: profilesMap[balance.friend_id]?.full_name,
+      avatar: profilesMap[balance.friend_id]?.avatar_url
+    }));
+
+    return { success: true, friends };
+  } catch (error) {
+    console.error('Error fetching friend balances:', error);
+    return { success: false, error: error.message, friends: [] };
+  }
+};
+
+/**
+ * Get the balance with one friend
+ * @param {string} userId - The user ID
+ * @param {string} friendId - The friend's user ID
+ * @returns {Promise<Object>} - Success status and the friend's balance (null when settled)
+ */
+export const getFriendBalance = async (userId, friendId) => {
+  const result = await getFriendBalances(userId);
+  if (!result.success) return result;
+
+  return {
+    success: true,
+    balance: result.friends.find(friend => friend.friend_id === friendId) || null
+  };
+};
+
+/**
+ * Pay a friend and settle up across everything shared with them. Debts the
+ * friend owes back are netted first, then the payment covers the oldest
+ * debts; one settlement is recorded per group (and for one-on-one
+ * expenses) so each group's balances stay right.
+ * @param {Object} settlementData - Settlement information
+ * @param {string} settlementData.from_user_id - The user paying
+ * @param {string} settlementData.to_user_id - The friend being paid
+ * @param {number} settlementData.amount - Amount paid
+ * @param {string} settlementData.currency - Currency of the payment (defaults to the only currency owed)
+ * @param {string} settlementData.payment_method - Payment method
+ * @param {string} settlementData.note - Note shown on every recorded settlement
+ * @param {boolean} settlementData.dryRun - Only return the plan
+ * @returns {Promise<Object>} - Success status, plan, recorded settlements and any amount left unallocated
+ */
+export const settleUpWithFriend = async (settlementData) => {
+  try {
+    const { from_user_id: userId, to_user_id: friendId } = settlementData;
+    if (!userId || !friendId) throw new Error('Both users are required for a settlement');
+    if (!(settlementData.amount > 0)) throw new Error('Settlement amount must be greater than zero');
+
+    const { success, balance, error } = await getFriendBalance(userId, friendId);
+    if (!success) throw new Error(error);
+    if (!balance) throw new Error('There is nothing to settle with this friend');
+
+    const currencies = Object.keys(balance.balances);
+    const currency = settlementData.currency || (currencies.length === 1 ? currencies[0] : null);
+    if (!currency) {
+      throw new Error(`Balances are in ${currencies.join(', ')}; choose which currency to settle`);
+    }
+
+    // Balances are from the payer's view: negative where the payer owes the friend
+    const contexts = balance.contexts.filter(context => context.currency === currency);
+    const plan = planFriendSettlement(contexts, settlementData.amount);
+
+    if (plan.payments.length === 0 && plan.offsetPayments.length === 0) {
+      throw new Error(`You do not owe this friend anything in ${currency}`);
+    }
+
+    if (settlementData.dryRun) {
+      return { success: true, currency, plan, settlements: [] };
+    }
+
+    const note = settlementData.note || 'Settled up across shared groups';
+    const toSettlement = (fromId, toId, allocation, paymentMethod) => ({
+      group_id: allocation.group_id,
+      direct: !allocation.group_id,
+      from_user_id: fromId,
+      to_user_id: toId,
+      amount: allocation.amount,
+      currency,
+      payment_method: paymentMethod,
+      note
+    });
+
+    // Offsets first: the friend's debts cancel out the same amount of the
+    // user's, both recorded as offsets since no money changes hands. Only
+    // the cash carries the payment method. Everything is recorded together
+    // or not at all.
+    const result = await recordSettlements([
+      ...plan.offsets.map(offset => toSettlement(friendId, userId, offset, 'offset')),
+      ...plan.offsetPayments.map(offset => toSettlement(userId, friendId, offset, 'offset')),
+      ...plan.payments.map(payment =>
+        toSettlement(userId, friendId, payment, settlementData.payment_method || 'cash'))
+    ]);
+
+    if (!result.success) throw new Error(result.error);
+    const { settlements } = result;
+
+    return { success: true, currency, plan, settlements, unallocated: plan.unallocated };
+  } catch (error) {
+    console.error('Error settling up with friend:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -1,31 +1,63 @@
 import { supabase } from './config';
+import { DEFAULT_PAYMENT_TERM_DAYS } from '../utils/dueDates';
+import { invalidateTable, readThrough } from '../utils/readCache';
 
-// Get all groups for a user
-export const getUserGroups = async (userId) => {
+// Get all groups for a user, read through the local cache (options: cacheFirst, maxAgeMs, onRefresh)
+export const getUserGroups = async (userId, options = {}) => {
   try {
-    const { data, error } = await supabase
-      .from('group_members')
-      .select(`
-        *,
-        group:groups(*)
-      `)
-      .eq('user_id', userId);
-    
-    if (error) throw error;
-    
-    // Transform the data to a more usable format
-    const groups = data.map(item => ({
-      ...item.group,
-      role: item.role
-    }));
-    
-    return { success: true, groups };
+    const fetchGroups = async () => {
+      const { data, error } = await supabase
+        .from('group_members')
+        .select(`
+          *,
+          group:groups(*)
+        `)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      // Transform the data to a more usable format
+      return data.map(item => ({
+        ...item.group,
+        role: item.role
+      }));
+    };
+
+    const { rows, ...cacheInfo } = await readThrough(`groups:user:${userId}`, 'groups', fetchGroups, {
+      ...options,
+      onRefresh: options.onRefresh && (({ rows: groups, ...info }) => options.onRefresh({ success: true, groups, ...info }))
+    });
+
+    return { success: true, groups: rows, ...cacheInfo };
   } catch (error) {
     console.error('Error fetching user groups:', error.message);
     return { success: false, error: error.message };
   }
 };
 
+// Set up a real-time subscription to the user's memberships and their groups; changes invalidate the read cache
+export const subscribeToUserGroups = (userId, callback) => {
+  const onChange = async (payload) => {
+    await invalidateTable('groups', payload.table === 'groups' ? payload : null);
+    callback(payload);
+  };
+
+  return supabase
+    .channel(`user-groups-${userId}`)
+    .on('postgres_changes', {
+      event: '*',
+      schema: 'public',
+      table: 'group_members',
+      filter: `user_id=eq.${userId}`
+    }, onChange)
+    .on('postgres_changes', {
+      event: '*',
+      schema: 'public',
+      table: 'groups'
+    }, onChange)
+    .subscribe();
+};
+
 // Create a new group
 export const createGroup = async (groupData, creatorId) => {
   try {
@@ -88,6 +120,8 @@ export const createGroup = async (groupData, creatorId) => {
       }
     }
     
+    // Cached group lists no longer match the server
+    await invalidateTable('groups');
     return { success: true, group: newGroup };
   } catch (error) {
     console.error('Error creating group:', error.message);
@@ -118,6 +152,7 @@ export const addGroupMember = async (groupId, email, role = 'member') => {
       .select();
     
     if (error) throw error;
+    await invalidateTable('groups');
     return { success: true, member: data[0] };
   } catch (error) {
     console.error('Error adding group member:', error.message);
@@ -153,6 +188,7 @@ export const removeGroupMember = async (groupId, userId) => {
       .match({ group_id: groupId, user_id: userId });
     
     if (error) throw error;
+    await invalidateTable('groups');
     return { success: true };
   } catch (error) {
     console.error('Error removing group member:', error.message);
@@ -170,6 +206,7 @@ export const updateGroup = async (groupId, updates) => {
       .select();
     
     if (error) throw error;
+    await invalidateTable('groups');
     return { success: true, group: data[0] };
   } catch (error) {
     console.error('Error updating group:', error.message);
@@ -177,6 +214,58 @@ export const updateGroup = async (groupId, updates) => {
   }
 };
 
+// Get the currency a group reports balances in (defaults to USD)
+export const getGroupBaseCurrency = async (groupId) => {
+  try {
+    const { data, error } = await supabase
+      .from('groups')
+      .select('base_currency')
+      .eq('id', groupId)
+      .single();
+    
+    if (error) throw error;
+    return { success: true, baseCurrency: data?.base_currency || 'USD' };
+  } catch (error) {
+    console.error('Error fetching group base currency:', error.message);
+    return { success: false, error: error.message, baseCurrency: 'USD' };
+  }
+};
+
+// Change the currency a group reports balances in
+export const setGroupBaseCurrency = async (groupId, currency) => {
+  if (!currency || !/^[A-Z]{3}$/.test(currency)) {
+    return { success: false, error: 'Currency must be a 3-letter ISO code' };
+  }
+  
+  return updateGroup(groupId, { base_currency: currency });
+};
+
+// Get the number of days members have to pay their share ("net 7")
+export const getGroupPaymentTerm = async (groupId) => {
+  try {
+    const { data, error } = await supabase
+      .from('groups')
+      .select('payment_term_days')
+      .eq('id', groupId)
+      .single();
+    
+    if (error) throw error;
+    return { success: true, termDays: data?.payment_term_days ?? DEFAULT_PAYMENT_TERM_DAYS };
+  } catch (error) {
+    console.error('Error fetching group payment term:', error.message);
+    return { success: false, error: error.message, termDays: DEFAULT_PAYMENT_TERM_DAYS };
+  }
+};
+
+// Change the group's payment term, applies to expenses added from now on
+export const setGroupPaymentTerm = async (groupId, termDays) => {
+  if (!Number.isInteger(termDays) || termDays < 0) {
+    return { success: false, error: 'Payment term must be a whole number of days' };
+  }
+  
+  return updateGroup(groupId, { payment_term_days: termDays });
+};
+
 // Create a group invitation with proper notifications
 export const createGroupInvitation = async (groupId, email, invitedBy) => {
   try {
@@ -370,6 +459,7 @@ export const acceptGroupInvitation = async (token, userId) => {
     
     if (groupError) throw groupError;
     
+    await invalidateTable('groups');
     return { success: true, group: group };
   } catch (error) {
     console.error('Error accepting group invitation:', error);
@@ -377,6 +467,38 @@ export const acceptGroupInvitation = async (token, userId) => {
   }
 };
 
+// Accept every pending, unexpired invitation sent to the signed-in user's
+// confirmed email. claim_pending_invitations reads the email from the
+// session, so nobody can accept invitations sent to someone else.
+export const claimPendingInvitations = async () => {
+  try {
+    const { data: result, error } = await supabase.rpc('claim_pending_invitations');
+    
+    if (error) throw error;
+    
+    for (const invitation of result.accepted) {
+      const { error: notifError } = await supabase
+        .from('notifications')
+        .insert({
+          user_id: invitation.invited_by,
+          type: 'invitation_accepted',
+          title: 'Invitation Accepted',
+          message: `${result.email} joined ${invitation.group_name || 'your group'}`,
+          read: false,
+          data: { group_id: invitation.group_id, user_id: result.user_id }
+        });
+      
+      if (notifError) console.error('Error creating notification:', notifError);
+    }
+    
+    if (result.accepted.length > 0) await invalidateTable('groups');
+    return { success: result.failed.length === 0, accepted: result.accepted.length, failed: result.failed };
+  } catch (error) {
+    console.error('Error claiming pending invitations:', error.message);
+    return { success: false, error: error.message, accepted: 0 };
+  }
+};
+
 // Reject a group invitation
 export const rejectGroupInvitation = async (token) => {
   try {
@@ -534,6 +656,7 @@ export const createOrUpdateHomeGroup = async (homeDetails, userId) => {
           updatedName: homeDetails.name
         });
         
+        await invalidateTable('groups');
         return { 
           success: true, 
           group: { 
@@ -622,6 +745,7 @@ export const createOrUpdateHomeGroup = async (homeDetails, userId) => {
       success: true
     });
     
+    await invalidateTable('groups');
     return { success: true, group: newGroup };
   } catch (error) {
     console.error('🏠 [DEBUG] createOrUpdateHomeGroup - FAILED with error:', error);
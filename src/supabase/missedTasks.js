@@ -0,0 +1,341 @@
+import { supabase } from './config';
+import { createSplitExpense } from './expenses';
+import { generateDueTaskOccurrences } from './tasks';
+import { invalidateTable } from '../utils/readCache';
+import { getEffortLoad } from '../utils/choreRotation';
+import { getAwayUserIdsOn } from '../utils/awayPeriods';
+import {
+  fromPolicyRow,
+  getMissedCutoff,
+  toPolicyRow,
+  validateMissedTaskPolicy
+} from '../utils/missedTasks';
+import { today } from '../utils/recurrence';
+
+/**
+ * Get a group's missed task policy
+ * @param {string} groupId - The group ID
+ * @returns {Promise<Object>} - Object containing success status and policy
+ */
+export const getMissedTaskPolicy = async (groupId) => {
+  try {
+    const { data, error } = await supabase
+      .from('group_task_policies')
+      .select('*')
+      .eq('group_id', groupId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    // Groups that never set a policy use the defaults
+    return { success: true, policy: fromPolicyRow(data) };
+  } catch (error) {
+    console.error('Error fetching missed task policy:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Update a group's missed task policy
+ * @param {string} groupId - The group ID
+ * @param {Object} policy - Fields to change: graceDays, action, penaltyEnabled, penaltyAmount,
+ *   penaltyCurrency, penaltyRecipientId
+ * @returns {Promise<Object>} - Object containing success status and the saved policy
+ */
+export const updateMissedTaskPolicy = async (groupId, policy) => {
+  try {
+    const current = await getMissedTaskPolicy(groupId);
+    if (!current.success) throw new Error(current.error);
+
+    const merged = { ...current.policy, ...policy };
+    const validationError = validateMissedTaskPolicy(merged);
+    if (validationError) throw new Error(validationError);
+
+    const { data, error } = await supabase
+      .from('group_task_policies')
+      .upsert([{ group_id: groupId, ...toPolicyRow(merged) }], { onConflict: 'group_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, policy: fromPolicyRow(data) };
+  } catch (error) {
+    console.error('Error updating missed task policy:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Give a make-up copy of a missed chore to the housemate with the least
+ * effort still to do, leaving out whoever missed it and anyone away
+ * @param {Object} task - The missed task
+ * @param {string} asOfDate - Due date of the copy (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} - The new task, null when nobody is available or an earlier sweep made it
+ */
+const createMakeupTask = async (task, asOfDate) => {
+  const { data: existing, error: existingError } = await supabase
+    .from('tasks')
+    .select('id')
+    .eq('makeup_for', task.id)
+    .limit(1);
+
+  if (existingError) throw existingError;
+  if (existing && existing.length > 0) return null;
+
+  const { data: members, error: membersError } = await supabase
+    .from('group_members')
+    .select('user_id')
+    .eq('group_id', task.group_id);
+
+  if (membersError) throw membersError;
+
+  const { data: awayPeriods, error: awayError } = await supabase
+    .from('member_away_periods')
+    .select('user_id, start_date, end_date')
+    .eq('group_id', task.group_id)
+    .lte('start_date', asOfDate)
+    .gte('end_date', asOfDate);
+
+  if (awayError) throw awayError;
+
+  const unavailable = new Set([task.assigned_to, ...getAwayUserIdsOn(awayPeriods, asOfDate)]);
+  const candidates = (members || []).filter(member => !unavailable.has(member.user_id));
+  if (candidates.length === 0) return null;
+
+  const { data: openTasks, error: openTasksError } = await supabase
+    .from('tasks')
+    .select('assigned_to, effort_points')
+    .eq('group_id', task.group_id)
+    .eq('status', 'pending');
+
+  if (openTasksError) throw openTasksError;
+
+  const effortLoad = getEffortLoad(openTasks);
+  const assignee = candidates.reduce((best, member) =>
+    (effortLoad[member.user_id] || 0) < (effortLoad[best.user_id] || 0) ? member : best
+  ).user_id;
+
+  const { data: makeupTask, error } = await supabase
+    .from('tasks')
+    .insert([{
+      title: task.title,
+      description: task.description,
+      group_id: task.group_id,
+      assigned_by: task.assigned_by,
+      assigned_to: assignee,
+      effort_points: task.effort_points,
+      due_date: asOfDate,
+      status: 'pending',
+      makeup_for: task.id
+    }])
+    .select()
+    .single();
+
+  // makeup_for is unique, so a sweep running at the same time made it
+  if (error?.code === '23505') return null;
+  if (error) throw error;
+
+  const { error: notifError } = await supabase
+    .from('notifications')
+    .insert([{
+      user_id: assignee,
+      title: 'Chore Reassigned to You',
+      message: `"${task.title}" was missed and is now yours, due ${asOfDate}`,
+      type: 'task_assigned',
+      read: false,
+      data: { taskId: makeupTask.id, missedTaskId: task.id }
+    }]);
+
+  if (notifError) console.error('Error creating notification:', notifError);
+
+  return makeupTask;
+};
+
+/**
+ * Record the house-agreed fine for a missed chore as an expense the member
+ * owes the penalty recipient
+ * @param {Object} task - The missed task
+ * @param {Object} policy - The group's missed task policy
+ * @param {string} asOfDate - Expense date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} - The penalty expense, null when there is nobody to pay it to or an
+ *   earlier sweep charged it
+ */
+const applyMissedTaskPenalty = async (task, policy, asOfDate) => {
+  const recipientId = policy.penaltyRecipientId || task.assigned_by;
+  if (!recipientId || recipientId === task.assigned_to) return null;
+
+  // Also counts a penalty someone deleted since, so it is not charged again
+  const { data: existing, error: existingError } = await supabase
+    .from('expenses')
+    .select('id')
+    .eq('missed_task_id', task.id)
+    .limit(1);
+
+  if (existingError) throw existingError;
+  if (existing && existing.length > 0) return null;
+
+  const amount = Number(policy.penaltyAmount);
+  const result = await createSplitExpense({
+    group_id: task.group_id,
+    created_by: recipientId,
+    description: `Missed chore: ${task.title}`,
+    amount,
+    currency: policy.penaltyCurrency,
+    category: 'Penalty',
+    date: asOfDate,
+    missed_task_id: task.id
+  }, {
+    mode: 'exact',
+    participants: [{ user_id: task.assigned_to, amount }]
+  });
+
+  if (!result.success) throw new Error(result.error);
+  return result.expense;
+};
+
+/**
+ * Record a missed chore against its assignee as a completion that was not
+ * on time and earned no effort
+ * @param {Object} task - The missed task
+ */
+const recordMissedCompletion = async (task) => {
+  const { data: existing, error: existingError } = await supabase
+    .from('task_completions')
+    .select('id')
+    .eq('task_id', task.id)
+    .eq('missed', true)
+    .limit(1);
+
+  if (existingError) throw existingError;
+  if (existing && existing.length > 0) return;
+
+  const { error } = await supabase
+    .from('task_completions')
+    .insert([{
+      task_id: task.id,
+      user_id: task.assigned_to,
+      completed_at: null,
+      scheduled_date: task.due_date,
+      completed_on_time: false,
+      missed: true,
+      effort_points: 0
+    }]);
+
+  // One missed completion per task; a concurrent sweep already recorded it
+  if (error && error.code !== '23505') throw error;
+};
+
+/**
+ * Mark a group's overdue tasks as missed once the grace period has passed,
+ * then apply the group's policy: the schedule of recurring chores moves on,
+ * 'reassign' hands a make-up copy to someone else, and an enabled penalty
+ * is charged to the member who missed it. Safe to call repeatedly (app
+ * start, pull-to-refresh, a scheduled job). Claiming a task as missed
+ * happens once; the steps after it each check whether they already ran, and
+ * missed_handled_at is only set once all of them succeed, so a sweep that
+ * fails part-way is finished by the next one.
+ * @param {string} groupId - The group ID
+ * @param {string} asOfDate - Today's date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Success status and what was done: missed tasks, make-up tasks,
+ *   penalty expenses and next occurrences of recurring chores
+ */
+export const sweepMissedTasks = async (groupId, asOfDate = today()) => {
+  try {
+    const { success, policy, error: policyError } = await getMissedTaskPolicy(groupId);
+    if (!success) throw new Error(policyError);
+
+    // Overdue tasks, and missed ones an earlier sweep did not finish handling
+    const { data: overdueTasks, error } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('group_id', groupId)
+      .in('status', ['pending', 'missed'])
+      .is('missed_handled_at', null)
+      .lt('due_date', getMissedCutoff(asOfDate, policy.graceDays));
+
+    if (error) throw error;
+
+    const summary = { missed: [], makeupTasks: [], penalties: [], failures: [] };
+
+    for (const task of overdueTasks || []) {
+      try {
+        if (task.status === 'pending') {
+          // Claim the task; a completion or another sweep may have got there first
+          const { data: claimed, error: claimError } = await supabase
+            .from('tasks')
+            .update({ status: 'missed', missed_at: new Date().toISOString() })
+            .eq('id', task.id)
+            .eq('status', 'pending')
+            .select('id');
+
+          if (claimError) throw claimError;
+          if (!claimed || claimed.length === 0) continue;
+
+          summary.missed.push(task);
+
+          if (task.assigned_to) {
+            try {
+              await supabase.rpc('increment_user_stats', {
+                user_id_param: task.assigned_to,
+                group_id_param: groupId,
+                missed_count: 1
+              });
+            } catch (statsError) {
+              console.error('Error updating user stats:', statsError);
+              // Continue even if stats update fails
+            }
+
+            const { error: notifError } = await supabase
+              .from('notifications')
+              .insert([{
+                user_id: task.assigned_to,
+                title: 'Chore Missed',
+                message: `"${task.title}" was due ${task.due_date} and has been marked as missed`,
+                type: 'task_missed',
+                read: false,
+                data: { taskId: task.id }
+              }]);
+
+            if (notifError) console.error('Error creating notification:', notifError);
+          }
+        }
+
+        if (task.assigned_to) await recordMissedCompletion(task);
+
+        if (policy.action === 'reassign') {
+          const makeupTask = await createMakeupTask(task, asOfDate);
+          if (makeupTask) summary.makeupTasks.push(makeupTask);
+        }
+
+        if (policy.penaltyEnabled && Number(policy.penaltyAmount) > 0 && task.assigned_to) {
+          const penalty = await applyMissedTaskPenalty(task, policy, asOfDate);
+          if (penalty) summary.penalties.push(penalty);
+        }
+
+        const { error: handledError } = await supabase
+          .from('tasks')
+          .update({ missed_handled_at: new Date().toISOString() })
+          .eq('id', task.id);
+
+        if (handledError) throw handledError;
+      } catch (taskError) {
+        console.error(`Error handling missed task ${task.id}:`, taskError);
+        summary.failures.push({ id: task.id, error: taskError.message });
+      }
+    }
+
+    if (summary.missed.length > 0 || summary.makeupTasks.length > 0) await invalidateTable('tasks');
+
+    // Recurring chores carry on with the next person in the rotation
+    const occurrences = await generateDueTaskOccurrences(groupId, asOfDate);
+
+    return {
+      success: summary.failures.length === 0 && occurrences.success,
+      ...summary,
+      nextOccurrences: occurrences.created || []
+    };
+  } catch (error) {
+    console.error('Error sweeping missed tasks:', error);
+    return { success: false, error: error.message, missed: [] };
+  }
+};
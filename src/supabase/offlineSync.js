@@ -0,0 +1,343 @@
+import { supabase } from './config';
+import { AppState } from 'react-native';
+import {
+  createExpense,
+  getExpenses,
+  markShareAsPaid,
+  recordSettlement,
+  updateExpense
+} from './expenses';
+import {
+  applyPendingOperations,
+  createLocalId,
+  enqueueOperation,
+  isLocalId,
+  isNetworkError,
+  loadQueue,
+  patchOperation,
+  removeOperation,
+  updateQueue
+} from '../utils/offlineQueue';
+
+// Give up retrying an operation the server keeps rejecting after this many tries
+const MAX_REPLAY_ATTEMPTS = 5;
+
+/**
+ * Create an expense, or queue it when there is no connection. The
+ * client_ref sent with it lets replay recognise an expense that reached the
+ * server even though the response was lost.
+ * @param {Object} expenseData - Expense data
+ * @param {Array} sharesData - Shares to create
+ * @returns {Promise<Object>} - Success status, expense (a local placeholder when queued) and queued flag
+ */
+export const createExpenseOffline = async (expenseData, sharesData) => {
+  const expense = { ...expenseData, client_ref: expenseData.client_ref || createLocalId() };
+
+  const result = await createExpense(expense, sharesData);
+  if (result.success || !isNetworkError(result.error)) return result;
+
+  await enqueueOperation('createExpense', [expense, sharesData]);
+  return {
+    success: true,
+    queued: true,
+    expense: { ...expense, id: expense.client_ref, pending_sync: true }
+  };
+};
+
+/**
+ * Update an expense, or queue the edit when there is no connection
+ * @param {Object} expense - The expense as the user last saw it (id and version)
+ * @param {Object} updates - Expense fields to change
+ * @param {Object} options - Options for updateExpense (userId, shares)
+ * @returns {Promise<Object>} - Success status and queued flag when the edit waits for a connection
+ */
+export const updateExpenseOffline = async (expense, updates, options = {}) => {
+  // Not on the server yet: fold the edit into the queued create
+  if (isLocalId(expense.id)) {
+    await updateQueue(operations => operations.map(operation => {
+      if (operation.type !== 'createExpense' || operation.args[0].client_ref !== expense.id) {
+        return operation;
+      }
+      return {
+        ...operation,
+        args: [{ ...operation.args[0], ...updates }, options.shares || operation.args[1]]
+      };
+    }));
+    return { success: true, queued: true };
+  }
+
+  const result = await updateExpense(expense.id, updates, options);
+  if (result.success || !isNetworkError(result.error)) return result;
+
+  // Each earlier queued edit of this expense bumps its version once replayed
+  const queuedEdits = (await loadQueue()).filter(operation =>
+    operation.type === 'updateExpense' && operation.args[0] === expense.id
+  ).length;
+
+  await enqueueOperation('updateExpense', [expense.id, updates, options], {
+    version: (expense.version || 1) + queuedEdits
+  });
+  return { success: true, queued: true };
+};
+
+/**
+ * Mark a share paid or unpaid, or queue the change when there is no connection
+ * @param {Object} share - The share as the user last saw it (id, paid, amount_paid)
+ * @param {boolean} isPaid - New paid status
+ * @returns {Promise<Object>} - Success status and queued flag when the change waits for a connection
+ */
+export const markShareAsPaidOffline = async (share, isPaid = true) => {
+  if (isLocalId(share.id)) {
+    return { success: false, error: 'This expense has not been synced yet' };
+  }
+
+  const result = await markShareAsPaid(share.id, isPaid);
+  if (result.success || !isNetworkError(result.error)) return result;
+
+  await enqueueOperation('markShareAsPaid', [share.id, isPaid], {
+    paid: !!share.paid,
+    amount_paid: Number(share.amount_paid || 0)
+  });
+  return { success: true, queued: true };
+};
+
+/**
+ * Record a settlement, or queue it when there is no connection
+ * @param {Object} settlementData - Settlement information, see recordSettlement
+ * @returns {Promise<Object>} - Success status and queued flag when the settlement waits for a connection
+ */
+export const recordSettlementOffline = async (settlementData) => {
+  const settlement = { ...settlementData, client_ref: settlementData.client_ref || createLocalId() };
+
+  const result = await recordSettlement(settlement);
+  if (result.success || !isNetworkError(result.error)) return result;
+
+  await enqueueOperation('recordSettlement', [settlement]);
+  return { success: true, queued: true };
+};
+
+/**
+ * Get a group's expenses with changes still waiting to sync applied on top
+ * @param {string} groupId - The group ID
+ * @param {Object} options - Read cache options for getExpenses
+ * @returns {Promise<Object>} - Success status, expenses, cache info and number of pending operations
+ */
+export const getExpensesWithPendingChanges = async (groupId, options = {}) => {
+  const withPending = async (result) => {
+    const operations = await loadQueue();
+    return {
+      ...result,
+      expenses: applyPendingOperations(result.expenses, operations, groupId),
+      pendingCount: operations.length
+    };
+  };
+
+  const result = await getExpenses(groupId, {
+    ...options,
+    onRefresh: options.onRefresh && (async refreshed => options.onRefresh(await withPending(refreshed)))
+  });
+  if (!result.success) return result;
+
+  return withPending(result);
+};
+
+// Whether a server row was already written by an earlier attempt
+const existsWithClientRef = async (table, clientRef) => {
+  const { data, error } = await supabase
+    .from(table)
+    .select('id')
+    .eq('client_ref', clientRef)
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0;
+};
+
+/**
+ * Replay one queued operation
+ * @returns {Promise<Object>} - { outcome: 'done' | 'offline' | 'conflict' | 'failed', error, server }
+ */
+const replayOperation = async (operation) => {
+  const [first, second, third] = operation.args;
+  let result;
+
+  if (operation.type === 'createExpense') {
+    if (await existsWithClientRef('expenses', first.client_ref)) return { outcome: 'done' };
+    result = await createExpense(first, second);
+  }
+
+  if (operation.type === 'updateExpense') {
+    const { data: server, error } = await supabase
+      .from('expenses')
+      .select('*')
+      .eq('id', first)
+      .single();
+
+    if (error) throw error;
+
+    const changedMeanwhile = server.deleted_at || (server.version || 1) !== operation.base?.version;
+    if (changedMeanwhile && !operation.force) return { outcome: 'conflict', server };
+
+    result = await updateExpense(first, second, third);
+  }
+
+  if (operation.type === 'markShareAsPaid') {
+    const { data: server, error } = await supabase
+      .from('expense_shares')
+      .select('id, paid, amount_paid')
+      .eq('id', first)
+      .single();
+
+    if (error) throw error;
+
+    // Someone else already made the same change
+    if (server.paid === (second !== false)) return { outcome: 'done' };
+
+    const changedMeanwhile = server.paid !== operation.base?.paid ||
+      Number(server.amount_paid || 0) !== operation.base?.amount_paid;
+    if (changedMeanwhile && !operation.force) return { outcome: 'conflict', server };
+
+    result = await markShareAsPaid(first, second);
+  }
+
+  if (operation.type === 'recordSettlement') {
+    // record_settlement writes the settlement and its share payments in one
+    // transaction, so a settlement that exists was recorded in full
+    if (await existsWithClientRef('expense_settlements', first.client_ref)) return { outcome: 'done' };
+    result = await recordSettlement(first);
+  }
+
+  if (result.success) return { outcome: 'done' };
+  return { outcome: isNetworkError(result.error) ? 'offline' : 'failed', error: result.error };
+};
+
+// The entity an operation changes; later operations on it wait behind a conflict
+const operationTarget = (operation) => {
+  if (operation.type === 'createExpense' || operation.type === 'recordSettlement') {
+    return `${operation.type}:${operation.args[0].client_ref}`;
+  }
+  return `${operation.type === 'markShareAsPaid' ? 'share' : 'expense'}:${operation.args[0]}`;
+};
+
+let replayInProgress = null;
+
+/**
+ * Send queued operations to the server in the order they were made. Stops
+ * at the first sign the device is still offline. Operations whose server
+ * row changed in the meantime are kept as conflicts for the user to resolve.
+ * @returns {Promise<Object>} - Success status and counts of synced, conflicting, failed and remaining operations
+ */
+export const replayOfflineQueue = async () => {
+  if (replayInProgress) return replayInProgress;
+
+  replayInProgress = (async () => {
+    const summary = { synced: 0, conflicts: 0, failed: 0, remaining: 0 };
+
+    try {
+      const operations = await loadQueue();
+      const blocked = new Set(
+        operations.filter(operation => operation.status === 'conflict').map(operationTarget)
+      );
+
+      for (const operation of operations) {
+        const target = operationTarget(operation);
+        const retryable = operation.status === 'pending' ||
+          (operation.status === 'failed' && operation.attempts < MAX_REPLAY_ATTEMPTS);
+
+        if (!retryable || blocked.has(target)) continue;
+
+        let outcome;
+        try {
+          outcome = await replayOperation(operation);
+        } catch (error) {
+          outcome = { outcome: isNetworkError(error.message) ? 'offline' : 'failed', error: error.message };
+        }
+
+        if (outcome.outcome === 'offline') break;
+
+        if (outcome.outcome === 'done') {
+          await removeOperation(operation.id);
+          summary.synced++;
+        } else if (outcome.outcome === 'conflict') {
+          await patchOperation(operation.id, { status: 'conflict', server: outcome.server });
+          blocked.add(target);
+          summary.conflicts++;
+        } else {
+          await patchOperation(operation.id, {
+            status: 'failed',
+            attempts: operation.attempts + 1,
+            lastError: outcome.error
+          });
+          summary.failed++;
+        }
+      }
+
+      summary.remaining = (await loadQueue()).length;
+      return { success: true, ...summary };
+    } catch (error) {
+      console.error('Error replaying offline queue:', error);
+      return { success: false, error: error.message, ...summary };
+    } finally {
+      replayInProgress = null;
+    }
+  })();
+
+  return replayInProgress;
+};
+
+/**
+ * Get queued operations, including conflicts waiting for a decision
+ * @returns {Promise<Object>} - Object containing success status, operations and conflicts
+ */
+export const getOfflineQueue = async () => {
+  const operations = await loadQueue();
+  return {
+    success: true,
+    operations,
+    conflicts: operations.filter(operation => operation.status === 'conflict')
+  };
+};
+
+/**
+ * Settle a conflict: 'mine' applies the queued change over the server's
+ * version, 'theirs' drops it
+ * @param {string} operationId - The queued operation ID
+ * @param {string} resolution - 'mine' or 'theirs'
+ * @returns {Promise<Object>} - Result of the replay that follows
+ */
+export const resolveOfflineConflict = async (operationId, resolution) => {
+  if (resolution === 'theirs') {
+    await removeOperation(operationId);
+  } else if (resolution === 'mine') {
+    await patchOperation(operationId, { status: 'pending', force: true });
+  } else {
+    return { success: false, error: `Unknown resolution: ${resolution}` };
+  }
+
+  return replayOfflineQueue();
+};
+
+/**
+ * Replay the queue now, every intervalMs, and whenever the app returns to
+ * the foreground
+ * @param {Object} options - { intervalMs, onSync }
+ * @returns {Function} - Stops syncing
+ */
+export const startOfflineSync = (options = {}) => {
+  const sync = async () => {
+    const result = await replayOfflineQueue();
+    if (options.onSync) options.onSync(result);
+  };
+
+  const interval = setInterval(sync, options.intervalMs || 30 * 1000);
+  const appStateSubscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active') sync();
+  });
+
+  sync();
+
+  return () => {
+    clearInterval(interval);
+    appStateSubscription.remove();
+  };
+};
@@ -0,0 +1,426 @@
+import { supabase } from './config';
+import { createSplitExpense } from './expenses';
+import { getAwayPeriodsBetween } from './awayPeriods';
+import { calculateSplit } from '../utils/splitCalculator';
+import { excludeFromEqualSplit, getAwayUserIdsOn } from '../utils/awayPeriods';
+import {
+  EXPENSE_FREQUENCIES,
+  getFirstExpenseOccurrence,
+  getNextExpenseOccurrence,
+  parseDate,
+  today
+} from '../utils/recurrence';
+
+/**
+ * Get recurring expense templates for a group
+ * @param {string} groupId - The group ID
+ * @returns {Promise<Object>} - Object containing success status and templates
+ */
+export const getRecurringExpenses = async (groupId) => {
+  try {
+    const { data, error } = await supabase
+      .from('recurring_expenses')
+      .select(`
+        *,
+        created_by_profile:profiles!recurring_expenses_created_by_fkey(id, full_name, avatar_url)
+      `)
+      .eq('group_id', groupId)
+      .order('next_occurrence', { ascending: true });
+
+    if (error) throw error;
+    return { success: true, recurringExpenses: data || [] };
+  } catch (error) {
+    console.error('Error fetching recurring expenses:', error);
+    return { success: false, error: error.message, recurringExpenses: [] };
+  }
+};
+
+/**
+ * Create a recurring expense template
+ * @param {Object} templateData - Template data
+ * @param {string} templateData.group_id - Group the expenses belong to
+ * @param {string} templateData.created_by - User who pays / creates each expense
+ * @param {string} templateData.description - Expense description
+ * @param {number} templateData.amount - Amount of every occurrence
+ * @param {string} templateData.category - Expense category
+ * @param {Object} templateData.split - Split definition used for every occurrence
+ * @param {string} templateData.frequency - weekly, monthly, every_n_days or last_day_of_month
+ * @param {number} templateData.interval - Weeks, months or days between occurrences
+ * @param {string} templateData.start_date - First possible occurrence (YYYY-MM-DD)
+ * @param {string} templateData.end_date - Optional last possible occurrence (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Object containing success status and created template
+ */
+export const createRecurringExpense = async (templateData) => {
+  try {
+    if (!templateData.group_id) throw new Error('Group ID is required');
+    if (!EXPENSE_FREQUENCIES.includes(templateData.frequency)) {
+      throw new Error(`Unsupported frequency: ${templateData.frequency}`);
+    }
+    if (templateData.frequency === 'every_n_days' && !(templateData.interval > 0)) {
+      throw new Error('Number of days between occurrences is required');
+    }
+
+    // Reject a split that could never be materialized
+    const splitCheck = calculateSplit(templateData.amount, templateData.split);
+    if (!splitCheck.success) throw new Error(splitCheck.error);
+
+    const startDate = templateData.start_date || today();
+    const schedule = {
+      frequency: templateData.frequency,
+      interval: templateData.interval || 1,
+      day_of_month: templateData.frequency === 'monthly'
+        ? templateData.day_of_month || parseDate(startDate).getUTCDate()
+        : null,
+      start_date: startDate
+    };
+
+    const { data, error } = await supabase
+      .from('recurring_expenses')
+      .insert([{
+        group_id: templateData.group_id,
+        created_by: templateData.created_by,
+        description: templateData.description,
+        amount: templateData.amount,
+        category: templateData.category || 'Other',
+        currency: templateData.currency || 'USD',
+        split: templateData.split,
+        ...schedule,
+        end_date: templateData.end_date || null,
+        next_occurrence: getFirstExpenseOccurrence(schedule),
+        skipped_dates: [],
+        next_override: null,
+        status: 'active',
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, recurringExpense: data };
+  } catch (error) {
+    console.error('Error creating recurring expense:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Update a recurring expense template
+ * @param {string} templateId - The template ID
+ * @param {Object} updates - Fields to change (description, amount, category, split)
+ * @param {string} scope - 'future' changes every future occurrence,
+ *                         'next' changes only the next occurrence
+ * @returns {Promise<Object>} - Object containing success status and updated template
+ */
+export const updateRecurringExpense = async (templateId, updates, scope = 'future') => {
+  try {
+    const { data: template, error: fetchError } = await supabase
+      .from('recurring_expenses')
+      .select('*')
+      .eq('id', templateId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    const merged = { ...template, ...updates };
+    const splitCheck = calculateSplit(merged.amount, merged.split);
+    if (!splitCheck.success) throw new Error(splitCheck.error);
+
+    let changes;
+    if (scope === 'next') {
+      // One-off override, consumed when the next occurrence is materialized
+      changes = {
+        next_override: { ...updates, occurrence: template.next_occurrence }
+      };
+    } else {
+      const { id, group_id, created_at, next_occurrence, ...editable } = updates;
+      changes = { ...editable };
+
+      // A schedule change restarts the schedule from the next occurrence
+      if (updates.frequency || updates.interval || updates.day_of_month) {
+        if (!EXPENSE_FREQUENCIES.includes(merged.frequency)) {
+          throw new Error(`Unsupported frequency: ${merged.frequency}`);
+        }
+        changes.next_occurrence = getFirstExpenseOccurrence({
+          ...merged,
+          start_date: template.next_occurrence > today() ? template.next_occurrence : today()
+        });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('recurring_expenses')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', templateId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, recurringExpense: data };
+  } catch (error) {
+    console.error('Error updating recurring expense:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Pause a recurring expense; no occurrences are created while paused
+ * @param {string} templateId - The template ID
+ * @returns {Promise<Object>} - Object containing success status
+ */
+export const pauseRecurringExpense = async (templateId) => {
+  try {
+    const { error } = await supabase
+      .from('recurring_expenses')
+      .update({ status: 'paused', updated_at: new Date().toISOString() })
+      .eq('id', templateId)
+      .eq('status', 'active');
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error pausing recurring expense:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Resume a paused recurring expense. Occurrences that fell inside the pause
+ * are not back-filled; the schedule continues from today.
+ * @param {string} templateId - The template ID
+ * @returns {Promise<Object>} - Object containing success status and next occurrence
+ */
+export const resumeRecurringExpense = async (templateId) => {
+  try {
+    const { data: template, error: fetchError } = await supabase
+      .from('recurring_expenses')
+      .select('*')
+      .eq('id', templateId)
+      .single();
+
+    if (fetchError) throw fetchError;
+    if (template.status !== 'paused') {
+      return { success: false, error: 'Recurring expense is not paused' };
+    }
+
+    let nextOccurrence = template.next_occurrence;
+    while (nextOccurrence < today()) {
+      nextOccurrence = getNextExpenseOccurrence(nextOccurrence, template);
+    }
+
+    const ended = template.end_date && nextOccurrence > template.end_date;
+
+    const { error } = await supabase
+      .from('recurring_expenses')
+      .update({
+        status: ended ? 'ended' : 'active',
+        next_occurrence: nextOccurrence,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', templateId);
+
+    if (error) throw error;
+    return { success: true, nextOccurrence, ended: !!ended };
+  } catch (error) {
+    console.error('Error resuming recurring expense:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Skip a single occurrence of a recurring expense
+ * @param {string} templateId - The template ID
+ * @param {string} occurrenceDate - Occurrence to skip (YYYY-MM-DD), defaults to the next one
+ * @returns {Promise<Object>} - Object containing success status
+ */
+export const skipRecurringOccurrence = async (templateId, occurrenceDate = null) => {
+  try {
+    const { data: template, error: fetchError } = await supabase
+      .from('recurring_expenses')
+      .select('next_occurrence, skipped_dates')
+      .eq('id', templateId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    const date = occurrenceDate || template.next_occurrence;
+    const skippedDates = Array.from(new Set([...(template.skipped_dates || []), date]));
+
+    const { error } = await supabase
+      .from('recurring_expenses')
+      .update({ skipped_dates: skippedDates, updated_at: new Date().toISOString() })
+      .eq('id', templateId);
+
+    if (error) throw error;
+    return { success: true, skippedDate: date };
+  } catch (error) {
+    console.error('Error skipping recurring occurrence:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Set (or clear) the last date a recurring expense can occur on
+ * @param {string} templateId - The template ID
+ * @param {string|null} endDate - Last possible occurrence (YYYY-MM-DD), null for no end
+ * @returns {Promise<Object>} - Object containing success status
+ */
+export const setRecurringExpenseEndDate = async (templateId, endDate) => {
+  try {
+    const { error } = await supabase
+      .from('recurring_expenses')
+      .update({ end_date: endDate, updated_at: new Date().toISOString() })
+      .eq('id', templateId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error setting recurring expense end date:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete a recurring expense template. Expenses it already created are kept.
+ * @param {string} templateId - The template ID
+ * @returns {Promise<Object>} - Object containing success status
+ */
+export const deleteRecurringExpense = async (templateId) => {
+  try {
+    const { error } = await supabase
+      .from('recurring_expenses')
+      .delete()
+      .eq('id', templateId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting recurring expense:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Create the real expenses for every occurrence of a template that is due
+ * @param {Object} template - recurring_expenses row
+ * @param {string} asOfDate - Materialize occurrences up to this date (YYYY-MM-DD)
+ * @param {Array} awayPeriods - The group's away periods, to leave away members out of equal splits
+ * @returns {Promise<Array>} - Created expenses
+ */
+const materializeTemplate = async (template, asOfDate, awayPeriods = []) => {
+  const created = [];
+  const skippedDates = template.skipped_dates || [];
+  let occurrence = template.next_occurrence;
+  let override = template.next_override;
+
+  while (occurrence && occurrence <= asOfDate) {
+    if (template.end_date && occurrence > template.end_date) break;
+
+    const following = getNextExpenseOccurrence(occurrence, template);
+    const useOverride = override && override.occurrence === occurrence;
+
+    // Claim the occurrence by moving the pointer; if another device already
+    // moved it, the update matches no rows and we stop here
+    const { data: claimed, error: claimError } = await supabase
+      .from('recurring_expenses')
+      .update({
+        next_occurrence: following,
+        next_override: useOverride ? null : override,
+        last_generated_at: new Date().toISOString()
+      })
+      .eq('id', template.id)
+      .eq('status', 'active')
+      .eq('next_occurrence', occurrence)
+      .select('id');
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) break;
+
+    if (!skippedDates.includes(occurrence)) {
+      const { occurrence: _, ...overrideFields } = useOverride ? override : {};
+      const source = { ...template, ...overrideFields };
+
+      const result = await createSplitExpense({
+        group_id: template.group_id,
+        created_by: template.created_by,
+        description: source.description,
+        amount: source.amount,
+        category: source.category,
+        currency: source.currency,
+        date: occurrence,
+        recurring: true,
+        frequency: template.frequency,
+        recurring_expense_id: template.id
+      }, excludeFromEqualSplit(source.split, getAwayUserIdsOn(awayPeriods, occurrence, { splitsOnly: true })));
+
+      if (!result.success) {
+        // Hand the occurrence back so the next run retries it
+        await supabase
+          .from('recurring_expenses')
+          .update({ next_occurrence: occurrence, next_override: override })
+          .eq('id', template.id)
+          .eq('next_occurrence', following);
+
+        throw new Error(result.error);
+      }
+
+      created.push(result.expense);
+    }
+
+    if (useOverride) override = null;
+    occurrence = following;
+  }
+
+  if (template.end_date && occurrence > template.end_date) {
+    await supabase
+      .from('recurring_expenses')
+      .update({ status: 'ended' })
+      .eq('id', template.id);
+  }
+
+  return created;
+};
+
+/**
+ * Create expenses for all recurring templates in a group that are due.
+ * Safe to call repeatedly (app start, pull-to-refresh, a scheduled job).
+ * @param {string} groupId - The group ID
+ * @param {string} asOfDate - Materialize occurrences up to this date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Object containing success status and created expenses
+ */
+export const materializeRecurringExpenses = async (groupId, asOfDate = today()) => {
+  try {
+    const { data: templates, error } = await supabase
+      .from('recurring_expenses')
+      .select('*')
+      .eq('group_id', groupId)
+      .eq('status', 'active')
+      .lte('next_occurrence', asOfDate);
+
+    if (error) throw error;
+
+    const created = [];
+    const failures = [];
+
+    const oldestOccurrence = (templates || []).reduce(
+      (oldest, template) => (template.next_occurrence < oldest ? template.next_occurrence : oldest),
+      asOfDate
+    );
+    const awayPeriods = templates?.length
+      ? await getAwayPeriodsBetween(groupId, oldestOccurrence, asOfDate)
+      : [];
+
+    for (const template of templates || []) {
+      try {
+        created.push(...await materializeTemplate(template, asOfDate, awayPeriods));
+      } catch (templateError) {
+        console.error(`Error materializing recurring expense ${template.id}:`, templateError);
+        failures.push({ id: template.id, error: templateError.message });
+      }
+    }
+
+    return { success: failures.length === 0, created, failures };
+  } catch (error) {
+    console.error('Error materializing recurring expenses:', error);
+    return { success: false, error: error.message, created: [] };
+  }
+};
@@ -1,5 +1,6 @@
 import { supabase } from './config';
 import { createOrUpdateHomeGroup } from './groups';
+import { isPaidOnTime } from '../utils/dueDates';
 
 // Get all roommates for the current user
 export const getRoommates = async (userId) => {
@@ -103,7 +104,7 @@ export const calculateRoommateScore = async (roommateId, userId) => {
     
     if (!paymentsError && payments && payments.length > 0) {
       // Calculate payment on-time ratio
-      const onTimePayments = payments.filter(p => p.paid && new Date(p.paid_at) <= new Date(p.due_date)).length;
+      const onTimePayments = payments.filter(isPaidOnTime).length;
       const paymentRatio = payments.length > 0 ? onTimePayments / payments.length : 0;
       paymentScore = Math.round(paymentRatio * 100);
       totalComponents++;
@@ -192,7 +193,7 @@ export const getUserScore = async (userId) => {
     
     if (!paymentsMadeError && paymentsMade && paymentsMade.length > 0) {
       // Calculate payment on-time ratio
-      const onTimePayments = paymentsMade.filter(p => p.paid && new Date(p.paid_at) <= new Date(p.due_date)).length;
+      const onTimePayments = paymentsMade.filter(isPaidOnTime).length;
       const totalPayments = paymentsMade.length;
       const paymentRatio = totalPayments > 0 ? onTimePayments / totalPayments : 0;
       score.paymentScore = Math.round(paymentRatio * 100);
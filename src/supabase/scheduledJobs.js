@@ -0,0 +1,86 @@
+import { AppState } from 'react-native';
+import { getUserGroups } from './groups';
+import { materializeRecurringExpenses } from './recurringExpenses';
+import { purgeDeletedExpenses, runReminderJob } from './expenses';
+import { sweepMissedTasks } from './missedTasks';
+
+// How often the jobs run while the app stays open
+const JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+// Jobs run for every group the user belongs to. Each one claims its work
+// with a conditional update, so several members' devices can run it at once.
+const GROUP_JOBS = [
+  { name: 'recurringExpenses', run: groupId => materializeRecurringExpenses(groupId) },
+  // Creditors who never turned on automatic reminders are skipped
+  { name: 'paymentReminders', run: groupId => runReminderJob(groupId) },
+  // Deleted expenses past their restore window
+  { name: 'deletedExpenses', run: groupId => purgeDeletedExpenses(groupId) },
+  // Also creates the next occurrence of recurring chores
+  { name: 'missedTasks', run: groupId => sweepMissedTasks(groupId) }
+];
+
+let jobsInProgress = null;
+
+/**
+ * Run the jobs that bring a user's groups up to date, such as turning due
+ * recurring expenses into real ones, sending payment reminders, purging
+ * expired deleted expenses, marking overdue chores as missed and
+ * creating the next occurrence of recurring ones
+ * @param {string} userId - The signed-in user
+ * @returns {Promise<Object>} - Success status and failures ({ groupId, job, error })
+ */
+export const runScheduledJobs = async (userId) => {
+  if (jobsInProgress) return jobsInProgress;
+
+  jobsInProgress = (async () => {
+    try {
+      const { success, groups, error } = await getUserGroups(userId);
+      if (!success) throw new Error(error);
+
+      const failures = [];
+      for (const group of groups || []) {
+        for (const job of GROUP_JOBS) {
+          const result = await job.run(group.id);
+          if (!result.success) {
+            failures.push({ groupId: group.id, job: job.name, error: result.error || result.failures });
+          }
+        }
+      }
+
+      return { success: failures.length === 0, failures };
+    } catch (error) {
+      console.error('Error running scheduled jobs:', error);
+      return { success: false, error: error.message, failures: [] };
+    } finally {
+      jobsInProgress = null;
+    }
+  })();
+
+  return jobsInProgress;
+};
+
+/**
+ * Run the scheduled jobs now, every hour, and whenever the app returns to
+ * the foreground
+ * @param {string} userId - The signed-in user
+ * @param {Object} options - { intervalMs, onRun }
+ * @returns {Function} - Stops the jobs
+ */
+export const startScheduledJobs = (userId, options = {}) => {
+  const run = async () => {
+    const result = await runScheduledJobs(userId);
+    if (options.onRun) options.onRun(result);
+  };
+
+  const interval = setInterval(run, options.intervalMs || JOB_INTERVAL_MS);
+  const appStateSubscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active') run();
+  });
+
+  run();
+
+  return () => {
+    clearInterval(interval);
+    appStateSubscription.remove();
+  };
+};
@@ -0,0 +1,220 @@
+import { supabase } from './config';
+import { invalidateTable } from '../utils/readCache';
+import { DEFAULT_EFFORT_POINTS } from '../utils/choreRotation';
+import { computeEffortBalances, suggestEffortRebalancing } from '../utils/choreFairness';
+import { getPresenceWeights } from '../utils/awayPeriods';
+import { addDays, today } from '../utils/recurrence';
+
+// Window used when the report is asked for without dates
+const DEFAULT_FAIRNESS_WINDOW_DAYS = 30;
+
+/**
+ * Get a group's members with their profiles
+ * @param {string} groupId - The group ID
+ * @returns {Promise<Array>} - group_members rows with profile
+ */
+const getMembers = async (groupId) => {
+  const { data, error } = await supabase
+    .from('group_members')
+    .select(`
+      user_id,
+      profile:profiles(id, full_name, avatar_url)
+    `)
+    .eq('group_id', groupId);
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Get who is away on a date
+ * @param {string} groupId - The group ID
+ * @param {string} onDate - The date (YYYY-MM-DD)
+ * @returns {Promise<Array>} - User IDs
+ */
+const getAwayUserIds = async (groupId, onDate) => {
+  const { data, error } = await supabase
+    .from('member_away_periods')
+    .select('user_id')
+    .eq('group_id', groupId)
+    .lte('start_date', onDate)
+    .gte('end_date', onDate);
+
+  if (error) throw error;
+  return (data || []).map(period => period.user_id);
+};
+
+/**
+ * Show who did more or less than their share of the chores over a window,
+ * weighting every chore by its effort points
+ * @param {string} groupId - The group ID
+ * @param {Object} options - Options
+ * @param {string} options.from - First day of the window (YYYY-MM-DD), defaults to 30 days ago
+ * @param {string} options.to - Last day of the window (YYYY-MM-DD), defaults to today
+ * @returns {Promise<Object>} - Success status and report: { from, to, totalEffort, members } where each member
+ *   has effortDone, completed, fairShare, balance (positive when over their share) and status
+ */
+export const getEffortFairnessReport = async (groupId, options = {}) => {
+  try {
+    const to = options.to || today();
+    const from = options.from || addDays(to, -DEFAULT_FAIRNESS_WINDOW_DAYS);
+    if (from > to) throw new Error('The report window starts after it ends');
+
+    const members = await getMembers(groupId);
+
+    const { data: completions, error: completionsError } = await supabase
+      .from('task_completions')
+      .select('user_id, completed_at, effort_points, missed, task:tasks!inner(group_id, effort_points)')
+      .eq('task.group_id', groupId)
+      .gte('completed_at', `${from}T00:00:00.000Z`)
+      .lte('completed_at', `${to}T23:59:59.999Z`);
+
+    if (completionsError) throw completionsError;
+
+    // Missed chores earn nothing; completions recorded before effort was
+    // tracked take the chore's current effort
+    const weighted = (completions || [])
+      .filter(completion => !completion.missed)
+      .map(completion => ({
+        user_id: completion.user_id,
+        effort_points: completion.effort_points || completion.task?.effort_points || DEFAULT_EFFORT_POINTS
+      }));
+
+    // Someone away for part of the window owes a smaller share of it
+    const { data: awayPeriods, error: awayError } = await supabase
+      .from('member_away_periods')
+      .select('user_id, start_date, end_date')
+      .eq('group_id', groupId)
+      .lte('start_date', to)
+      .gte('end_date', from);
+
+    if (awayError) throw awayError;
+
+    const balances = computeEffortBalances(
+      members.map(member => member.user_id),
+      weighted,
+      getPresenceWeights(awayPeriods, from, to)
+    );
+    const profiles = members.reduce((map, member) => {
+      map[member.user_id] = member.profile;
+      return map;
+    }, {});
+
+    return {
+      success: true,
+      report: {
+        from,
+        to,
+        totalEffort: balances.totalEffort,
+        members: balances.members
+          .map(member => ({
+            ...member,
+            name: profiles[member.userId]?.full_name || 'Unknown',
+            avatar_url: profiles[member.userId]?.avatar_url
+          }))
+          .sort((a, b) => b.balance - a.balance)
+      }
+    };
+  } catch (error) {
+    console.error('Error building effort fairness report:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Suggest which open chores to hand to someone else so effort evens out
+ * @param {string} groupId - The group ID
+ * @param {Object} options - Report window, see getEffortFairnessReport
+ * @returns {Promise<Object>} - Success status, the report and suggestions
+ *   [{ taskId, title, dueDate, effortPoints, fromUserId, fromName, toUserId, toName }]
+ */
+export const getEffortRebalanceSuggestions = async (groupId, options = {}) => {
+  try {
+    const { success, report, error } = await getEffortFairnessReport(groupId, options);
+    if (!success) throw new Error(error);
+
+    const { data: openTasks, error: openTasksError } = await supabase
+      .from('tasks')
+      .select('id, title, due_date, assigned_to, effort_points')
+      .eq('group_id', groupId)
+      .eq('status', 'pending');
+
+    if (openTasksError) throw openTasksError;
+
+    const awayUserIds = await getAwayUserIds(groupId, today());
+    const names = report.members.reduce((map, member) => {
+      map[member.userId] = member.name;
+      return map;
+    }, {});
+
+    const suggestions = suggestEffortRebalancing(report.members, openTasks, awayUserIds)
+      .map(suggestion => ({
+        ...suggestion,
+        fromName: names[suggestion.fromUserId],
+        toName: names[suggestion.toUserId]
+      }));
+
+    return { success: true, report, suggestions };
+  } catch (error) {
+    console.error('Error suggesting effort rebalancing:', error);
+    return { success: false, error: error.message, suggestions: [] };
+  }
+};
+
+/**
+ * Hand a chore over as suggested. Nothing changes if the chore was
+ * completed or reassigned since the suggestion was made.
+ * @param {Object} suggestion - A suggestion from getEffortRebalanceSuggestions
+ * @param {string} appliedBy - The user applying it
+ * @returns {Promise<Object>} - Success status and whether the chore was moved
+ */
+export const applyEffortRebalanceSuggestion = async (suggestion, appliedBy) => {
+  try {
+    const { data: moved, error } = await supabase
+      .from('tasks')
+      .update({ assigned_to: suggestion.toUserId })
+      .eq('id', suggestion.taskId)
+      .eq('assigned_to', suggestion.fromUserId)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (error) throw error;
+    if (!moved || moved.length === 0) {
+      return { success: false, error: 'This chore was already completed or reassigned' };
+    }
+
+    // Cached task lists still show the old assignee
+    await invalidateTable('tasks');
+
+    const { error: historyError } = await supabase
+      .from('task_history')
+      .insert([{
+        task_id: suggestion.taskId,
+        action: 'rebalance',
+        from_user_id: suggestion.fromUserId,
+        to_user_id: suggestion.toUserId,
+        note: 'Reassigned to even out chore effort',
+        performed_by: appliedBy
+      }]);
+
+    if (historyError) console.error('Error creating task history entry:', historyError);
+
+    const { error: notifError } = await supabase
+      .from('notifications')
+      .insert([{
+        user_id: suggestion.toUserId,
+        title: 'Chore Reassigned to You',
+        message: `"${suggestion.title}" was handed to you to even out chores`,
+        type: 'task_assigned',
+        read: false,
+        data: { taskId: suggestion.taskId }
+      }]);
+
+    if (notifError) console.error('Error creating notification:', notifError);
+
+    return { success: true, moved: true };
+  } catch (error) {
+    console.error('Error applying rebalance suggestion:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -1,4 +1,5 @@
 import { supabase } from './config';
+import { DEFAULT_EFFORT_POINTS } from '../utils/choreRotation';
 
 /**
  * Report an issue with a completed task
@@ -217,16 +218,23 @@ export const getRoommateTaskPerformance = async (groupId) => {
         // Get task completion details (on time vs. late)
         const { data: completions, error: completionsError } = await supabase
           .from('task_completions')
-          .select('completed_on_time, completed_at')
+          .select('completed_on_time, completed_at, effort_points, missed, task:tasks(group_id)')
           .eq('user_id', member.user_id);
         
         if (completionsError) throw completionsError;
         
-        const totalCompletions = completions?.length || 0;
-        const onTimeCompletions = completions?.filter(c => c.completed_on_time).length || 0;
+        // Missed chores are recorded as completions too, but were never done
+        const done = (completions || []).filter(c => !c.missed);
+        const totalCompletions = done.length;
+        const onTimeCompletions = done.filter(c => c.completed_on_time).length;
         const onTimePercentage = totalCompletions > 0 ? 
           Math.round((onTimeCompletions / totalCompletions) * 100) : 100;
         
+        // Weigh chores by effort so a bathroom clean counts for more than the recycling
+        const effortCompleted = done
+          .filter(c => c.task?.group_id === groupId)
+          .reduce((sum, c) => sum + Number(c.effort_points || DEFAULT_EFFORT_POINTS), 0);
+        
         // Get stats from user_task_stats if exists (might be more accurate)
         const { data: statsRecord, error: statsError } = await supabase
           .from('user_task_stats')
@@ -251,6 +259,7 @@ export const getRoommateTaskPerformance = async (groupId) => {
           swapped: stats.swapped_tasks,
           issues: issuesCount || 0,
           onTimePercentage,
+          effortCompleted,
           initiatedSwaps: initiatedCount,
           receivedSwaps: receivedAccepted,
           swapAcceptRate: initiatedCount > 0 ? 
@@ -270,6 +279,7 @@ export const getRoommateTaskPerformance = async (groupId) => {
           stats: stats,
           issues: issuesCount || 0,
           onTimePercentage,
+          effortCompleted,
           metrics, // Include detailed metrics for transparency
           score
         };
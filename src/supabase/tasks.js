@@ -1,82 +1,163 @@
 import { supabase } from './config';
+import { invalidateTable, readThrough } from '../utils/readCache';
+import {
+  formatRecurrenceRule,
+  getFirstTaskOccurrence,
+  getNextTaskOccurrence,
+  normalizeTaskRecurrence,
+  today
+} from '../utils/recurrence';
+import {
+  DEFAULT_EFFORT_POINTS,
+  DEFAULT_ROTATION_STRATEGY,
+  ROTATION_STRATEGIES,
+  getEffortLoad,
+  pickNextAssignment
+} from '../utils/choreRotation';
+import { getAwayUserIdsOn } from '../utils/awayPeriods';
+
+// One cache entry per combination of filters
+const taskQueryKey = (filters) =>
+  `tasks:${['groupId', 'assigneeId', 'dueDate', 'status'].map(name => filters[name] || '').join('|')}`;
+
+// Query and format tasks; throws on failure
+const fetchTasks = async (filters) => {
+  let query = supabase
+    .from('tasks')
+    .select(`
+      *,
+      assigned_to_profile:profiles!tasks_assigned_to_fkey(id, full_name, avatar_url)
+    `);
+  
+  // Apply filters
+  if (filters.groupId) {
+    query = query.eq('group_id', filters.groupId);
+  }
+  
+  if (filters.dueDate) {
+    query = query.eq('due_date', filters.dueDate);
+  }
+  
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+  
+  // Execute query
+  const { data: tasks, error } = await query.order('due_date', { ascending: true });
+  
+  if (error) throw error;
+  
+  // Transform to a more convenient format for frontend use
+  const formattedTasks = tasks.map(task => {
+    return {
+      id: task.id,
+      title: task.title,
+      description: task.description,
+      dueDate: task.due_date,
+      assignedTo: task.assigned_to,
+      assignedBy: task.assigned_by,
+      status: task.status,
+      completedAt: task.completed_at,
+      createdAt: task.created_at,
+      groupId: task.group_id,
+      recurrenceId: task.recurrence_id,
+      priority: task.priority,
+      effortPoints: task.effort_points || DEFAULT_EFFORT_POINTS,
+      assigneeName: task.assigned_to_profile?.full_name,
+      assigneeAvatar: task.assigned_to_profile?.avatar_url,
+      // UI expects these fields
+      currentAssignee: task.assigned_to,
+      completed: task.status === 'completed'
+    };
+  });
+  
+  // If assignee filter is provided, filter client-side
+  let filteredTasks = formattedTasks;
+  if (filters.assigneeId) {
+    filteredTasks = formattedTasks.filter(task => 
+      task.assignedTo === filters.assigneeId
+    );
+  }
+  
+  return filteredTasks;
+};
 
 /**
  * Fetch tasks based on various filters
  * @param {Object} filters - Filters like groupId, assigneeId, dueDate, etc.
- * @returns {Promise<Object>} - Object containing success status, tasks array, and any error
+ * @param {Object} options - Read cache options (cacheFirst, maxAgeMs, onRefresh)
+ * @returns {Promise<Object>} - Object containing success status, tasks array, cache info (fromCache, stale, fetchedAt), and any error
  */
-export const getTasks = async (filters = {}) => {
+export const getTasks = async (filters = {}, options = {}) => {
   try {
-    let query = supabase
-      .from('tasks')
-      .select(`
-        *,
-        assigned_to_profile:profiles!tasks_assigned_to_fkey(id, full_name, avatar_url)
-      `);
-    
-    // Apply filters
-    if (filters.groupId) {
-      query = query.eq('group_id', filters.groupId);
-    }
-    
-    if (filters.dueDate) {
-      query = query.eq('due_date', filters.dueDate);
-    }
-    
-    if (filters.status) {
-      query = query.eq('status', filters.status);
-    }
-    
-    // Execute query
-    const { data: tasks, error } = await query.order('due_date', { ascending: true });
-    
-    if (error) throw error;
-    
-    // Transform to a more convenient format for frontend use
-    const formattedTasks = tasks.map(task => {
-      return {
-        id: task.id,
-        title: task.title,
-        description: task.description,
-        dueDate: task.due_date,
-        assignedTo: task.assigned_to,
-        assignedBy: task.assigned_by,
-        status: task.status,
-        completedAt: task.completed_at,
-        createdAt: task.created_at,
-        groupId: task.group_id,
-        assigneeName: task.assigned_to_profile?.full_name,
-        assigneeAvatar: task.assigned_to_profile?.avatar_url,
-        // UI expects these fields
-        currentAssignee: task.assigned_to,
-        completed: task.status === 'completed'
-      };
+    const { rows, ...cacheInfo } = await readThrough(taskQueryKey(filters), 'tasks', () => fetchTasks(filters), {
+      ...options,
+      onRefresh: options.onRefresh && (({ rows: tasks, ...info }) => options.onRefresh({ success: true, tasks, ...info }))
     });
-    
-    // If assignee filter is provided, filter client-side
-    let filteredTasks = formattedTasks;
-    if (filters.assigneeId) {
-      filteredTasks = formattedTasks.filter(task => 
-        task.assignedTo === filters.assigneeId
-      );
-    }
-    
-    return { success: true, tasks: filteredTasks };
+
+    return { success: true, tasks: rows, ...cacheInfo };
   } catch (error) {
     console.error('Error fetching tasks:', error);
     return { success: false, error: error.message, tasks: [] };
   }
 };
 
+/**
+ * Set up a real-time subscription to a group's tasks; changes invalidate the read cache
+ * @param {string} groupId - The group ID
+ * @param {Function} callback - Receives the realtime payload
+ * @returns {Object} - The realtime channel
+ */
+export const subscribeToTasks = (groupId, callback) => {
+  return supabase
+    .channel(`tasks-${groupId}`)
+    .on('postgres_changes', {
+      event: '*',
+      schema: 'public',
+      table: 'tasks',
+      filter: `group_id=eq.${groupId}`
+    }, async (payload) => {
+      await invalidateTable('tasks', payload);
+      callback(payload);
+    })
+    .subscribe();
+};
+
 /**
  * Create a new task
  * @param {Object} taskData - The task data
+ * @param {string} taskData.frequency - 'once' (default), daily, weekly, biweekly, monthly or custom
+ * @param {Object} taskData.recurrence - Schedule details: interval, weekdays, day_of_month, rule (for custom),
+ *   end_date, count
+ * @param {Array} taskData.rotation - User IDs taking turns on a recurring chore, in order
+ * @param {string} taskData.rotation_strategy - How the next turn is picked (see ROTATION_STRATEGIES)
+ * @param {number} taskData.effort_points - How much work the chore is (defaults to 1)
  * @returns {Promise<Object>} - Object containing success status, created task, and any error
  */
 export const createTask = async (taskData) => {
   try {
-    // Extract any extra metadata we want to store
-    const { priority, frequency, ...coreTaskData } = taskData;
+    // The schedule and rotation are stored in their own tables
+    const { frequency, recurrence, rotation, ...coreTaskData } = taskData;
+    const recurring = frequency && frequency !== 'once';
+
+    let rule = null;
+    if (recurring) {
+      if (!coreTaskData.due_date) throw new Error('A recurring task needs a first due date');
+      rule = normalizeTaskRecurrence({ ...recurrence, frequency, start_date: coreTaskData.due_date });
+      coreTaskData.due_date = getFirstTaskOccurrence(rule);
+    }
+
+    if (coreTaskData.effort_points !== undefined && !(Number(coreTaskData.effort_points) > 0)) {
+      throw new Error('Effort points must be greater than zero');
+    }
+
+    if (coreTaskData.rotation_strategy && !ROTATION_STRATEGIES.includes(coreTaskData.rotation_strategy)) {
+      throw new Error(`Unsupported rotation strategy: ${coreTaskData.rotation_strategy}`);
+    }
+
+    if (rotation?.length && !coreTaskData.assigned_to) {
+      coreTaskData.assigned_to = rotation[0];
+    }
     
     // Create the task with proper schema fields
     const { data: task, error } = await supabase
@@ -87,15 +168,30 @@ export const createTask = async (taskData) => {
     
     if (error) throw error;
     
-    // Store metadata like priority/frequency if needed
-    // This could be in a separate table or added as custom fields
+    let taskRecurrence = null;
+    try {
+      if (rule) {
+        taskRecurrence = await createTaskRecurrence(task, rule);
+      }
+      if (rotation?.length) {
+        await createTaskRotation(task, rotation);
+      }
+    } catch (setupError) {
+      // Don't leave a chore behind that claims to recur but never will
+      await supabase.from('task_recurrences').delete().eq('task_id', task.id);
+      await supabase.from('tasks').delete().eq('id', task.id);
+      throw setupError;
+    }
     
+    // Cached task lists no longer match the server
+    await invalidateTable('tasks');
     return { 
       success: true, 
       task: {
         ...task,
-        priority,
-        frequency,
+        recurrence_id: taskRecurrence?.id || null,
+        frequency: frequency || 'once',
+        recurrence: taskRecurrence,
         currentAssignee: task.assigned_to
       }
     };
@@ -105,46 +201,392 @@ export const createTask = async (taskData) => {
   }
 };
 
+/**
+ * Store a chore's schedule and link the first occurrence to it
+ * @param {Object} task - The first occurrence
+ * @param {Object} rule - Rule from normalizeTaskRecurrence
+ * @returns {Promise<Object>} - The task_recurrences row
+ */
+const createTaskRecurrence = async (task, rule) => {
+  const { data: taskRecurrence, error } = await supabase
+    .from('task_recurrences')
+    .insert([{
+      group_id: task.group_id,
+      // Rotation for every occurrence is kept on the first one's task_assignments
+      task_id: task.id,
+      frequency: rule.frequency,
+      interval: rule.interval,
+      weekdays: rule.weekdays,
+      day_of_month: rule.day_of_month,
+      rule: formatRecurrenceRule(rule),
+      start_date: rule.start_date,
+      end_date: rule.end_date,
+      max_occurrences: rule.count,
+      occurrence_count: 1,
+      last_due_date: task.due_date,
+      status: 'active',
+      created_by: task.assigned_by || null,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { error: linkError } = await supabase
+    .from('tasks')
+    .update({ recurrence_id: taskRecurrence.id })
+    .eq('id', task.id);
+
+  if (linkError) throw linkError;
+  return taskRecurrence;
+};
+
+/**
+ * Set up the order members take turns in, starting with the assignee
+ * @param {Object} task - The task
+ * @param {Array} rotation - User IDs in rotation order
+ */
+const createTaskRotation = async (task, rotation) => {
+  const { error } = await supabase
+    .from('task_assignments')
+    .insert([...new Set(rotation)].map((userId, index) => ({
+      task_id: task.id,
+      user_id: userId,
+      rotation_order: index,
+      is_current: userId === task.assigned_to
+    })));
+
+  if (error) throw error;
+};
+
+// First occurrence after the last one that is not already in the past
+const getUpcomingOccurrence = (taskRecurrence, asOfDate) => {
+  const rule = {
+    frequency: taskRecurrence.frequency,
+    interval: taskRecurrence.interval,
+    weekdays: taskRecurrence.weekdays || [],
+    day_of_month: taskRecurrence.day_of_month,
+    start_date: taskRecurrence.start_date
+  };
+
+  let occurrence = getNextTaskOccurrence(taskRecurrence.last_due_date, rule);
+  while (occurrence < asOfDate) {
+    occurrence = getNextTaskOccurrence(occurrence, rule);
+  }
+  return occurrence;
+};
+
+/**
+ * Create the next occurrence of a recurring chore after its latest one and
+ * hand it to the next person in the rotation. The recurrence's
+ * last_due_date is claimed first, so a completion and a sweep running at
+ * the same time create only one occurrence.
+ * @param {Object} taskRecurrence - task_recurrences row
+ * @param {Object} latestTask - The latest occurrence (due on last_due_date)
+ * @param {string} asOfDate - Skip occurrences before this date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} - The new task, or null when the chore ended or another device created it
+ */
+const createNextOccurrence = async (taskRecurrence, latestTask, asOfDate) => {
+  const dueDate = getUpcomingOccurrence(taskRecurrence, asOfDate);
+
+  const finished = (taskRecurrence.end_date && dueDate > taskRecurrence.end_date) ||
+    (taskRecurrence.max_occurrences && taskRecurrence.occurrence_count >= taskRecurrence.max_occurrences);
+
+  if (finished) {
+    await supabase
+      .from('task_recurrences')
+      .update({ status: 'ended' })
+      .eq('id', taskRecurrence.id);
+    return null;
+  }
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('task_recurrences')
+    .update({
+      last_due_date: dueDate,
+      occurrence_count: (taskRecurrence.occurrence_count || 1) + 1
+    })
+    .eq('id', taskRecurrence.id)
+    .eq('status', 'active')
+    .eq('last_due_date', taskRecurrence.last_due_date)
+    .select('id');
+
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) return null;
+
+  const { data: nextTask, error: insertError } = await supabase
+    .from('tasks')
+    .insert([{
+      title: latestTask.title,
+      description: latestTask.description,
+      group_id: latestTask.group_id,
+      assigned_by: latestTask.assigned_by,
+      assigned_to: latestTask.assigned_to,
+      effort_points: latestTask.effort_points,
+      priority: latestTask.priority,
+      recurrence_id: taskRecurrence.id,
+      due_date: dueDate,
+      status: 'pending'
+    }])
+    .select()
+    .single();
+
+  if (insertError) {
+    // Hand the occurrence back so the next run retries it
+    await supabase
+      .from('task_recurrences')
+      .update({
+        last_due_date: taskRecurrence.last_due_date,
+        occurrence_count: taskRecurrence.occurrence_count
+      })
+      .eq('id', taskRecurrence.id)
+      .eq('last_due_date', dueDate);
+
+    throw insertError;
+  }
+
+  // Next person's turn; a chore without a rotation stays with its assignee
+  const rotationResult = await rotateTaskAssignment(taskRecurrence.task_id, {
+    onDate: dueDate,
+    excludeTaskId: nextTask.id
+  });
+  if (rotationResult.success && rotationResult.nextAssignee !== nextTask.assigned_to) {
+    const { error: assignError } = await supabase
+      .from('tasks')
+      .update({ assigned_to: rotationResult.nextAssignee })
+      .eq('id', nextTask.id);
+
+    if (assignError) {
+      console.error('Error assigning next occurrence:', assignError);
+    } else {
+      nextTask.assigned_to = rotationResult.nextAssignee;
+    }
+  }
+
+  if (nextTask.assigned_to) {
+    const { error: notifError } = await supabase
+      .from('notifications')
+      .insert([{
+        user_id: nextTask.assigned_to,
+        title: 'Chore Assigned',
+        message: `It's your turn: "${nextTask.title}" is due ${dueDate}`,
+        type: 'task_assigned',
+        read: false,
+        data: { taskId: nextTask.id, recurrenceId: taskRecurrence.id }
+      }]);
+
+    if (notifError) console.error('Error creating notification:', notifError);
+  }
+
+  return nextTask;
+};
+
+/**
+ * Create the next occurrence of every recurring chore in a group whose
+ * latest occurrence is past its due date without being completed. Safe to
+ * call repeatedly (app start, pull-to-refresh, a scheduled job).
+ * @param {string} groupId - The group ID
+ * @param {string} asOfDate - Today's date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Object containing success status and created tasks
+ */
+export const generateDueTaskOccurrences = async (groupId, asOfDate = today()) => {
+  try {
+    const { data: recurrences, error } = await supabase
+      .from('task_recurrences')
+      .select('*')
+      .eq('group_id', groupId)
+      .eq('status', 'active')
+      .lt('last_due_date', asOfDate);
+
+    if (error) throw error;
+
+    const created = [];
+    const failures = [];
+
+    for (const taskRecurrence of recurrences || []) {
+      try {
+        const { data: latestTask, error: latestError } = await supabase
+          .from('tasks')
+          .select('*')
+          .eq('recurrence_id', taskRecurrence.id)
+          .eq('due_date', taskRecurrence.last_due_date)
+          .order('created_at', { ascending: false })
+          .limit(1)
+          .maybeSingle();
+
+        if (latestError) throw latestError;
+        if (!latestTask) continue;
+
+        const nextTask = await createNextOccurrence(taskRecurrence, latestTask, asOfDate);
+        if (nextTask) created.push(nextTask);
+      } catch (recurrenceError) {
+        console.error(`Error creating next occurrence of ${taskRecurrence.id}:`, recurrenceError);
+        failures.push({ id: taskRecurrence.id, error: recurrenceError.message });
+      }
+    }
+
+    if (created.length > 0) await invalidateTable('tasks');
+    return { success: failures.length === 0, created, failures };
+  } catch (error) {
+    console.error('Error generating task occurrences:', error);
+    return { success: false, error: error.message, created: [] };
+  }
+};
+
+/**
+ * Stop a chore from recurring. Occurrences already created are kept.
+ * @param {string} recurrenceId - The task_recurrences ID
+ * @returns {Promise<Object>} - Object containing success status and any error
+ */
+export const endTaskRecurrence = async (recurrenceId) => {
+  try {
+    const { error } = await supabase
+      .from('task_recurrences')
+      .update({ status: 'ended' })
+      .eq('id', recurrenceId);
+
+    if (error) throw error;
+    await invalidateTable('tasks');
+    return { success: true };
+  } catch (error) {
+    console.error('Error ending task recurrence:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Change how a chore repeats. The new schedule starts from the latest
+ * occurrence, so occurrences already created keep their dates; 'once'
+ * stops the chore recurring and a one-off task becomes recurring from its
+ * due date. A new frequency replaces the schedule details, otherwise the
+ * details given are changed and the rest kept.
+ * @param {Object} task - The task being edited
+ * @param {string} frequency - New frequency, or undefined to keep it
+ * @param {Object} recurrence - Schedule details, see createTask
+ * @returns {Promise<Object|null>} - The task_recurrences row, null once the chore no longer recurs
+ */
+const updateTaskSchedule = async (task, frequency, recurrence = {}) => {
+  let current = null;
+  if (task.recurrence_id) {
+    const { data, error } = await supabase
+      .from('task_recurrences')
+      .select('*')
+      .eq('id', task.recurrence_id)
+      .single();
+
+    if (error) throw error;
+    current = data;
+  }
+
+  if (!frequency && !current) throw new Error('Choose how often the task repeats');
+
+  if (frequency === 'once') {
+    if (current) {
+      const { error } = await supabase
+        .from('task_recurrences')
+        .update({ status: 'ended' })
+        .eq('id', current.id);
+
+      if (error) throw error;
+    }
+    return null;
+  }
+
+  if (!current) {
+    if (!task.due_date) throw new Error('A recurring task needs a first due date');
+    return createTaskRecurrence(task, normalizeTaskRecurrence({ ...recurrence, frequency, start_date: task.due_date }));
+  }
+
+  const kept = frequency ? {} : {
+    frequency: current.frequency,
+    interval: current.interval,
+    weekdays: current.weekdays,
+    day_of_month: current.day_of_month,
+    end_date: current.end_date,
+    count: current.max_occurrences
+  };
+  const rule = normalizeTaskRecurrence({
+    ...kept,
+    ...recurrence,
+    frequency: frequency || current.frequency,
+    start_date: current.last_due_date
+  });
+
+  const { data: updated, error } = await supabase
+    .from('task_recurrences')
+    .update({
+      frequency: rule.frequency,
+      interval: rule.interval,
+      weekdays: rule.weekdays,
+      day_of_month: rule.day_of_month,
+      rule: formatRecurrenceRule(rule),
+      start_date: rule.start_date,
+      end_date: rule.end_date,
+      max_occurrences: rule.count,
+      status: 'active'
+    })
+    .eq('id', current.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return updated;
+};
+
 /**
  * Update an existing task
  * @param {number} taskId - The task ID to update
- * @param {Object} taskData - The updated task data
- * @returns {Promise<Object>} - Object containing success status and any error
+ * @param {Object} taskData - The updated task data; frequency and recurrence change the chore's schedule
+ * @returns {Promise<Object>} - Object containing success status, the updated task and its recurrence, and any error
  */
 export const updateTask = async (taskId, taskData) => {
   try {
-    // Extract any metadata we're handling separately
-    const { priority, frequency, ...coreTaskData } = taskData;
+    const { frequency, recurrence, ...coreTaskData } = taskData;
+    
+    if (coreTaskData.effort_points !== undefined && !(Number(coreTaskData.effort_points) > 0)) {
+      throw new Error('Effort points must be greater than zero');
+    }
     
     // Update the main task with schema-aligned fields
-    const { error } = await supabase
-      .from('tasks')
-      .update(coreTaskData)
-      .eq('id', taskId);
+    const { data: task, error } = Object.keys(coreTaskData).length > 0
+      ? await supabase.from('tasks').update(coreTaskData).eq('id', taskId).select().single()
+      : await supabase.from('tasks').select('*').eq('id', taskId).single();
     
     if (error) throw error;
     
-    // Update metadata if needed
+    const scheduleChanges = frequency !== undefined || recurrence !== undefined;
+    const taskRecurrence = scheduleChanges
+      ? await updateTaskSchedule(task, frequency, recurrence)
+      : undefined;
     
-    return { success: true };
+    await invalidateTable('tasks');
+    return {
+      success: true,
+      task: { ...task, recurrence_id: taskRecurrence?.id || task.recurrence_id },
+      recurrence: taskRecurrence
+    };
   } catch (error) {
     console.error('Error updating task:', error);
     return { success: false, error: error.message };
   }
 };
 
+const MISSED_TASK_COMPLETION_ERROR = 'This chore was marked as missed and can no longer be completed';
+
 /**
- * Mark a task as complete
+ * Mark a task as complete. Missed tasks cannot be completed: the group's
+ * missed task policy (make-up task, penalty) has already been applied.
  * @param {number} taskId - The task ID
  * @param {string} userId - The user ID marking it complete
- * @returns {Promise<Object>} - Object containing success status and any error
+ * @returns {Promise<Object>} - Object containing success status, missed when the task was missed, and any error
  */
 export const markTaskComplete = async (taskId, userId) => {
   try {
     // First get the task to check due date
     const { data: task, error: taskError } = await supabase
       .from('tasks')
-      .select('due_date, assigned_to, group_id, status')
+      .select('*')
       .eq('id', taskId)
       .single();
     
@@ -155,6 +597,11 @@ export const markTaskComplete = async (taskId, userId) => {
       return { success: true, alreadyCompleted: true };
     }
     
+    // The sweep already applied the group's missed task policy to it
+    if (task.status === 'missed') {
+      return { success: false, missed: true, error: MISSED_TASK_COMPLETION_ERROR };
+    }
+    
     // Check if the user marking complete is the assigned user
     if (task.assigned_to !== userId) {
       return { 
@@ -167,17 +614,33 @@ export const markTaskComplete = async (taskId, userId) => {
     const dueDate = new Date(task.due_date);
     const completedOnTime = now <= dueDate;
     
-    // Update the task status
-    const { error: updateError } = await supabase
+    // Only a pending task can be completed, so a completion on another
+    // device or the missed task sweep getting there first wins
+    const { data: completed, error: updateError } = await supabase
       .from('tasks')
       .update({ 
         status: 'completed',
         completed_at: now.toISOString()
       })
-      .eq('id', taskId);
+      .eq('id', taskId)
+      .eq('status', 'pending')
+      .select('id');
     
     if (updateError) throw updateError;
     
+    if (!completed || completed.length === 0) {
+      const { data: latest, error: latestError } = await supabase
+        .from('tasks')
+        .select('status')
+        .eq('id', taskId)
+        .single();
+      
+      if (latestError) throw latestError;
+      if (latest.status === 'completed') return { success: true, alreadyCompleted: true };
+      if (latest.status === 'missed') return { success: false, missed: true, error: MISSED_TASK_COMPLETION_ERROR };
+      throw new Error('The task changed while it was being completed');
+    }
+    
     // Record the completion in task_completions
     const { error: completionError } = await supabase
       .from('task_completions')
@@ -186,7 +649,9 @@ export const markTaskComplete = async (taskId, userId) => {
         user_id: userId,
         completed_at: now.toISOString(),
         scheduled_date: task.due_date,
-        completed_on_time: completedOnTime
+        completed_on_time: completedOnTime,
+        // Kept with the completion so changing a chore's effort later doesn't rewrite history
+        effort_points: task.effort_points || DEFAULT_EFFORT_POINTS
       }]);
     
     if (completionError) throw completionError;
@@ -203,7 +668,31 @@ export const markTaskComplete = async (taskId, userId) => {
       // Continue even if stats update fails
     }
     
-    return { success: true, completedOnTime };
+    // A recurring chore gets its next occurrence right away
+    let nextTask = null;
+    if (task.recurrence_id) {
+      try {
+        const { data: taskRecurrence, error: recurrenceError } = await supabase
+          .from('task_recurrences')
+          .select('*')
+          .eq('id', task.recurrence_id)
+          .eq('status', 'active')
+          .maybeSingle();
+
+        if (recurrenceError) throw recurrenceError;
+
+        // Only the latest occurrence moves the schedule on
+        if (taskRecurrence && taskRecurrence.last_due_date === task.due_date) {
+          nextTask = await createNextOccurrence(taskRecurrence, task, today());
+        }
+      } catch (recurrenceError) {
+        console.error('Error creating next occurrence:', recurrenceError);
+        // The completion itself is recorded; the sweep will catch up
+      }
+    }
+    
+    await invalidateTable('tasks');
+    return { success: true, completedOnTime, nextTask };
   } catch (error) {
     console.error('Error marking task complete:', error);
     return { success: false, error: error.message };
@@ -222,8 +711,13 @@ export const deleteTask = async (taskId) => {
       .delete()
       .eq('id', taskId);
     
+    // The first occurrence of a recurring chore holds its rotation
+    if (error && error.code === '23503' && error.message.includes('task_recurrences')) {
+      throw new Error('This is the first occurrence of a recurring chore; end the chore instead of deleting it');
+    }
     if (error) throw error;
     
+    await invalidateTable('tasks', { eventType: 'DELETE', old: { id: taskId } });
     return { success: true };
   } catch (error) {
     console.error('Error deleting task:', error);
@@ -232,12 +726,95 @@ export const deleteTask = async (taskId) => {
 };
 
 /**
- * Rotate task assignment to the next person
+ * Gather what a rotation strategy needs to pick the next assignee
+ * @param {Object} task - The task owning the rotation
+ * @param {string} strategy - Rotation strategy
+ * @param {Object} options - { onDate, excludeTaskId }
+ * @returns {Promise<Object>} - Context for pickNextAssignment
+ */
+const loadRotationContext = async (task, strategy, options) => {
+  const context = {};
+  // round_robin does not look at away periods or history
+  if (strategy === 'round_robin') return context;
+
+  const onDate = options.onDate || today();
+  const { data: awayPeriods, error: awayError } = await supabase
+    .from('member_away_periods')
+    .select('user_id')
+    .eq('group_id', task.group_id)
+    .lte('start_date', onDate)
+    .gte('end_date', onDate);
+
+  if (awayError) throw awayError;
+  context.awayUserIds = (awayPeriods || []).map(period => period.user_id);
+
+  if (strategy === 'least_recently_done') {
+    // Completions of every occurrence of the chore
+    let taskIds = [task.id];
+    if (task.recurrence_id) {
+      const { data: occurrences, error: occurrencesError } = await supabase
+        .from('tasks')
+        .select('id')
+        .eq('recurrence_id', task.recurrence_id);
+
+      if (occurrencesError) throw occurrencesError;
+      taskIds = (occurrences || []).map(occurrence => occurrence.id);
+    }
+
+    const { data: completions, error: completionsError } = await supabase
+      .from('task_completions')
+      .select('user_id, completed_at')
+      .in('task_id', taskIds);
+
+    if (completionsError) throw completionsError;
+
+    context.lastDoneAt = (completions || []).reduce((latest, completion) => {
+      if (!latest[completion.user_id] || completion.completed_at > latest[completion.user_id]) {
+        latest[completion.user_id] = completion.completed_at;
+      }
+      return latest;
+    }, {});
+  }
+
+  if (strategy === 'load_balanced') {
+    // Effort of everything each member still has to do in the group
+    const { data: openTasks, error: openTasksError } = await supabase
+      .from('tasks')
+      .select('id, assigned_to, effort_points')
+      .eq('group_id', task.group_id)
+      .eq('status', 'pending');
+
+    if (openTasksError) throw openTasksError;
+
+    context.effortLoad = getEffortLoad(
+      (openTasks || []).filter(openTask => openTask.id !== options.excludeTaskId)
+    );
+  }
+
+  return context;
+};
+
+/**
+ * Rotate task assignment to the next person, chosen by the task's rotation
+ * strategy. The current turn is released with a conditional update, so if
+ * two devices rotate at once only one of them advances the pointer.
  * @param {number} taskId - The task ID
+ * @param {Object} options - Options
+ * @param {string} options.strategy - Override the task's rotation_strategy
+ * @param {string} options.onDate - Date the turn is for, used to skip away members (YYYY-MM-DD)
+ * @param {string} options.excludeTaskId - Task not to count in load_balanced (the one being assigned)
  * @returns {Promise<Object>} - Object containing success status and next assignee
  */
-export const rotateTaskAssignment = async (taskId) => {
+export const rotateTaskAssignment = async (taskId, options = {}) => {
   try {
+    const { data: task, error: taskError } = await supabase
+      .from('tasks')
+      .select('id, group_id, recurrence_id, rotation_strategy')
+      .eq('id', taskId)
+      .single();
+    
+    if (taskError) throw taskError;
+    
     // Get current assignments sorted by rotation order
     const { data: assignments, error: assignmentsError } = await supabase
       .from('task_assignments')
@@ -252,38 +829,59 @@ export const rotateTaskAssignment = async (taskId) => {
     }
     
     // Find the current assignee
-    const currentIndex = assignments.findIndex(a => a.is_current);
-    if (currentIndex === -1) {
+    const current = assignments.find(a => a.is_current);
+    if (!current) {
       return { success: false, error: 'No current assignee found' };
     }
     
-    // Calculate the next assignee index (wrapping around)
-    const nextIndex = (currentIndex + 1) % assignments.length;
+    const strategy = options.strategy || task.rotation_strategy || DEFAULT_ROTATION_STRATEGY;
+    const context = await loadRotationContext(task, strategy, options);
+    const next = pickNextAssignment(assignments, strategy, context);
     
-    // Update the assignments
-    const currentAssignmentId = assignments[currentIndex].id;
-    const nextAssignmentId = assignments[nextIndex].id;
+    if (!next) {
+      return { success: false, error: 'Everyone in the rotation is away' };
+    }
+    
+    if (next.id === current.id) {
+      return { success: true, nextAssignee: current.user_id, strategy, unchanged: true };
+    }
     
-    // Update current assignee (set is_current to false)
-    const { error: updateCurrentError } = await supabase
+    // Release the current turn only if nobody else has moved it since we read it
+    const { data: released, error: releaseError } = await supabase
       .from('task_assignments')
       .update({ is_current: false })
-      .eq('id', currentAssignmentId);
+      .eq('id', current.id)
+      .eq('is_current', true)
+      .select('id');
+    
+    if (releaseError) throw releaseError;
     
-    if (updateCurrentError) throw updateCurrentError;
+    if (!released || released.length === 0) {
+      return { success: false, conflict: true, error: 'The rotation was just advanced by someone else' };
+    }
     
     // Update next assignee (set is_current to true)
     const { error: updateNextError } = await supabase
       .from('task_assignments')
       .update({ is_current: true })
-      .eq('id', nextAssignmentId);
+      .eq('id', next.id);
     
-    if (updateNextError) throw updateNextError;
+    if (updateNextError) {
+      // Give the turn back rather than leave the rotation without a current assignee
+      await supabase
+        .from('task_assignments')
+        .update({ is_current: true })
+        .eq('id', current.id);
+
+      throw updateNextError;
+    }
     
     // Return the next assignee's user ID
+    await invalidateTable('tasks');
     return { 
       success: true, 
-      nextAssignee: assignments[nextIndex].user_id 
+      nextAssignee: next.user_id,
+      strategy
     };
   } catch (error) {
     console.error('Error rotating task assignment:', error);
@@ -291,6 +889,186 @@ export const rotateTaskAssignment = async (taskId) => {
   }
 };
 
+/**
+ * Choose how a chore's rotation picks the next assignee
+ * @param {number} taskId - The task that owns the rotation (the first occurrence of a recurring chore)
+ * @param {string} strategy - round_robin, skip_away, least_recently_done or load_balanced
+ * @returns {Promise<Object>} - Object containing success status and any error
+ */
+export const setTaskRotationStrategy = async (taskId, strategy) => {
+  try {
+    if (!ROTATION_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unsupported rotation strategy: ${strategy}`);
+    }
+
+    const { error } = await supabase
+      .from('tasks')
+      .update({ rotation_strategy: strategy })
+      .eq('id', taskId);
+
+    if (error) throw error;
+    await invalidateTable('tasks');
+    return { success: true };
+  } catch (error) {
+    console.error('Error setting rotation strategy:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Hand a member's pending tasks that fall due while they are away to
+ * someone who is around. A rotating chore whose turn it is moves on to the
+ * next person in the rotation; anything else goes to whoever has the least
+ * effort still to do.
+ * @param {string} groupId - The group ID
+ * @param {string} userId - The member who is away
+ * @param {Object} window - { from, to } dates of the absence (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Success status, reassigned tasks ({ taskId, title, dueDate, toUserId })
+ *   and tasks nobody could take
+ */
+export const reassignTasksForAwayMember = async (groupId, userId, { from, to }) => {
+  // Kept outside the try so a failure part-way still reports what moved
+  const reassigned = [];
+  const unassigned = [];
+
+  try {
+    const { data: dueTasks, error: dueError } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('group_id', groupId)
+      .eq('assigned_to', userId)
+      .eq('status', 'pending')
+      .gte('due_date', from)
+      .lte('due_date', to);
+
+    if (dueError) throw dueError;
+    if (!dueTasks || dueTasks.length === 0) {
+      return { success: true, reassigned, unassigned };
+    }
+
+    const { data: members, error: membersError } = await supabase
+      .from('group_members')
+      .select('user_id')
+      .eq('group_id', groupId);
+
+    if (membersError) throw membersError;
+
+    const { data: awayPeriods, error: awayError } = await supabase
+      .from('member_away_periods')
+      .select('user_id, start_date, end_date')
+      .eq('group_id', groupId)
+      .lte('start_date', to)
+      .gte('end_date', from);
+
+    if (awayError) throw awayError;
+
+    const { data: openTasks, error: openTasksError } = await supabase
+      .from('tasks')
+      .select('assigned_to, effort_points')
+      .eq('group_id', groupId)
+      .eq('status', 'pending');
+
+    if (openTasksError) throw openTasksError;
+
+    const effortLoad = getEffortLoad(openTasks);
+
+    for (const task of dueTasks) {
+      const away = new Set([userId, ...getAwayUserIdsOn(awayPeriods, task.due_date)]);
+      const candidates = (members || []).filter(member => !away.has(member.user_id));
+
+      if (candidates.length === 0) {
+        unassigned.push({ taskId: task.id, title: task.title, dueDate: task.due_date });
+        continue;
+      }
+
+      let toUserId = null;
+
+      // The away member's turn on a rotating chore passes to the next in line
+      if (task.recurrence_id) {
+        const { data: taskRecurrence } = await supabase
+          .from('task_recurrences')
+          .select('task_id')
+          .eq('id', task.recurrence_id)
+          .maybeSingle();
+
+        if (taskRecurrence) {
+          const { data: currentTurn } = await supabase
+            .from('task_assignments')
+            .select('user_id')
+            .eq('task_id', taskRecurrence.task_id)
+            .eq('is_current', true)
+            .maybeSingle();
+
+          if (currentTurn?.user_id === userId) {
+            const rotation = await rotateTaskAssignment(taskRecurrence.task_id, {
+              strategy: 'skip_away',
+              onDate: task.due_date,
+              excludeTaskId: task.id
+            });
+            if (rotation.success && !away.has(rotation.nextAssignee)) toUserId = rotation.nextAssignee;
+          }
+        }
+      }
+
+      if (!toUserId) {
+        toUserId = candidates.reduce((best, member) =>
+          (effortLoad[member.user_id] || 0) < (effortLoad[best.user_id] || 0) ? member : best
+        ).user_id;
+      }
+
+      // Skip it if it was completed or swapped in the meantime
+      const { data: moved, error: moveError } = await supabase
+        .from('tasks')
+        .update({ assigned_to: toUserId })
+        .eq('id', task.id)
+        .eq('assigned_to', userId)
+        .eq('status', 'pending')
+        .select('id');
+
+      if (moveError) throw moveError;
+      if (!moved || moved.length === 0) continue;
+
+      const points = Number(task.effort_points || DEFAULT_EFFORT_POINTS);
+      effortLoad[toUserId] = (effortLoad[toUserId] || 0) + points;
+      effortLoad[userId] = (effortLoad[userId] || 0) - points;
+
+      const { error: historyError } = await supabase
+        .from('task_history')
+        .insert([{
+          task_id: task.id,
+          action: 'away_reassign',
+          from_user_id: userId,
+          to_user_id: toUserId,
+          note: 'Reassigned while the assignee is away'
+        }]);
+
+      if (historyError) console.error('Error creating task history entry:', historyError);
+
+      const { error: notifError } = await supabase
+        .from('notifications')
+        .insert([{
+          user_id: toUserId,
+          title: 'Chore Reassigned to You',
+          message: `"${task.title}" (due ${task.due_date}) is yours while a housemate is away`,
+          type: 'task_assigned',
+          read: false,
+          data: { taskId: task.id }
+        }]);
+
+      if (notifError) console.error('Error creating notification:', notifError);
+
+      reassigned.push({ taskId: task.id, title: task.title, dueDate: task.due_date, toUserId });
+    }
+
+    await invalidateTable('tasks');
+    return { success: true, reassigned, unassigned };
+  } catch (error) {
+    console.error('Error reassigning tasks for away member:', error);
+    if (reassigned.length > 0) await invalidateTable('tasks');
+    return { success: false, error: error.message, reassigned, unassigned };
+  }
+};
+
 /**
  * Get task completion statistics
  * @param {number} taskId - The task ID
@@ -299,14 +1077,17 @@ export const rotateTaskAssignment = async (taskId) => {
 export const getTaskCompletionStats = async (taskId) => {
   try {
     // Get all completions for this task
-    const { data: completions, error } = await supabase
+    const { data: allCompletions, error } = await supabase
       .from('task_completions')
       .select('*')
       .eq('task_id', taskId);
     
     if (error) throw error;
     
-    if (!completions || completions.length === 0) {
+    // Missed chores are recorded as completions too, but were never done
+    const completions = (allCompletions || []).filter(c => !c.missed);
+    
+    if (completions.length === 0) {
       return { 
         success: true, 
         stats: {
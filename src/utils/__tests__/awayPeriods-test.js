@@ -0,0 +1,62 @@
+import { excludeFromEqualSplit, getAwayUserIdsOn, getPresenceWeights } from '../awayPeriods';
+
+const period = (user_id, start_date, end_date, exclude_from_splits = false) =>
+  ({ user_id, start_date, end_date, exclude_from_splits });
+
+describe('getAwayUserIdsOn', () => {
+  it('counts both ends of a period and can look at split exclusions only', () => {
+    const periods = [period('a', '2026-10-01', '2026-10-05', true), period('b', '2026-10-05', '2026-10-09')];
+
+    expect(getAwayUserIdsOn(periods, '2026-10-05')).toEqual(['a', 'b']);
+    expect(getAwayUserIdsOn(periods, '2026-10-05', { splitsOnly: true })).toEqual(['a']);
+    expect(getAwayUserIdsOn(periods, '2026-10-10')).toEqual([]);
+  });
+});
+
+describe('getPresenceWeights', () => {
+  it('weighs members by the share of the window they were around for', () => {
+    const weights = getPresenceWeights([
+      period('a', '2026-10-01', '2026-10-05'),
+      period('b', '2026-09-20', '2026-10-02')
+    ], '2026-10-01', '2026-10-10');
+
+    expect(weights).toEqual({ a: 0.5, b: 0.8 });
+  });
+
+  it('adds up several periods of one member and ignores periods outside the window', () => {
+    const weights = getPresenceWeights([
+      period('a', '2026-10-01', '2026-10-02'),
+      period('a', '2026-10-09', '2026-10-15'),
+      period('b', '2026-11-01', '2026-11-05')
+    ], '2026-10-01', '2026-10-10');
+
+    expect(weights).toEqual({ a: 0.6 });
+  });
+
+  it('gives members away for the whole window no weight', () => {
+    expect(getPresenceWeights([period('a', '2026-09-01', '2026-12-31')], '2026-10-01', '2026-10-10'))
+      .toEqual({ a: 0 });
+  });
+});
+
+describe('excludeFromEqualSplit', () => {
+  const split = {
+    mode: 'equal',
+    participants: [{ user_id: 'a' }, { user_id: 'b' }, { user_id: 'c' }]
+  };
+
+  it('leaves the given members out of an equal split', () => {
+    expect(excludeFromEqualSplit(split, ['b'])).toEqual({
+      mode: 'equal',
+      participants: [{ user_id: 'a' }, { user_id: 'c' }]
+    });
+  });
+
+  it('keeps agreed amounts and splits that would end up empty as they are', () => {
+    const exact = { mode: 'exact', participants: [{ user_id: 'a', amount: 10 }] };
+
+    expect(excludeFromEqualSplit(exact, ['a'])).toBe(exact);
+    expect(excludeFromEqualSplit(split, ['a', 'b', 'c'])).toBe(split);
+    expect(excludeFromEqualSplit(split, [])).toBe(split);
+  });
+});
@@ -0,0 +1,33 @@
+import { computeBudgetProgress, getReachedThresholds, projectMonthEndSpend } from '../budgetProgress';
+
+describe('getReachedThresholds', () => {
+  it('compares the exact spend, not the rounded percentage', () => {
+    expect(getReachedThresholds(79.99, 100)).toEqual([]);
+    expect(getReachedThresholds(40.6, 50.75)).toEqual([80]);
+    expect(getReachedThresholds(99.99, 100)).toEqual([80]);
+    expect(getReachedThresholds(100, 100)).toEqual([80, 100]);
+  });
+});
+
+describe('computeBudgetProgress', () => {
+  it('rounds the percentage for display only', () => {
+    const progress = computeBudgetProgress({ amount: 1000 }, 799.9, { month: '2026-01', asOfDate: '2026-02-01' });
+
+    expect(progress.percentage).toBe(80);
+    expect(progress.status).toBe('on_track');
+  });
+
+  it('flags budgets that are on course to be exceeded', () => {
+    // Half the budget gone a third of the way through the month
+    const progress = computeBudgetProgress({ amount: 300 }, 150, { month: '2026-04', asOfDate: '2026-04-10' });
+
+    expect(progress.projected).toBe(450);
+    expect(progress.status).toBe('projected_over');
+  });
+});
+
+describe('projectMonthEndSpend', () => {
+  it('leaves past months as they are', () => {
+    expect(projectMonthEndSpend(120, '2026-03', '2026-04-10')).toBe(120);
+  });
+});
@@ -0,0 +1,72 @@
+import { computeEffortBalances, suggestEffortRebalancing } from '../choreFairness';
+
+describe('computeEffortBalances', () => {
+  it('splits the total effort evenly and flags who did more or less', () => {
+    const { totalEffort, members } = computeEffortBalances(['a', 'b', 'c'], [
+      { user_id: 'a', effort_points: 5 },
+      { user_id: 'a', effort_points: 4 },
+      { user_id: 'b', effort_points: 3 },
+      // Chores without points count as 1
+      { user_id: 'c' },
+      // Former members' effort is not shared out
+      { user_id: 'z', effort_points: 10 }
+    ]);
+
+    expect(totalEffort).toBe(13);
+    expect(members.map(({ userId, effortDone, completed, fairShare, balance, status }) =>
+      ({ userId, effortDone, completed, fairShare, balance, status })
+    )).toEqual([
+      { userId: 'a', effortDone: 9, completed: 2, fairShare: 4.33, balance: 4.67, status: 'over' },
+      { userId: 'b', effortDone: 3, completed: 1, fairShare: 4.33, balance: -1.33, status: 'under' },
+      { userId: 'c', effortDone: 1, completed: 1, fairShare: 4.33, balance: -3.33, status: 'under' }
+    ]);
+  });
+
+  it('treats small differences as fair', () => {
+    const { members } = computeEffortBalances(['a', 'b'], [
+      { user_id: 'a', effort_points: 3 },
+      { user_id: 'b', effort_points: 2 }
+    ]);
+
+    expect(members.map(member => member.status)).toEqual(['fair', 'fair']);
+  });
+
+  it('gives members with a smaller weight a smaller share', () => {
+    const { members } = computeEffortBalances(['a', 'b'], [
+      { user_id: 'a', effort_points: 6 },
+      { user_id: 'b', effort_points: 6 }
+    ], { b: 0.5 });
+
+    expect(members.map(member => member.fairShare)).toEqual([8, 4]);
+    expect(members.map(member => member.status)).toEqual(['under', 'over']);
+  });
+});
+
+describe('suggestEffortRebalancing', () => {
+  const balances = computeEffortBalances(['a', 'b'], [{ user_id: 'a', effort_points: 6 }]).members;
+
+  it('moves the biggest open chore from the member who did more', () => {
+    expect(suggestEffortRebalancing(balances, [
+      { id: 1, title: 'Dishes', due_date: '2026-03-02', assigned_to: 'a', effort_points: 1 },
+      { id: 2, title: 'Bathroom', due_date: '2026-03-03', assigned_to: 'a', effort_points: 3 }
+    ])).toEqual([
+      { taskId: 2, title: 'Bathroom', dueDate: '2026-03-03', effortPoints: 3, fromUserId: 'a', toUserId: 'b' },
+      { taskId: 1, title: 'Dishes', dueDate: '2026-03-02', effortPoints: 1, fromUserId: 'a', toUserId: 'b' }
+    ]);
+  });
+
+  it('does not give chores to away members', () => {
+    expect(suggestEffortRebalancing(balances, [
+      { id: 2, title: 'Bathroom', due_date: '2026-03-03', assigned_to: 'a', effort_points: 3 }
+    ], ['b'])).toEqual([]);
+  });
+
+  it('does not suggest a move that only swaps who is over their share', () => {
+    // With the garden a is 2 points over their share; moving it would leave b 8 over
+    const close = computeEffortBalances(['a', 'b'], [{ user_id: 'b', effort_points: 6 }]).members;
+
+    expect(suggestEffortRebalancing(close, [
+      { id: 3, title: 'Garden', due_date: '2026-03-04', assigned_to: 'a', effort_points: 10 }
+    ])).toEqual([]);
+  });
+});
@@ -0,0 +1,44 @@
+import { getTurnOrder, pickNextAssignment } from '../choreRotation';
+
+// b has the current turn
+const assignments = [
+  { id: 3, user_id: 'c', rotation_order: 2, is_current: false },
+  { id: 1, user_id: 'a', rotation_order: 0, is_current: false },
+  { id: 2, user_id: 'b', rotation_order: 1, is_current: true }
+];
+
+describe('getTurnOrder', () => {
+  it('starts after the current assignee and wraps around', () => {
+    expect(getTurnOrder(assignments).map(assignment => assignment.user_id)).toEqual(['c', 'a', 'b']);
+  });
+});
+
+describe('pickNextAssignment', () => {
+  it('strictly follows the rotation order for round_robin, even past away members', () => {
+    expect(pickNextAssignment(assignments, 'round_robin').user_id).toBe('c');
+    expect(pickNextAssignment(assignments, 'round_robin', { awayUserIds: ['c'] }).user_id).toBe('c');
+  });
+
+  it('passes over away members for skip_away', () => {
+    expect(pickNextAssignment(assignments, 'skip_away', { awayUserIds: ['c'] }).user_id).toBe('a');
+    expect(pickNextAssignment(assignments, 'skip_away', { awayUserIds: ['a', 'b', 'c'] })).toBeNull();
+  });
+
+  it('picks whoever did the chore longest ago, members who never did it first', () => {
+    expect(pickNextAssignment(assignments, 'least_recently_done', {
+      lastDoneAt: { a: '2026-03-01T10:00:00Z', b: '2026-02-01T10:00:00Z', c: '2026-03-05T10:00:00Z' }
+    }).user_id).toBe('b');
+    expect(pickNextAssignment(assignments, 'least_recently_done', {
+      lastDoneAt: { b: '2026-02-01T10:00:00Z', c: '2026-03-05T10:00:00Z' }
+    }).user_id).toBe('a');
+  });
+
+  it('picks the member with the least effort left, ties in turn order', () => {
+    expect(pickNextAssignment(assignments, 'load_balanced', { effortLoad: { a: 2, b: 1, c: 4 } }).user_id).toBe('b');
+    expect(pickNextAssignment(assignments, 'load_balanced', { effortLoad: { b: 3 } }).user_id).toBe('c');
+  });
+
+  it('rejects unknown strategies', () => {
+    expect(() => pickNextAssignment(assignments, 'random')).toThrow('Unsupported rotation strategy');
+  });
+});
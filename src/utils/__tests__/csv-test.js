@@ -0,0 +1,82 @@
+import { csvValue, parseAmount, parseCsv, parseCsvRecords, toCsvTable } from '../csv';
+
+describe('csvValue', () => {
+  it('quotes cells that contain delimiters, quotes or line breaks', () => {
+    expect(csvValue('plain')).toBe('plain');
+    expect(csvValue('a, b')).toBe('"a, b"');
+    expect(csvValue('say "hi"')).toBe('"say ""hi"""');
+    expect(csvValue(null)).toBe('');
+    expect(csvValue(12.5)).toBe('12.5');
+  });
+
+  it('defuses text a spreadsheet would run as a formula', () => {
+    expect(csvValue('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+    expect(csvValue('-5 refund')).toBe("'-5 refund");
+  });
+});
+
+describe('toCsvTable', () => {
+  it('writes a header and one line per row', () => {
+    expect(toCsvTable([{ a: 1, b: 'x,y' }], ['a', 'b'])).toBe('a,b\n1,"x,y"');
+  });
+});
+
+describe('parseCsv', () => {
+  it('handles quoted cells, escaped quotes and mixed line endings', () => {
+    const text = '\uFEFFa,b\r\n"1, 2","say ""hi"""\n"multi\nline",3\r\n\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['a', 'b'],
+      ['1, 2', 'say "hi"'],
+      ['multi\nline', '3']
+    ]);
+  });
+
+  it('round-trips what toCsvTable writes', () => {
+    const rows = [{ note: 'a "quoted", line\nbreak', amount: 3 }];
+    const [, cells] = parseCsv(toCsvTable(rows, ['note', 'amount']));
+
+    expect(cells).toEqual(['a "quoted", line\nbreak', '3']);
+  });
+});
+
+describe('parseCsvRecords', () => {
+  it('keys trimmed cells by trimmed header and fills missing cells', () => {
+    expect(parseCsvRecords(' Date , Amount\n2026-01-01 , 5\n2026-01-02')).toEqual({
+      headers: ['Date', 'Amount'],
+      records: [
+        { Date: '2026-01-01', Amount: '5' },
+        { Date: '2026-01-02', Amount: '' }
+      ]
+    });
+  });
+});
+
+describe('parseAmount', () => {
+  it('reads the decimal separator from the last separator', () => {
+    expect(parseAmount('1,234.56')).toBe(1234.56);
+    expect(parseAmount('1.234,56')).toBe(1234.56);
+    expect(parseAmount('12,50')).toBe(12.5);
+    expect(parseAmount('12.5')).toBe(12.5);
+    expect(parseAmount('1.234.567')).toBe(1234567);
+  });
+
+  it('keeps signs, brackets and currency text', () => {
+    expect(parseAmount('-12,50 €')).toBe(-12.5);
+    expect(parseAmount('($1,234.00)')).toBe(-1234);
+    expect(parseAmount('')).toBeNull();
+  });
+
+  it('uses the hint only for amounts that could be read either way', () => {
+    expect(parseAmount('1,234', '.')).toBe(1234);
+    expect(parseAmount('1,234', ',')).toBe(1.234);
+    expect(parseAmount('1.234', ',')).toBe(1234);
+    expect(parseAmount('0,125')).toBe(0.125);
+    expect(parseAmount('12,50', '.')).toBe(12.5);
+  });
+
+  it('rejects ambiguous amounts without a hint', () => {
+    expect(() => parseAmount('1,234')).toThrow('could be read two ways');
+    expect(() => parseAmount('1.234')).toThrow('could be read two ways');
+  });
+});
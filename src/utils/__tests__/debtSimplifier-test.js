@@ -0,0 +1,140 @@
+import {
+  convertWithRates,
+  getBalancesFromExpenses,
+  getDebtsFromExpenses,
+  simplifyBalances,
+  simplifyDebts
+} from '../debtSimplifier';
+
+describe('simplifyBalances', () => {
+  it('settles a chain of debts with as few transfers as possible', () => {
+    // a owes b 10, b owes c 10: a can pay c directly
+    expect(simplifyBalances({ a: -10, b: 0, c: 10 })).toEqual([
+      { from_user_id: 'a', to_user_id: 'c', amount: 10, currency: 'USD' }
+    ]);
+  });
+
+  it('matches the largest debtor with the largest creditor first', () => {
+    const transfers = simplifyBalances({ a: -30, b: -20, c: 35, d: 15 }, 'EUR');
+
+    expect(transfers).toEqual([
+      { from_user_id: 'a', to_user_id: 'c', amount: 30, currency: 'EUR' },
+      { from_user_id: 'b', to_user_id: 'd', amount: 15, currency: 'EUR' },
+      { from_user_id: 'b', to_user_id: 'c', amount: 5, currency: 'EUR' }
+    ]);
+  });
+
+  it('breaks ties by user ID so the result is stable', () => {
+    expect(simplifyBalances({ b: -5, a: -5, c: 10 })).toEqual([
+      { from_user_id: 'a', to_user_id: 'c', amount: 5, currency: 'USD' },
+      { from_user_id: 'b', to_user_id: 'c', amount: 5, currency: 'USD' }
+    ]);
+  });
+
+  it('rejects balances that do not add up to zero', () => {
+    expect(() => simplifyBalances({ a: -10, b: 9.99 })).toThrow('add up to zero');
+  });
+});
+
+describe('simplifyDebts', () => {
+  const debts = [
+    { from_user_id: 'a', to_user_id: 'b', amount: 20, currency: 'USD' },
+    { from_user_id: 'b', to_user_id: 'a', amount: 5, currency: 'USD' },
+    { from_user_id: 'b', to_user_id: 'c', amount: 15, currency: 'USD' }
+  ];
+
+  it('nets pairwise debts and explains which debts each transfer covers', () => {
+    const { netDebts, transfers, stats } = simplifyDebts(debts);
+
+    expect(netDebts).toEqual([
+      { from_user_id: 'a', to_user_id: 'b', amount: 15, currency: 'USD' },
+      { from_user_id: 'b', to_user_id: 'c', amount: 15, currency: 'USD' }
+    ]);
+    expect(transfers).toEqual([{
+      from_user_id: 'a',
+      to_user_id: 'c',
+      amount: 15,
+      currency: 'USD',
+      covers: [{ from_user_id: 'a', to_user_id: 'b', amount: 15, covered: 15, currency: 'USD' }]
+    }]);
+    expect(stats).toEqual({ originalCount: 2, optimizedCount: 1, reductionPercent: 50 });
+  });
+
+  it('keeps currencies apart by default', () => {
+    const { transfers } = simplifyDebts([
+      { from_user_id: 'a', to_user_id: 'b', amount: 10, currency: 'USD' },
+      { from_user_id: 'b', to_user_id: 'a', amount: 10, currency: 'EUR' }
+    ]);
+
+    expect(transfers.map(transfer => transfer.currency)).toEqual(['EUR', 'USD']);
+  });
+
+  it('converts to the base currency before netting', () => {
+    const { transfers } = simplifyDebts([
+      { from_user_id: 'a', to_user_id: 'b', amount: 10, currency: 'USD' },
+      { from_user_id: 'b', to_user_id: 'a', amount: 4, currency: 'EUR' }
+    ], { mode: 'base_currency', baseCurrency: 'USD', rates: { USD: 1, EUR: 0.5 } });
+
+    expect(transfers).toEqual([
+      expect.objectContaining({ from_user_id: 'a', to_user_id: 'b', amount: 2, currency: 'USD' })
+    ]);
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => simplifyDebts(debts, { mode: 'magic' })).toThrow('Unknown simplification mode');
+  });
+});
+
+describe('convertWithRates', () => {
+  it('converts through the shared reference currency', () => {
+    expect(convertWithRates(10, 'EUR', 'GBP', { EUR: 0.5, GBP: 0.25 })).toBe(5);
+    expect(() => convertWithRates(10, 'EUR', 'JPY', { EUR: 0.5 })).toThrow('No exchange rate');
+  });
+});
+
+describe('getDebtsFromExpenses', () => {
+  it('owes the unpaid part of other people\'s shares to the payer', () => {
+    expect(getDebtsFromExpenses([{
+      created_by: 'a',
+      paid_by: 'b',
+      currency: 'EUR',
+      expense_shares: [
+        { user_id: 'a', amount: 12.5, amount_paid: 2.5, paid: false },
+        { user_id: 'b', amount: 12.5, paid: false },
+        { user_id: 'c', amount: 5, amount_paid: 5, paid: false }
+      ]
+    }])).toEqual([
+      { from_user_id: 'a', to_user_id: 'b', amount: 10, currency: 'EUR' }
+    ]);
+  });
+});
+
+describe('getBalancesFromExpenses', () => {
+  it('owes the unpaid part of each share to whoever paid', () => {
+    const balances = getBalancesFromExpenses([
+      {
+        created_by: 'a',
+        currency: 'USD',
+        expense_shares: [
+          { user_id: 'a', amount: 10, paid: false },
+          { user_id: 'b', amount: 10, amount_paid: 4, paid: false },
+          { user_id: 'c', amount: 10, paid: true }
+        ]
+      },
+      {
+        created_by: 'a',
+        paid_by: 'b',
+        currency: 'EUR',
+        expense_shares: [{ user_id: 'a', amount: 7.5, paid: false }]
+      }
+    ]);
+
+    expect(balances).toEqual({
+      USD: { a: 6, b: -6 },
+      EUR: { b: 7.5, a: -7.5 }
+    });
+    expect(simplifyBalances(balances.USD)).toEqual([
+      { from_user_id: 'b', to_user_id: 'a', amount: 6, currency: 'USD' }
+    ]);
+  });
+});
@@ -0,0 +1,76 @@
+import { buildFriendBalances, planFriendSettlement } from '../friendBalances';
+
+const debt = (overrides = {}) => ({
+  debtor_id: 'friend',
+  creditor_id: 'me',
+  amount: 10,
+  currency: 'USD',
+  group_id: 'g1',
+  group_name: 'Flat',
+  created_at: '2026-10-01T00:00:00Z',
+  ...overrides
+});
+
+describe('buildFriendBalances', () => {
+  it('nets debts in both directions per group and currency', () => {
+    const [friend] = buildFriendBalances('me', [
+      debt({ amount: 30 }),
+      debt({ debtor_id: 'me', creditor_id: 'friend', amount: 12.5 }),
+      debt({ group_id: null, group_name: null, amount: 5, created_at: '2026-09-01T00:00:00Z' }),
+      debt({ currency: 'EUR', amount: 8 })
+    ]);
+
+    expect(friend.friend_id).toBe('friend');
+    expect(friend.balances).toEqual({ USD: 22.5, EUR: 8 });
+    expect(friend.contexts).toEqual([
+      { group_id: null, group_name: null, currency: 'USD', amount: 5, oldest: '2026-09-01T00:00:00Z' },
+      { group_id: 'g1', group_name: 'Flat', currency: 'USD', amount: 17.5, oldest: '2026-10-01T00:00:00Z' },
+      { group_id: 'g1', group_name: 'Flat', currency: 'EUR', amount: 8, oldest: '2026-10-01T00:00:00Z' }
+    ]);
+  });
+
+  it('leaves out friends who are settled and debts between other people', () => {
+    expect(buildFriendBalances('me', [
+      debt({ amount: 10 }),
+      debt({ debtor_id: 'me', creditor_id: 'friend', amount: 10 }),
+      debt({ debtor_id: 'someone', creditor_id: 'friend' })
+    ])).toEqual([]);
+  });
+});
+
+describe('planFriendSettlement', () => {
+  // From the payer's view: negative where the payer owes the friend
+  const contexts = [
+    { group_id: 'g1', amount: -20 },
+    { group_id: 'g2', amount: 15 },
+    { group_id: null, amount: -30 }
+  ];
+
+  it('records the netted part as offsets and only the cash as payments', () => {
+    const plan = planFriendSettlement(contexts, 35);
+
+    expect(plan.offsets).toEqual([{ group_id: 'g2', amount: 15 }]);
+    expect(plan.offsetPayments).toEqual([{ group_id: 'g1', amount: 15 }]);
+    expect(plan.payments).toEqual([
+      { group_id: 'g1', amount: 5 },
+      { group_id: null, amount: 30 }
+    ]);
+    expect(plan).toEqual(expect.objectContaining({ netted: 15, cash: 35, unallocated: 0 }));
+  });
+
+  it('leaves cash beyond what is owed unallocated', () => {
+    const plan = planFriendSettlement(contexts, 50);
+
+    expect(plan.cash).toBe(35);
+    expect(plan.unallocated).toBe(15);
+  });
+
+  it('nets only up to what the payer owes', () => {
+    const plan = planFriendSettlement([{ group_id: 'g1', amount: -10 }, { group_id: 'g2', amount: 25 }], 5);
+
+    expect(plan.offsets).toEqual([{ group_id: 'g2', amount: 10 }]);
+    expect(plan.offsetPayments).toEqual([{ group_id: 'g1', amount: 10 }]);
+    expect(plan.payments).toEqual([]);
+    expect(plan.unallocated).toBe(5);
+  });
+});
@@ -0,0 +1,67 @@
+import {
+  DEFAULT_MISSED_TASK_POLICY,
+  fromPolicyRow,
+  getMissedCutoff,
+  toPolicyRow,
+  validateMissedTaskPolicy
+} from '../missedTasks';
+
+describe('getMissedCutoff', () => {
+  it('counts tasks due before today minus the grace days as missed', () => {
+    expect(getMissedCutoff('2026-03-02', 1)).toBe('2026-03-01');
+    expect(getMissedCutoff('2026-03-02', 3)).toBe('2026-02-27');
+  });
+
+  it('treats a missing or negative grace period as none', () => {
+    expect(getMissedCutoff('2026-03-02', undefined)).toBe('2026-03-02');
+    expect(getMissedCutoff('2026-03-02', -2)).toBe('2026-03-02');
+  });
+});
+
+describe('validateMissedTaskPolicy', () => {
+  it('accepts the defaults and a complete penalty', () => {
+    expect(validateMissedTaskPolicy(DEFAULT_MISSED_TASK_POLICY)).toBeNull();
+    expect(validateMissedTaskPolicy({ ...DEFAULT_MISSED_TASK_POLICY, penaltyEnabled: true, penaltyAmount: 2 }))
+      .toBeNull();
+  });
+
+  it('rejects bad grace periods, actions and penalties', () => {
+    expect(validateMissedTaskPolicy({ graceDays: 1.5 })).toBe('Grace period must be a whole number of days');
+    expect(validateMissedTaskPolicy({ action: 'ignore' })).toBe('Unsupported missed task action: ignore');
+    expect(validateMissedTaskPolicy({ penaltyAmount: -1 })).toBe('Penalty amount cannot be negative');
+    expect(validateMissedTaskPolicy({ penaltyEnabled: true, penaltyAmount: 0 }))
+      .toBe('Set a penalty amount to enable penalties');
+  });
+});
+
+describe('policy rows', () => {
+  it('reads snake_case columns into the policy, defaults filling the gaps', () => {
+    expect(fromPolicyRow({
+      id: 'p1',
+      group_id: 'g1',
+      grace_days: 2,
+      action: 'reassign',
+      penalty_enabled: true,
+      penalty_amount: '2.50',
+      penalty_currency: null
+    })).toEqual({
+      graceDays: 2,
+      action: 'reassign',
+      penaltyEnabled: true,
+      penaltyAmount: 2.5,
+      penaltyCurrency: 'USD',
+      penaltyRecipientId: null
+    });
+  });
+
+  it('uses the defaults for groups without a policy', () => {
+    expect(fromPolicyRow(null)).toEqual(DEFAULT_MISSED_TASK_POLICY);
+  });
+
+  it('writes only policy fields, as snake_case columns', () => {
+    expect(toPolicyRow({ graceDays: 0, penaltyRecipientId: 'u1', extra: true })).toEqual({
+      grace_days: 0,
+      penalty_recipient_id: 'u1'
+    });
+  });
+});
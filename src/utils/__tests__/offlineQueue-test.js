@@ -0,0 +1,87 @@
+import { applyPendingOperations } from '../offlineQueue';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const operation = (type, args, overrides = {}) => ({
+  id: `op-${type}`,
+  type,
+  args,
+  status: 'pending',
+  ...overrides
+});
+
+const expenses = [
+  {
+    id: 'e1',
+    group_id: 'g1',
+    description: 'Groceries',
+    amount: 30,
+    expense_shares: [
+      { id: 's1', user_id: 'a', amount: 15, paid: false },
+      { id: 's2', user_id: 'b', amount: 15, paid: false }
+    ]
+  },
+  { id: 'e2', group_id: 'g1', description: 'Rent', amount: 900, expense_shares: [] }
+];
+
+describe('applyPendingOperations', () => {
+  it('shows expenses created offline first, with their shares', () => {
+    const [created, ...rest] = applyPendingOperations(expenses, [
+      operation('createExpense', [
+        { client_ref: 'local-1', group_id: 'g1', description: 'Pizza', amount: 20 },
+        [{ user_id: 'a', amount: 10 }, { user_id: 'b', amount: 10, paid: true }]
+      ])
+    ], 'g1');
+
+    expect(created).toEqual(expect.objectContaining({ id: 'local-1', description: 'Pizza', pending_sync: true }));
+    expect(created.expense_shares).toEqual([
+      { id: 'local-1-0', user_id: 'a', amount: 10, paid: false },
+      { id: 'local-1-1', user_id: 'b', amount: 10, paid: true }
+    ]);
+    expect(rest.map(expense => expense.id)).toEqual(['e1', 'e2']);
+  });
+
+  it('leaves out expenses created offline in other groups', () => {
+    const result = applyPendingOperations(expenses, [
+      operation('createExpense', [{ client_ref: 'local-1', group_id: 'g2' }, []])
+    ], 'g1');
+
+    expect(result.map(expense => expense.id)).toEqual(['e1', 'e2']);
+  });
+
+  it('overlays queued edits and marks conflicts', () => {
+    const [edited, untouched] = applyPendingOperations(expenses, [
+      operation('updateExpense', ['e1', { description: 'Weekly shop' }], { status: 'conflict' })
+    ]);
+
+    expect(edited).toEqual(expect.objectContaining({
+      description: 'Weekly shop',
+      amount: 30,
+      pending_sync: true,
+      sync_conflict: true
+    }));
+    expect(untouched).toEqual(expenses[1]);
+  });
+
+  it('marks shares paid or unpaid on the expense that holds them', () => {
+    const [withShare] = applyPendingOperations(expenses, [
+      operation('markShareAsPaid', ['s2', true]),
+      operation('markShareAsPaid', ['s1', false])
+    ]);
+
+    expect(withShare.pending_sync).toBe(true);
+    expect(withShare.sync_conflict).toBe(false);
+    expect(withShare.expense_shares).toEqual([
+      { id: 's1', user_id: 'a', amount: 15, paid: false, pending_sync: true },
+      { id: 's2', user_id: 'b', amount: 15, paid: true, pending_sync: true }
+    ]);
+  });
+
+  it('does not change the expenses it was given', () => {
+    applyPendingOperations(expenses, [operation('updateExpense', ['e2', { amount: 950 }])]);
+
+    expect(expenses[1].amount).toBe(900);
+    expect(expenses[1].pending_sync).toBeUndefined();
+  });
+});
@@ -0,0 +1,100 @@
+import {
+  clearReadCache,
+  invalidateTable,
+  readCachedQuery,
+  readThrough,
+  writeCachedQuery
+} from '../readCache';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+beforeEach(() => clearReadCache());
+
+describe('normalized queries', () => {
+  it('stores a row once so an update shows up in every query holding it', async () => {
+    await writeCachedQuery('expenses:group:g1', 'expenses', [{ id: 'e1', amount: 10 }, { id: 'e2', amount: 20 }]);
+    await writeCachedQuery('expenses:user:u1', 'expenses', [{ id: 'e1', amount: 15 }]);
+
+    const group = await readCachedQuery('expenses:group:g1');
+
+    expect(group.rows).toEqual([{ id: 'e1', amount: 15 }, { id: 'e2', amount: 20 }]);
+    expect(group.stale).toBe(false);
+  });
+
+  it('returns null for queries that were never cached', async () => {
+    expect(await readCachedQuery('expenses:group:missing')).toBeNull();
+  });
+});
+
+describe('invalidateTable', () => {
+  it('marks only the changed table\'s queries stale', async () => {
+    await writeCachedQuery('expenses:group:g1', 'expenses', [{ id: 'e1' }]);
+    await writeCachedQuery('groups:user:u1', 'groups', [{ id: 'g1' }]);
+
+    await invalidateTable('expenses');
+
+    expect((await readCachedQuery('expenses:group:g1')).stale).toBe(true);
+    expect((await readCachedQuery('groups:user:u1')).stale).toBe(false);
+  });
+
+  it('drops a deleted row from every query straight away', async () => {
+    await writeCachedQuery('expenses:group:g1', 'expenses', [{ id: 'e1' }, { id: 'e2' }]);
+
+    await invalidateTable('expenses', { eventType: 'DELETE', old: { id: 'e1' } });
+
+    expect((await readCachedQuery('expenses:group:g1')).rows).toEqual([{ id: 'e2' }]);
+  });
+});
+
+describe('readThrough', () => {
+  it('asks the server first and falls back to the cache when it fails', async () => {
+    const fresh = await readThrough('expenses:group:g1', 'expenses', async () => [{ id: 'e1' }]);
+    expect(fresh).toEqual(expect.objectContaining({ rows: [{ id: 'e1' }], fromCache: false }));
+
+    const offline = await readThrough('expenses:group:g1', 'expenses', async () => {
+      throw new Error('Network request failed');
+    });
+
+    expect(offline).toEqual(expect.objectContaining({
+      rows: [{ id: 'e1' }],
+      fromCache: true,
+      stale: true,
+      error: 'Network request failed'
+    }));
+  });
+
+  it('rethrows when the server fails and nothing is cached', async () => {
+    await expect(readThrough('expenses:group:g1', 'expenses', async () => {
+      throw new Error('Network request failed');
+    })).rejects.toThrow('Network request failed');
+  });
+
+  it('with cacheFirst returns fresh cached rows without asking the server', async () => {
+    await writeCachedQuery('expenses:group:g1', 'expenses', [{ id: 'e1' }]);
+    const fetchRows = jest.fn();
+
+    const result = await readThrough('expenses:group:g1', 'expenses', fetchRows, { cacheFirst: true });
+
+    expect(result).toEqual(expect.objectContaining({ rows: [{ id: 'e1' }], fromCache: true, stale: false }));
+    expect(fetchRows).not.toHaveBeenCalled();
+  });
+
+  it('with cacheFirst returns stale rows and hands the refreshed ones to onRefresh', async () => {
+    await writeCachedQuery('expenses:group:g1', 'expenses', [{ id: 'e1', amount: 10 }]);
+    await invalidateTable('expenses');
+    const onRefresh = jest.fn();
+
+    const result = await readThrough('expenses:group:g1', 'expenses', async () => [{ id: 'e1', amount: 12 }], {
+      cacheFirst: true,
+      onRefresh
+    });
+    await flushPromises();
+
+    expect(result).toEqual(expect.objectContaining({ rows: [{ id: 'e1', amount: 10 }], fromCache: true, stale: true }));
+    expect(onRefresh).toHaveBeenCalledWith(expect.objectContaining({ rows: [{ id: 'e1', amount: 12 }], fromCache: false }));
+    expect((await readCachedQuery('expenses:group:g1')).rows).toEqual([{ id: 'e1', amount: 12 }]);
+  });
+});
@@ -0,0 +1,153 @@
+import {
+  addMonths,
+  formatRecurrenceRule,
+  getFirstExpenseOccurrence,
+  getFirstTaskOccurrence,
+  getNextExpenseOccurrence,
+  getNextTaskOccurrence,
+  normalizeTaskRecurrence,
+  parseRecurrenceRule,
+  today
+} from '../recurrence';
+
+describe('today', () => {
+  afterEach(() => jest.useRealTimers());
+
+  it('uses the local calendar day late in the evening', () => {
+    jest.useFakeTimers().setSystemTime(new Date(2026, 0, 31, 23, 30));
+    expect(today()).toBe('2026-01-31');
+  });
+
+  it('uses the local calendar day just after midnight', () => {
+    jest.useFakeTimers().setSystemTime(new Date(2026, 2, 1, 0, 15));
+    expect(today()).toBe('2026-03-01');
+  });
+});
+
+describe('addMonths', () => {
+  it('clamps the day of month to shorter months and recovers afterwards', () => {
+    expect(addMonths('2026-01-31', 1, 31)).toBe('2026-02-28');
+    expect(addMonths('2026-02-28', 1, 31)).toBe('2026-03-31');
+    expect(addMonths('2028-01-31', 1, 31)).toBe('2028-02-29');
+  });
+});
+
+describe('getNextExpenseOccurrence', () => {
+  it('steps weekly, every n days and monthly schedules', () => {
+    expect(getNextExpenseOccurrence('2026-03-30', { frequency: 'weekly', interval: 2 })).toBe('2026-04-13');
+    expect(getNextExpenseOccurrence('2026-03-30', { frequency: 'every_n_days', interval: 3 })).toBe('2026-04-02');
+    expect(getNextExpenseOccurrence('2026-01-31', { frequency: 'monthly', day_of_month: 31 })).toBe('2026-02-28');
+  });
+
+  it('keeps last_day_of_month on the last day', () => {
+    expect(getNextExpenseOccurrence('2026-01-31', { frequency: 'last_day_of_month' })).toBe('2026-02-28');
+    expect(getNextExpenseOccurrence('2026-02-28', { frequency: 'last_day_of_month' })).toBe('2026-03-31');
+  });
+
+  it('rejects unknown frequencies', () => {
+    expect(() => getNextExpenseOccurrence('2026-01-01', { frequency: 'yearly' })).toThrow('Unsupported frequency');
+  });
+});
+
+describe('getFirstExpenseOccurrence', () => {
+  it('moves a monthly schedule to the next matching day of month', () => {
+    expect(getFirstExpenseOccurrence({ frequency: 'monthly', start_date: '2026-03-10', day_of_month: 5 }))
+      .toBe('2026-04-05');
+    expect(getFirstExpenseOccurrence({ frequency: 'monthly', start_date: '2026-03-10', day_of_month: 15 }))
+      .toBe('2026-03-15');
+  });
+
+  it('starts last_day_of_month schedules at the end of the start month', () => {
+    expect(getFirstExpenseOccurrence({ frequency: 'last_day_of_month', start_date: '2026-04-02' }))
+      .toBe('2026-04-30');
+  });
+});
+
+describe('parseRecurrenceRule', () => {
+  it('reads frequency, interval, weekdays and limits', () => {
+    expect(parseRecurrenceRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20261231T000000Z')).toEqual({
+      frequency: 'weekly',
+      interval: 2,
+      weekdays: [1, 4],
+      day_of_month: null,
+      end_date: '2026-12-31',
+      count: null
+    });
+  });
+
+  it('rejects unsupported frequencies and weekdays', () => {
+    expect(() => parseRecurrenceRule('FREQ=YEARLY')).toThrow('Unsupported recurrence frequency');
+    expect(() => parseRecurrenceRule('FREQ=WEEKLY;BYDAY=XX')).toThrow('Unsupported weekday');
+  });
+});
+
+describe('normalizeTaskRecurrence', () => {
+  it('turns biweekly into weekly every two weeks on the start weekday', () => {
+    expect(normalizeTaskRecurrence({ frequency: 'biweekly', start_date: '2026-03-04' })).toEqual({
+      frequency: 'weekly',
+      interval: 2,
+      weekdays: [3],
+      day_of_month: null,
+      end_date: null,
+      count: null,
+      start_date: '2026-03-04'
+    });
+  });
+
+  it('keeps the weekdays of a daily rule', () => {
+    const rule = normalizeTaskRecurrence({ frequency: 'custom', rule: 'FREQ=DAILY;BYDAY=MO,WE,FR', start_date: '2026-03-02' });
+
+    expect(rule.weekdays).toEqual([1, 3, 5]);
+    expect(formatRecurrenceRule(rule)).toBe('FREQ=DAILY;BYDAY=MO,WE,FR');
+  });
+
+  it('rejects a daily rule that can never land on its weekdays', () => {
+    expect(() => normalizeTaskRecurrence({ frequency: 'daily', interval: 7, weekdays: ['TU'], start_date: '2026-03-02' }))
+      .toThrow('never falls on the chosen weekdays');
+  });
+
+  it('defaults the day of month to the start date', () => {
+    expect(normalizeTaskRecurrence({ frequency: 'monthly', start_date: '2026-01-31' }).day_of_month).toBe(31);
+  });
+});
+
+describe('getNextTaskOccurrence', () => {
+  it('steps through the weekdays of a weekly rule, skipping off weeks', () => {
+    // 2026-03-02 is a Monday
+    const rule = normalizeTaskRecurrence({ frequency: 'weekly', interval: 2, weekdays: [1, 4], start_date: '2026-03-02' });
+
+    expect(getNextTaskOccurrence('2026-03-02', rule)).toBe('2026-03-05');
+    expect(getNextTaskOccurrence('2026-03-05', rule)).toBe('2026-03-16');
+  });
+
+  it('only lands a daily rule with weekdays on those weekdays', () => {
+    const rule = normalizeTaskRecurrence({ frequency: 'custom', rule: 'FREQ=DAILY;BYDAY=MO,WE,FR', start_date: '2026-03-02' });
+
+    expect(getNextTaskOccurrence('2026-03-02', rule)).toBe('2026-03-04');
+    expect(getNextTaskOccurrence('2026-03-06', rule)).toBe('2026-03-09');
+  });
+
+  it('combines a daily interval with weekdays', () => {
+    // Every other day, but only on weekdays
+    const rule = normalizeTaskRecurrence({
+      frequency: 'daily', interval: 2, weekdays: ['MO', 'TU', 'WE', 'TH', 'FR'], start_date: '2026-03-02'
+    });
+
+    expect(getNextTaskOccurrence('2026-03-06', rule)).toBe('2026-03-10');
+  });
+
+  it('clamps monthly chores to short months', () => {
+    const rule = normalizeTaskRecurrence({ frequency: 'monthly', start_date: '2026-01-31' });
+
+    expect(getNextTaskOccurrence('2026-01-31', rule)).toBe('2026-02-28');
+  });
+});
+
+describe('getFirstTaskOccurrence', () => {
+  it('moves to the first matching day on or after the start date', () => {
+    expect(getFirstTaskOccurrence(normalizeTaskRecurrence({ frequency: 'weekly', weekdays: ['FR'], start_date: '2026-03-02' })))
+      .toBe('2026-03-06');
+    expect(getFirstTaskOccurrence(normalizeTaskRecurrence({ frequency: 'daily', weekdays: ['SA', 'SU'], start_date: '2026-03-02' })))
+      .toBe('2026-03-07');
+  });
+});
@@ -0,0 +1,112 @@
+import {
+  REMINDER_CLAIM_TIMEOUT_MS,
+  isInQuietHours,
+  isStaleClaim,
+  planReminders
+} from '../reminderPlanner';
+
+const now = new Date(2026, 9, 19, 12, 0);
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const reminder = (overrides = {}) => ({
+  share_id: 's1',
+  creditor_id: 'c1',
+  status: 'overdue',
+  days_overdue: 2,
+  escalation_level: 'gentle',
+  ...overrides
+});
+
+const enabled = { c1: { autoReminders: true } };
+
+describe('isInQuietHours', () => {
+  it('handles windows that wrap past midnight', () => {
+    const settings = { quietHoursStart: '22:00', quietHoursEnd: '08:00' };
+
+    expect(isInQuietHours(new Date(2026, 0, 1, 23, 0), settings)).toBe(true);
+    expect(isInQuietHours(new Date(2026, 0, 1, 7, 59), settings)).toBe(true);
+    expect(isInQuietHours(new Date(2026, 0, 1, 8, 0), settings)).toBe(false);
+  });
+
+  it('treats an empty window as no quiet hours', () => {
+    expect(isInQuietHours(now, { quietHoursStart: '12:00', quietHoursEnd: '12:00' })).toBe(false);
+  });
+});
+
+describe('isStaleClaim', () => {
+  it('only lets abandoned sending claims be taken over', () => {
+    const claimedAt = (ms) => new Date(now.getTime() - ms).toISOString();
+
+    expect(isStaleClaim({ status: 'sending', sent_at: claimedAt(REMINDER_CLAIM_TIMEOUT_MS) }, now)).toBe(true);
+    expect(isStaleClaim({ status: 'sending', sent_at: claimedAt(60 * 1000) }, now)).toBe(false);
+    expect(isStaleClaim({ status: 'sent', sent_at: daysAgo(1) }, now)).toBe(false);
+  });
+});
+
+describe('planReminders', () => {
+  it('numbers reminders per share for the dedupe key', () => {
+    const { due } = planReminders([reminder()], {
+      settingsByCreditor: enabled,
+      logsByShare: { s1: [{ sent_at: daysAgo(8), escalation_level: 'gentle' }] },
+      now
+    });
+
+    expect(due).toEqual([expect.objectContaining({ sequence: 2, dedupeKey: 's1:2', escalationLevel: 'gentle' })]);
+  });
+
+  it('explains why reminders are held back', () => {
+    const { due, skipped } = planReminders([
+      reminder({ share_id: 'off', creditor_id: 'c2' }),
+      reminder({ share_id: 'early', status: 'upcoming' }),
+      reminder({ share_id: 'recent' }),
+      reminder({ share_id: 'maxed' })
+    ], {
+      settingsByCreditor: enabled,
+      logsByShare: {
+        recent: [{ sent_at: daysAgo(2), escalation_level: 'gentle' }],
+        maxed: [1, 2, 3].map(n => ({ sent_at: daysAgo(30 + n), escalation_level: 'gentle' }))
+      },
+      now
+    });
+
+    expect(due).toEqual([]);
+    expect(skipped.map(({ reminder: { share_id }, reason }) => [share_id, reason])).toEqual([
+      ['off', 'disabled'],
+      ['early', 'not_due'],
+      ['recent', 'too_soon'],
+      ['maxed', 'max_reached']
+    ]);
+  });
+
+  it('reminds about upcoming shares daysBefore days ahead of the due date', () => {
+    const { due, skipped } = planReminders([
+      reminder({ share_id: 'soon', status: 'upcoming', days_overdue: 0, days_until_due: 3 }),
+      reminder({ share_id: 'later', status: 'upcoming', days_overdue: 0, days_until_due: 4 })
+    ], {
+      settingsByCreditor: { c1: { autoReminders: true, daysBefore: 3, overdueDays: 2 } },
+      now
+    });
+
+    expect(due.map(item => item.reminder.share_id)).toEqual(['soon']);
+    expect(skipped.map(({ reminder: { share_id }, reason }) => [share_id, reason])).toEqual([['later', 'not_due']]);
+  });
+
+  it('always sends when the share moves up the escalation ladder', () => {
+    const { due } = planReminders([reminder({ escalation_level: 'firm', days_overdue: 7 })], {
+      settingsByCreditor: { c1: { autoReminders: true, maxPerShare: 1 } },
+      logsByShare: { s1: [{ sent_at: daysAgo(1), escalation_level: 'gentle' }] },
+      now
+    });
+
+    expect(due).toHaveLength(1);
+  });
+
+  it('holds reminders during the creditor\'s quiet hours', () => {
+    const { skipped } = planReminders([reminder()], {
+      settingsByCreditor: { c1: { autoReminders: true, quietHoursStart: '11:00', quietHoursEnd: '13:00' } },
+      now
+    });
+
+    expect(skipped).toEqual([{ reminder: reminder(), reason: 'quiet_hours' }]);
+  });
+});
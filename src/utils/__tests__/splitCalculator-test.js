@@ -0,0 +1,95 @@
+import { allocateCents, calculateSplit, toCents } from '../splitCalculator';
+
+const total = (shares) => shares.reduce((sum, share) => sum + toCents(share.amount), 0);
+
+describe('allocateCents', () => {
+  it('hands leftover cents to the largest remainders, first listed on ties', () => {
+    expect(allocateCents(100, [1, 1, 1])).toEqual([34, 33, 33]);
+    expect(allocateCents(1000, [1, 2])).toEqual([333, 667]);
+  });
+
+  it('rejects weights that add up to zero', () => {
+    expect(() => allocateCents(100, [0, 0])).toThrow('more than zero');
+  });
+});
+
+describe('calculateSplit', () => {
+  it('splits equally to the cent', () => {
+    const { success, shares } = calculateSplit(10, {
+      mode: 'equal',
+      participants: [{ user_id: 'a' }, { user_id: 'b' }, { user_id: 'c' }]
+    });
+
+    expect(success).toBe(true);
+    expect(shares).toEqual([
+      { user_id: 'a', amount: 3.34 },
+      { user_id: 'b', amount: 3.33 },
+      { user_id: 'c', amount: 3.33 }
+    ]);
+  });
+
+  it('requires percentages to add up to 100', () => {
+    const result = calculateSplit(50, {
+      mode: 'percentage',
+      participants: [{ user_id: 'a', percentage: 60 }, { user_id: 'b', percentage: 30 }]
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch('add up to 100');
+  });
+
+  it('splits by percentage and by share weights', () => {
+    const byPercentage = calculateSplit(99.99, {
+      mode: 'percentage',
+      participants: [{ user_id: 'a', percentage: 50 }, { user_id: 'b', percentage: 50 }]
+    });
+    expect(byPercentage.shares).toEqual([{ user_id: 'a', amount: 50 }, { user_id: 'b', amount: 49.99 }]);
+
+    const byShares = calculateSplit(90, {
+      mode: 'shares',
+      participants: [{ user_id: 'a', shares: 2 }, { user_id: 'b', shares: 1 }]
+    });
+    expect(byShares.shares).toEqual([{ user_id: 'a', amount: 60 }, { user_id: 'b', amount: 30 }]);
+  });
+
+  it('rejects exact amounts that do not match the total', () => {
+    const result = calculateSplit(20, {
+      mode: 'exact',
+      participants: [{ user_id: 'a', amount: 12 }, { user_id: 'b', amount: 7.99 }]
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch('19.99');
+  });
+
+  it('allocates itemized tax and tip in proportion to each sub-total', () => {
+    const { success, shares } = calculateSplit(36, {
+      mode: 'itemized',
+      items: [
+        { description: 'Pizza', amount: 20, user_ids: ['a', 'b'] },
+        { description: 'Salad', amount: 10, user_ids: ['b'] }
+      ],
+      tax: 3,
+      tip: 3
+    });
+
+    expect(success).toBe(true);
+    expect(shares).toEqual([{ user_id: 'a', amount: 12 }, { user_id: 'b', amount: 24 }]);
+    expect(total(shares)).toBe(3600);
+  });
+
+  it('merges duplicate participants and drops empty shares', () => {
+    const { shares } = calculateSplit(30, {
+      mode: 'shares',
+      participants: [{ user_id: 'a', shares: 1 }, { user_id: 'b', shares: 0 }, { user_id: 'a', shares: 2 }]
+    });
+
+    expect(shares).toEqual([{ user_id: 'a', amount: 30 }]);
+  });
+
+  it('rejects unknown modes and non-positive totals', () => {
+    expect(calculateSplit(10, { mode: 'random', participants: [{ user_id: 'a' }] }).success).toBe(false);
+    expect(calculateSplit(0, { mode: 'equal', participants: [{ user_id: 'a' }] }).error)
+      .toMatch('greater than zero');
+  });
+});
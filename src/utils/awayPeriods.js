@@ -0,0 +1,68 @@
+/**
+ * Helpers for members' away periods.
+ *
+ * A period is { user_id, start_date, end_date, exclude_from_splits } with
+ * inclusive 'YYYY-MM-DD' dates.
+ */
+import { parseDate } from './recurrence';
+
+export const isAwayOn = (period, dateString) =>
+  period.start_date <= dateString && period.end_date >= dateString;
+
+/**
+ * Get who is away on a date
+ * @param {Array} periods - Away periods
+ * @param {string} dateString - The date (YYYY-MM-DD)
+ * @param {Object} options - { splitsOnly } to only count periods that exclude the member from splits
+ * @returns {Array} - User IDs
+ */
+export const getAwayUserIdsOn = (periods, dateString, options = {}) => [
+  ...new Set((periods || [])
+    .filter(period => isAwayOn(period, dateString))
+    .filter(period => !options.splitsOnly || period.exclude_from_splits)
+    .map(period => period.user_id))
+];
+
+const dayCount = (from, to) =>
+  Math.round((parseDate(to) - parseDate(from)) / (24 * 60 * 60 * 1000)) + 1;
+
+/**
+ * Fraction of a window each member was around for, e.g. 0.5 for someone
+ * away half of it. Members not listed were there the whole time.
+ * @param {Array} periods - Away periods
+ * @param {string} from - First day of the window (YYYY-MM-DD)
+ * @param {string} to - Last day of the window (YYYY-MM-DD)
+ * @returns {Object} - { userId: fraction present }
+ */
+export const getPresenceWeights = (periods, from, to) => {
+  const total = dayCount(from, to);
+  const awayDays = {};
+
+  (periods || []).forEach(period => {
+    const start = period.start_date > from ? period.start_date : from;
+    const end = period.end_date < to ? period.end_date : to;
+    if (start > end) return;
+    awayDays[period.user_id] = (awayDays[period.user_id] || 0) + dayCount(start, end);
+  });
+
+  return Object.entries(awayDays).reduce((weights, [userId, days]) => {
+    weights[userId] = Math.max(0, total - days) / total;
+    return weights;
+  }, {});
+};
+
+/**
+ * Leave members out of an equal split. Other split modes are agreed
+ * amounts and are left alone, as is a split that would end up empty.
+ * @param {Object} split - Split definition (see calculateSplit)
+ * @param {Array} userIds - Members to leave out
+ * @returns {Object} - The split to use
+ */
+export const excludeFromEqualSplit = (split, userIds) => {
+  if (!split || split.mode !== 'equal' || !userIds || userIds.length === 0) return split;
+
+  const participants = (split.participants || []).filter(p => !userIds.includes(p.user_id));
+  if (participants.length === 0) return split;
+
+  return { ...split, participants };
+};
@@ -0,0 +1,88 @@
+/**
+ * Monthly budget math: progress, month-end projection and alert thresholds.
+ *
+ * Months are 'YYYY-MM'; spend is in the group's base currency, the same
+ * currency getExpenseAnalytics reports in.
+ */
+import { daysInMonth, endOfMonth, parseDate, today } from './recurrence';
+import { toCents } from './splitCalculator';
+
+// Percent of a budget at which members are notified
+export const BUDGET_ALERT_THRESHOLDS = [80, 100];
+
+export const currentMonth = (asOfDate = today()) => asOfDate.slice(0, 7);
+
+/**
+ * First and last day of a month
+ * @param {string} month - 'YYYY-MM'
+ * @returns {Object} - { startDate, endDate } as YYYY-MM-DD
+ */
+export const getMonthRange = (month) => {
+  const startDate = `${month}-01`;
+  return { startDate, endDate: endOfMonth(startDate) };
+};
+
+/**
+ * Spend so far in the month extrapolated to the whole month at the current
+ * daily rate. Past months are complete, so their projection is their spend.
+ * @param {number} spent - Spend so far
+ * @param {string} month - 'YYYY-MM'
+ * @param {string} asOfDate - Today (YYYY-MM-DD)
+ * @returns {number} - Projected month-end spend
+ */
+export const projectMonthEndSpend = (spent, month, asOfDate = today()) => {
+  if (currentMonth(asOfDate) !== month) return spent;
+
+  const date = parseDate(asOfDate);
+  const totalDays = daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+  return (spent / date.getUTCDate()) * totalDays;
+};
+
+/**
+ * Alert thresholds a budget has reached. Compared in cents, so 79.996% of
+ * a budget has not reached 80% even though it displays as 80%.
+ * @param {number} spent - Spend in the budget's month (and category)
+ * @param {number} amount - Budget amount
+ * @returns {Array<number>} - Reached thresholds, lowest first
+ */
+export const getReachedThresholds = (spent, amount) => {
+  const amountCents = toCents(amount);
+  if (!(amountCents > 0)) return [];
+
+  const spentCents = toCents(spent);
+  return BUDGET_ALERT_THRESHOLDS.filter(threshold => spentCents * 100 >= amountCents * threshold);
+};
+
+/**
+ * Progress of one budget. Percentages are rounded for display only; the
+ * status comes from the exact spend.
+ * @param {Object} budget - Budget with amount
+ * @param {number} spent - Spend in the budget's month (and category)
+ * @param {Object} options - { month, asOfDate }
+ * @returns {Object} - spent, remaining, percentage, projected, projectedPercentage and status
+ */
+export const computeBudgetProgress = (budget, spent, { month, asOfDate = today() } = {}) => {
+  const amount = Number(budget.amount);
+  const percentage = amount > 0 ? Math.round((spent / amount) * 100) : 0;
+  const projected = projectMonthEndSpend(spent, month || currentMonth(asOfDate), asOfDate);
+  const projectedPercentage = amount > 0 ? Math.round((projected / amount) * 100) : 0;
+  const reached = getReachedThresholds(spent, amount);
+
+  let status = 'on_track';
+  if (reached.includes(100)) {
+    status = 'over';
+  } else if (reached.length > 0) {
+    status = 'warning';
+  } else if (amount > 0 && projected > amount) {
+    status = 'projected_over';
+  }
+
+  return {
+    spent,
+    remaining: Math.max(0, amount - spent),
+    percentage,
+    projected,
+    projectedPercentage,
+    status
+  };
+};
@@ -0,0 +1,117 @@
+/**
+ * Effort balance between housemates.
+ *
+ * Every completed chore is worth its effort points. A member's fair share is
+ * the group's total effort split by weight (1 each unless given), and their
+ * balance is what they did minus that share: positive when they did more
+ * than their share, negative when others picked up the slack.
+ */
+import { DEFAULT_EFFORT_POINTS } from './choreRotation';
+
+// Balances within this fraction of the fair share (or one point) count as fair
+export const FAIRNESS_TOLERANCE = 0.1;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toleranceFor = (fairShare) => Math.max(1, fairShare * FAIRNESS_TOLERANCE);
+
+/**
+ * Work out each member's effort balance
+ * @param {Array} memberIds - User IDs in the group
+ * @param {Array} completions - [{ user_id, effort_points }]
+ * @param {Object} weights - Optional { userId: weight } for members who only count part of the window
+ * @returns {Object} - { totalEffort, members: [{ userId, effortDone, completed, weightShare, fairShare, balance, status }] }
+ */
+export const computeEffortBalances = (memberIds, completions, weights = {}) => {
+  const done = {};
+  const counts = {};
+  (completions || []).forEach(completion => {
+    const points = Number(completion.effort_points || DEFAULT_EFFORT_POINTS);
+    done[completion.user_id] = (done[completion.user_id] || 0) + points;
+    counts[completion.user_id] = (counts[completion.user_id] || 0) + 1;
+  });
+
+  // Only effort by current members is shared out
+  const totalEffort = memberIds.reduce((sum, userId) => sum + (done[userId] || 0), 0);
+  const weightOf = (userId) => (weights[userId] === undefined ? 1 : Math.max(0, weights[userId]));
+  const totalWeight = memberIds.reduce((sum, userId) => sum + weightOf(userId), 0);
+
+  const members = memberIds.map(userId => {
+    const effortDone = done[userId] || 0;
+    const weightShare = totalWeight > 0 ? weightOf(userId) / totalWeight : 0;
+    const fairShare = totalEffort * weightShare;
+    const balance = effortDone - fairShare;
+    const tolerance = toleranceFor(fairShare);
+
+    return {
+      userId,
+      effortDone,
+      completed: counts[userId] || 0,
+      weightShare,
+      fairShare: round(fairShare),
+      balance: round(balance),
+      status: balance > tolerance ? 'over' : balance < -tolerance ? 'under' : 'fair'
+    };
+  });
+
+  return { totalEffort, members };
+};
+
+/**
+ * Suggest handing open chores from members who did more than their share to
+ * those who did less. Bigger chores are moved first, and a move is only
+ * suggested when it brings both members closer to their share.
+ * @param {Array} balances - members from computeEffortBalances
+ * @param {Array} openTasks - [{ id, title, due_date, assigned_to, effort_points }]
+ * @param {Array} awayUserIds - Members who should not be given chores
+ * @returns {Array} - [{ taskId, title, dueDate, effortPoints, fromUserId, toUserId }]
+ */
+export const suggestEffortRebalancing = (balances, openTasks, awayUserIds = []) => {
+  const away = new Set(awayUserIds);
+  const projected = balances.reduce((map, member) => {
+    map[member.userId] = { effort: member.effortDone, weightShare: member.weightShare };
+    return map;
+  }, {});
+
+  const tasks = (openTasks || [])
+    .filter(task => projected[task.assigned_to])
+    .map(task => ({ ...task, points: Number(task.effort_points || DEFAULT_EFFORT_POINTS) }))
+    .sort((a, b) => b.points - a.points);
+
+  // Count pending chores as done by their assignee; moving one keeps the total
+  tasks.forEach(task => { projected[task.assigned_to].effort += task.points; });
+  const totalEffort = Object.values(projected).reduce((sum, member) => sum + member.effort, 0);
+  const shareOf = (member) => totalEffort * member.weightShare;
+  const balanceOf = (member) => member.effort - shareOf(member);
+
+  const suggestions = [];
+  tasks.forEach(task => {
+    const from = projected[task.assigned_to];
+    if (balanceOf(from) <= toleranceFor(shareOf(from))) return;
+
+    const candidates = Object.entries(projected)
+      .filter(([userId]) => userId !== task.assigned_to && !away.has(userId))
+      .sort(([, a], [, b]) => balanceOf(a) - balanceOf(b));
+    if (candidates.length === 0) return;
+
+    const [toUserId, to] = candidates[0];
+
+    // Moving it must not just swap who is over their share
+    const before = Math.abs(balanceOf(from)) + Math.abs(balanceOf(to));
+    const after = Math.abs(balanceOf(from) - task.points) + Math.abs(balanceOf(to) + task.points);
+    if (after >= before) return;
+
+    from.effort -= task.points;
+    to.effort += task.points;
+    suggestions.push({
+      taskId: task.id,
+      title: task.title,
+      dueDate: task.due_date,
+      effortPoints: task.points,
+      fromUserId: task.assigned_to,
+      toUserId
+    });
+  });
+
+  return suggestions;
+};
@@ -0,0 +1,79 @@
+/**
+ * Choosing whose turn a rotating chore is.
+ *
+ * Assignments are task_assignments rows { id, user_id, rotation_order,
+ * is_current }. round_robin strictly follows rotation_order and ignores
+ * away periods, for groups that settle absences among themselves; every
+ * other strategy passes over members who are away.
+ */
+
+export const ROTATION_STRATEGIES = ['round_robin', 'skip_away', 'least_recently_done', 'load_balanced'];
+
+// Chores that never picked a strategy pass over members who are away
+export const DEFAULT_ROTATION_STRATEGY = 'skip_away';
+
+// Effort of a task that has no effort_points set
+export const DEFAULT_EFFORT_POINTS = 1;
+
+/**
+ * Total effort each member still has to do
+ * @param {Array} openTasks - Pending tasks [{ assigned_to, effort_points }]
+ * @returns {Object} - { userId: effort points }
+ */
+export const getEffortLoad = (openTasks) =>
+  (openTasks || []).reduce((load, openTask) => {
+    load[openTask.assigned_to] = (load[openTask.assigned_to] || 0) +
+      Number(openTask.effort_points || DEFAULT_EFFORT_POINTS);
+    return load;
+  }, {});
+
+/**
+ * Order assignments by whose turn comes next, starting right after the
+ * current assignee (who ends up last)
+ * @param {Array} assignments - task_assignments rows
+ * @returns {Array} - Assignments in turn order
+ */
+export const getTurnOrder = (assignments) => {
+  const ordered = [...assignments].sort((a, b) => a.rotation_order - b.rotation_order);
+  const currentIndex = ordered.findIndex(assignment => assignment.is_current);
+  return ordered.map((_, index) => ordered[(currentIndex + 1 + index) % ordered.length]);
+};
+
+// Lowest score wins; ties go to whoever is earliest in turn order
+const pickLowest = (candidates, score) =>
+  candidates.reduce((best, candidate) => (score(candidate) < score(best) ? candidate : best));
+
+/**
+ * Pick the assignment whose turn is next
+ * @param {Array} assignments - task_assignments rows of the chore
+ * @param {string} strategy - One of ROTATION_STRATEGIES
+ * @param {Object} context - { awayUserIds, lastDoneAt: { userId: ISO date }, effortLoad: { userId: points } }
+ * @returns {Object|null} - The chosen assignment, null when everyone is away
+ */
+export const pickNextAssignment = (assignments, strategy = DEFAULT_ROTATION_STRATEGY, context = {}) => {
+  if (!ROTATION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unsupported rotation strategy: ${strategy}`);
+  }
+  if (!assignments || assignments.length === 0) return null;
+
+  const inTurn = getTurnOrder(assignments);
+  if (strategy === 'round_robin') return inTurn[0];
+
+  const away = new Set(context.awayUserIds || []);
+  const available = inTurn.filter(assignment => !away.has(assignment.user_id));
+  if (available.length === 0) return null;
+
+  switch (strategy) {
+    case 'least_recently_done': {
+      // Members who never did the chore go first
+      const lastDoneAt = context.lastDoneAt || {};
+      return pickLowest(available, assignment => lastDoneAt[assignment.user_id] || '');
+    }
+    case 'load_balanced': {
+      const effortLoad = context.effortLoad || {};
+      return pickLowest(available, assignment => effortLoad[assignment.user_id] || 0);
+    }
+    default:
+      return available[0];
+  }
+};
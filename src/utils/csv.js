@@ -0,0 +1,146 @@
+/**
+ * Minimal CSV reading and writing (RFC 4180 quoting, any line ending), plus
+ * amount cells in either decimal convention
+ */
+
+/**
+ * Escape a value for CSV. Text that a spreadsheet would run as a formula
+ * is prefixed with a quote so opening an export is safe.
+ */
+export const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV table from objects
+ * @param {Array<Object>} rows - Rows to write
+ * @param {Array<string>} columns - Keys to write, also used as the header
+ * @returns {string} - CSV text
+ */
+export const toCsvTable = (rows, columns) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => csvValue(row[column])).join(','))
+].join('\n');
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<Array<string>>} - Rows, without empty lines
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * @param {string} text - CSV content
+ * @returns {Object} - { headers, records }
+ */
+export const parseCsvRecords = (text) => {
+  const [headerRow, ...dataRows] = parseCsv(text);
+  if (!headerRow) return { headers: [], records: [] };
+
+  const headers = headerRow.map(header => header.trim());
+  const records = dataRows.map(cells => {
+    const record = {};
+    headers.forEach((header, i) => { record[header] = (cells[i] || '').trim(); });
+    return record;
+  });
+
+  return { headers, records };
+};
+
+/**
+ * Work out which separator marks the decimals. When both appear the last one
+ * does; a single separator followed by exactly three digits ("1,234") could
+ * be either, so it needs the caller's hint.
+ * @returns {string|null} - '.', ',', '' for whole numbers, or null if ambiguous
+ */
+const detectDecimalSeparator = (digits, hint) => {
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+  if (lastDot !== -1 && lastComma !== -1) return lastDot > lastComma ? '.' : ',';
+
+  const separator = lastDot !== -1 ? '.' : lastComma !== -1 ? ',' : '';
+  if (!separator) return '';
+
+  // Repeated separators can only group thousands
+  if (digits.indexOf(separator) !== digits.lastIndexOf(separator)) return separator === '.' ? ',' : '.';
+
+  const [whole, fraction] = digits.split(separator);
+  if (fraction.length !== 3 || whole === '' || whole === '0') return separator;
+  return hint || null;
+};
+
+/**
+ * Parse an amount written with either decimal convention
+ * ("1,234.56", "1.234,56", "(12,50)", "-12.50 EUR")
+ * @param {string} text - Amount as written in the file
+ * @param {string} decimalSeparator - '.' or ',' when the file's convention is known
+ * @returns {number|null} - The amount, or null if the cell is empty
+ */
+export const parseAmount = (text, decimalSeparator) => {
+  const cleaned = String(text || '').replace(/[^0-9.,()-]/g, '');
+  const negative = /^\(.*\)$/.test(cleaned) || cleaned.startsWith('-');
+  const digits = cleaned.replace(/[()-]/g, '');
+  if (!/\d/.test(digits)) return null;
+
+  const separator = detectDecimalSeparator(digits, decimalSeparator);
+  if (separator === null) {
+    throw new Error(`Amount "${String(text).trim()}" could be read two ways; choose the file's decimal separator`);
+  }
+
+  const thousands = separator === ',' ? '.' : ',';
+  const normalized = digits.split(thousands).join('').replace(separator || '.', '.');
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(normalized)) {
+    throw new Error(`Unreadable amount "${String(text).trim()}"`);
+  }
+
+  const value = parseFloat(normalized);
+  return negative ? -value : value;
+};
@@ -0,0 +1,278 @@
+/**
+ * Debt simplification (minimum cash flow).
+ *
+ * Pure functions only: no Supabase calls, so the same code can run on a
+ * group's expenses, a local cache or a test fixture. Amounts are handled in
+ * integer cents.
+ */
+import { fromCents, toCents } from './splitCalculator';
+
+/**
+ * Convert an amount between currencies using a rate table where every rate
+ * is expressed against the same reference currency (as getCurrencyRates returns)
+ */
+export const convertWithRates = (amount, fromCurrency, toCurrency, rates) => {
+  if (fromCurrency === toCurrency) return amount;
+  if (!rates || !rates[fromCurrency] || !rates[toCurrency]) {
+    throw new Error(`No exchange rate for ${fromCurrency} to ${toCurrency}`);
+  }
+  return (amount * rates[toCurrency]) / rates[fromCurrency];
+};
+
+/**
+ * Collapse debts between the same two people into a single net debt
+ * @param {Array} debts - [{ from_user_id, to_user_id, cents }]
+ * @returns {Array} - Net pairwise debts, [{ from_user_id, to_user_id, cents }]
+ */
+const netPairwise = (debts) => {
+  const pairs = new Map();
+
+  debts.forEach(({ from_user_id, to_user_id, cents }) => {
+    if (from_user_id === to_user_id || cents === 0) return;
+    const [a, b] = from_user_id < to_user_id ? [from_user_id, to_user_id] : [to_user_id, from_user_id];
+    const key = `${a}|${b}`;
+    // Positive means a owes b
+    const signed = from_user_id === a ? cents : -cents;
+    pairs.set(key, (pairs.get(key) || 0) + signed);
+  });
+
+  const netted = [];
+  pairs.forEach((cents, key) => {
+    const [a, b] = key.split('|');
+    if (cents > 0) netted.push({ from_user_id: a, to_user_id: b, cents });
+    if (cents < 0) netted.push({ from_user_id: b, to_user_id: a, cents: -cents });
+  });
+
+  return netted;
+};
+
+/**
+ * Greedy minimum cash flow: repeatedly match the largest debtor with the
+ * largest creditor. Ties are broken by user ID so the output is stable.
+ * @param {Object} balances - { userId: cents } (positive = is owed)
+ * @returns {Array} - Transfers, [{ from_user_id, to_user_id, cents }]
+ */
+const minimumCashFlow = (balances) => {
+  const byAmount = (a, b) => b.cents - a.cents || (a.id < b.id ? -1 : 1);
+  const creditors = [];
+  const debtors = [];
+
+  Object.entries(balances).forEach(([id, cents]) => {
+    if (cents > 0) creditors.push({ id, cents });
+    if (cents < 0) debtors.push({ id, cents: -cents });
+  });
+
+  const transfers = [];
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort(byAmount);
+    debtors.sort(byAmount);
+
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const cents = Math.min(creditor.cents, debtor.cents);
+
+    transfers.push({ from_user_id: debtor.id, to_user_id: creditor.id, cents });
+
+    creditor.cents -= cents;
+    debtor.cents -= cents;
+    if (creditor.cents === 0) creditors.shift();
+    if (debtor.cents === 0) debtors.shift();
+  }
+
+  return transfers;
+};
+
+/**
+ * Explain each transfer in terms of the debts it pays off. A transfer from
+ * A pays A's own debts, the one to the same creditor first, then the rest
+ * largest first. Whatever part of a debt no transfer covers was cancelled
+ * out by money owed back to the debtor.
+ */
+const explainTransfers = (transfers, debts) => {
+  const remaining = debts.map(debt => ({ ...debt, left: debt.cents }));
+
+  return transfers.map(transfer => {
+    const own = remaining
+      .filter(debt => debt.from_user_id === transfer.from_user_id && debt.left > 0)
+      .sort((a, b) =>
+        (b.to_user_id === transfer.to_user_id) - (a.to_user_id === transfer.to_user_id) ||
+        b.left - a.left
+      );
+
+    let toCover = transfer.cents;
+    const covers = [];
+    for (const debt of own) {
+      if (toCover === 0) break;
+      const cents = Math.min(debt.left, toCover);
+      debt.left -= cents;
+      toCover -= cents;
+      covers.push({
+        from_user_id: debt.from_user_id,
+        to_user_id: debt.to_user_id,
+        amount: fromCents(debt.cents),
+        covered: fromCents(cents)
+      });
+    }
+
+    return { ...transfer, covers };
+  });
+};
+
+/**
+ * Simplify a list of debts into the smallest practical list of transfers
+ * @param {Array} debts - [{ from_user_id, to_user_id, amount, currency }]
+ * @param {Object} options - Options
+ * @param {string} options.mode - 'per_currency' (default) keeps currencies apart,
+ *                                'base_currency' converts everything first
+ * @param {string} options.baseCurrency - Target currency for 'base_currency' mode
+ * @param {Object} options.rates - Rate table used for conversion
+ * @param {string} options.defaultCurrency - Currency for debts that have none
+ * @returns {Object} - Net pairwise debts, simplified transfers and stats
+ */
+export const simplifyDebts = (debts, options = {}) => {
+  const mode = options.mode || 'per_currency';
+  const defaultCurrency = options.defaultCurrency || 'USD';
+  const baseCurrency = options.baseCurrency || defaultCurrency;
+
+  if (mode !== 'per_currency' && mode !== 'base_currency') {
+    throw new Error(`Unknown simplification mode: ${mode}`);
+  }
+
+  // Bucket debts by the currency they will be settled in
+  const buckets = {};
+  (debts || []).forEach(debt => {
+    const currency = debt.currency || defaultCurrency;
+    const amount = mode === 'base_currency'
+      ? convertWithRates(Number(debt.amount), currency, baseCurrency, options.rates)
+      : Number(debt.amount);
+    const bucket = mode === 'base_currency' ? baseCurrency : currency;
+
+    if (!buckets[bucket]) buckets[bucket] = [];
+    buckets[bucket].push({
+      from_user_id: debt.from_user_id,
+      to_user_id: debt.to_user_id,
+      cents: toCents(amount)
+    });
+  });
+
+  const netDebts = [];
+  const transfers = [];
+
+  Object.keys(buckets).sort().forEach(currency => {
+    const netted = netPairwise(buckets[currency]);
+
+    const balances = {};
+    netted.forEach(debt => {
+      balances[debt.from_user_id] = (balances[debt.from_user_id] || 0) - debt.cents;
+      balances[debt.to_user_id] = (balances[debt.to_user_id] || 0) + debt.cents;
+    });
+
+    explainTransfers(minimumCashFlow(balances), netted).forEach(transfer => {
+      transfers.push({
+        from_user_id: transfer.from_user_id,
+        to_user_id: transfer.to_user_id,
+        amount: fromCents(transfer.cents),
+        currency,
+        covers: transfer.covers.map(cover => ({ ...cover, currency }))
+      });
+    });
+
+    netted.forEach(debt => {
+      netDebts.push({
+        from_user_id: debt.from_user_id,
+        to_user_id: debt.to_user_id,
+        amount: fromCents(debt.cents),
+        currency
+      });
+    });
+  });
+
+  return {
+    netDebts,
+    transfers,
+    stats: {
+      originalCount: netDebts.length,
+      optimizedCount: transfers.length,
+      reductionPercent: netDebts.length > 0
+        ? Math.round((1 - transfers.length / netDebts.length) * 100)
+        : 0
+    }
+  };
+};
+
+/**
+ * Debts implied by expenses: the unpaid part of each share is owed to
+ * whoever paid the expense
+ * @param {Array} expenses - Expenses with paid_by or created_by (user IDs), currency and expense_shares
+ * @param {string} defaultCurrency - Currency for expenses that have none
+ * @returns {Array} - [{ from_user_id, to_user_id, amount, currency }]
+ */
+export const getDebtsFromExpenses = (expenses, defaultCurrency = 'USD') => {
+  const debts = [];
+
+  (expenses || []).forEach(expense => {
+    const payer = expense.paid_by || expense.created_by;
+    const currency = expense.currency || defaultCurrency;
+
+    (expense.expense_shares || []).forEach(share => {
+      if (share.paid || share.user_id === payer) return;
+      const unpaid = toCents(share.amount) - toCents(share.amount_paid || 0);
+      if (unpaid <= 0) return;
+
+      debts.push({ from_user_id: share.user_id, to_user_id: payer, amount: fromCents(unpaid), currency });
+    });
+  });
+
+  return debts;
+};
+
+/**
+ * Work out raw per-user balances from expenses, see getDebtsFromExpenses
+ * @param {Array} expenses - Expenses with paid_by or created_by (user IDs), currency and expense_shares
+ * @param {string} defaultCurrency - Currency for expenses that have none
+ * @returns {Object} - { currency: { userId: amount } } (positive = is owed)
+ */
+export const getBalancesFromExpenses = (expenses, defaultCurrency = 'USD') => {
+  const cents = {};
+
+  getDebtsFromExpenses(expenses, defaultCurrency).forEach(({ from_user_id, to_user_id, amount, currency }) => {
+    if (!cents[currency]) cents[currency] = {};
+    cents[currency][to_user_id] = (cents[currency][to_user_id] || 0) + toCents(amount);
+    cents[currency][from_user_id] = (cents[currency][from_user_id] || 0) - toCents(amount);
+  });
+
+  const balances = {};
+  Object.entries(cents).forEach(([currency, byUser]) => {
+    balances[currency] = {};
+    Object.entries(byUser).forEach(([userId, value]) => {
+      balances[currency][userId] = fromCents(value);
+    });
+  });
+
+  return balances;
+};
+
+/**
+ * Simplify raw per-user balances (positive = is owed, negative = owes)
+ * @param {Object} balances - { userId: amount }
+ * @param {string} currency - Currency of the balances
+ * @returns {Array} - Transfers, [{ from_user_id, to_user_id, amount, currency }]
+ */
+export const simplifyBalances = (balances, currency = 'USD') => {
+  const cents = {};
+  Object.entries(balances || {}).forEach(([userId, amount]) => {
+    cents[userId] = toCents(amount);
+  });
+
+  const total = Object.values(cents).reduce((sum, value) => sum + value, 0);
+  if (total !== 0) {
+    throw new Error('Balances must add up to zero');
+  }
+
+  return minimumCashFlow(cents).map(transfer => ({
+    from_user_id: transfer.from_user_id,
+    to_user_id: transfer.to_user_id,
+    amount: fromCents(transfer.cents),
+    currency
+  }));
+};
@@ -0,0 +1,83 @@
+/**
+ * Due dates, overdue status and the escalation ladder for expense shares.
+ *
+ * A share is due a group's payment term after its expense date ("net 7")
+ * unless it was given its own due date. Status and escalation are derived
+ * from the due date; nothing about them is stored.
+ */
+import { addDays, parseDate, today } from './recurrence';
+
+export const DEFAULT_PAYMENT_TERM_DAYS = 7;
+
+export const SHARE_STATUSES = ['paid', 'upcoming', 'due', 'overdue'];
+
+// Ordered from mildest to strongest; a level applies from minDaysOverdue on
+export const ESCALATION_LADDER = [
+  { level: 'gentle', minDaysOverdue: 0 },
+  { level: 'firm', minDaysOverdue: 7 },
+  { level: 'admin', minDaysOverdue: 14 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Due date for a share
+ * @param {Object} share - Share, may carry its own due_date
+ * @param {string} expenseDate - Expense date (YYYY-MM-DD)
+ * @param {number} termDays - Group payment term in days
+ * @returns {string} - Due date (YYYY-MM-DD)
+ */
+export const getShareDueDate = (share, expenseDate, termDays = DEFAULT_PAYMENT_TERM_DAYS) => {
+  if (share && share.due_date) return String(share.due_date).slice(0, 10);
+  return addDays(expenseDate || today(), termDays);
+};
+
+/**
+ * Days past the due date; negative while the share is not yet due
+ */
+export const getDaysPastDue = (dueDate, asOfDate = today()) =>
+  Math.round((parseDate(asOfDate) - parseDate(dueDate)) / DAY_MS);
+
+/**
+ * Status of a share on a given day
+ * @param {Object} share - Share with paid and due_date
+ * @param {string} asOfDate - Day to evaluate (YYYY-MM-DD)
+ * @returns {string} - One of SHARE_STATUSES
+ */
+export const getShareStatus = (share, asOfDate = today()) => {
+  if (share.paid) return 'paid';
+  if (!share.due_date) return 'due';
+
+  const daysPastDue = getDaysPastDue(share.due_date, asOfDate);
+  if (daysPastDue > 0) return 'overdue';
+  return daysPastDue === 0 ? 'due' : 'upcoming';
+};
+
+/**
+ * Escalation level for a number of days overdue
+ * @param {number} daysOverdue - Days past the due date
+ * @param {Array} ladder - Escalation ladder, mildest first
+ * @returns {string|null} - Level name, or null when the share is not due yet
+ */
+export const getEscalationLevel = (daysOverdue, ladder = ESCALATION_LADDER) => {
+  if (daysOverdue < 0) return null;
+
+  const reached = ladder.filter(step => daysOverdue >= step.minDaysOverdue);
+  return reached.length > 0 ? reached[reached.length - 1].level : null;
+};
+
+/**
+ * Position of a level on the ladder (-1 for none), for comparing levels
+ */
+export const getEscalationRank = (level, ladder = ESCALATION_LADDER) =>
+  ladder.findIndex(step => step.level === level);
+
+/**
+ * Whether a share was paid by the end of its due date. Shares without a
+ * due date (created before due dates existed) count as on time when paid.
+ */
+export const isPaidOnTime = (share) => {
+  if (!share.paid) return false;
+  if (!share.due_date || !share.paid_at) return true;
+  return String(share.paid_at).slice(0, 10) <= String(share.due_date).slice(0, 10);
+};
@@ -0,0 +1,146 @@
+/**
+ * Exchange rate providers and the AsyncStorage rate cache.
+ *
+ * A provider is an object with a name and a getRates(date) method that
+ * resolves to { base, date, rates }, where rates are units of each currency
+ * per one unit of base. date is 'YYYY-MM-DD' for historical rates or null
+ * for the latest ones.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const CACHE_PREFIX = 'currencyRates:';
+
+// Latest rates are refreshed after an hour and flagged stale after a day
+export const LATEST_CACHE_TTL_MS = 60 * 60 * 1000;
+export const STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Historical rates may come from a nearby day (weekends, bank holidays)
+export const MAX_HISTORICAL_GAP_DAYS = 3;
+
+export const DEFAULT_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.78,
+  JPY: 145.23,
+  CAD: 1.35,
+  AUD: 1.48,
+  CNY: 7.21,
+  INR: 83.15,
+  MXN: 17.05,
+  BRL: 4.92
+};
+
+/**
+ * Provider backed by a fixed rate table (the default, and useful offline)
+ * @param {Object} rates - Rates per unit of base
+ * @param {string} base - Base currency of the table
+ */
+export const createStaticRateProvider = (rates = DEFAULT_RATES, base = 'USD') => ({
+  name: 'static',
+  getRates: async () => ({ base, date: null, rates })
+});
+
+/**
+ * Provider backed by a bundled JSON file, e.g. require('./rates.json')
+ * @param {Object} json - { base, rates } and/or { base, history: { 'YYYY-MM-DD': rates } }
+ */
+export const createJsonRateProvider = (json) => ({
+  name: 'json',
+  getRates: async (date) => {
+    const history = json.history || {};
+    const dates = Object.keys(history).sort();
+
+    if (date && dates.length > 0) {
+      // Closest published day on or before the requested one
+      const match = dates.filter(d => d <= date).pop() || dates[0];
+      return { base: json.base, date: match, rates: history[match] };
+    }
+
+    if (json.rates) {
+      return { base: json.base, date: json.date || null, rates: json.rates };
+    }
+
+    const latest = dates[dates.length - 1];
+    if (!latest) throw new Error('Rate file contains no rates');
+    return { base: json.base, date: latest, rates: history[latest] };
+  }
+});
+
+/**
+ * Provider for an HTTP rates API answering GET {baseUrl}/latest and
+ * GET {baseUrl}/YYYY-MM-DD with { base, date, rates }. A local stub server
+ * with the same routes can stand in for the real service.
+ * @param {Object} config - { baseUrl, base, fetchImpl }
+ */
+export const createHttpRateProvider = ({ baseUrl, base = 'USD', fetchImpl = fetch }) => ({
+  name: 'http',
+  getRates: async (date) => {
+    const url = `${baseUrl.replace(/\/$/, '')}/${date || 'latest'}?base=${base}`;
+    const response = await fetchImpl(url);
+
+    if (!response.ok) {
+      throw new Error(`Rate request failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (!body || !body.rates) throw new Error('Rate response contains no rates');
+
+    return {
+      base: body.base || base,
+      date: body.date || date || null,
+      rates: { ...body.rates, [body.base || base]: 1 }
+    };
+  }
+});
+
+let activeProvider = createStaticRateProvider();
+
+export const setRateProvider = (provider) => {
+  if (!provider || typeof provider.getRates !== 'function') {
+    throw new Error('Rate provider must implement getRates(date)');
+  }
+  activeProvider = provider;
+};
+
+export const getRateProvider = () => activeProvider;
+
+const cacheKey = (date) => `${CACHE_PREFIX}${activeProvider.name}:${date || 'latest'}`;
+
+export const readCachedRates = async (date) => {
+  try {
+    const cached = await AsyncStorage.getItem(cacheKey(date));
+    return cached ? JSON.parse(cached) : null;
+  } catch (error) {
+    console.error('Error reading cached currency rates:', error);
+    return null;
+  }
+};
+
+export const writeCachedRates = async (date, entry) => {
+  try {
+    await AsyncStorage.setItem(cacheKey(date), JSON.stringify(entry));
+  } catch (error) {
+    console.error('Error caching currency rates:', error);
+  }
+};
+
+const daysBetween = (a, b) =>
+  Math.abs(new Date(a) - new Date(b)) / (1000 * 60 * 60 * 24);
+
+/**
+ * Whether a rates entry should be treated as stale for the requested date.
+ * The static table is the same for every date, so it is never stale; other
+ * rates without a date of their own count as rates for the day they were
+ * fetched.
+ * @param {Object} entry - { provider, date, fetchedAt }
+ * @param {string|null} requestedDate - Requested date, null for latest
+ * @returns {boolean}
+ */
+export const isRateEntryStale = (entry, requestedDate = null) => {
+  if (entry.provider === 'static') return false;
+  if (requestedDate) {
+    const rateDate = entry.date || (entry.fetchedAt && new Date(entry.fetchedAt).toISOString().slice(0, 10));
+    return !rateDate || daysBetween(rateDate, requestedDate) > MAX_HISTORICAL_GAP_DAYS;
+  }
+  return Date.now() - entry.fetchedAt > STALE_AFTER_MS;
+};
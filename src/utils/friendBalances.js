@@ -0,0 +1,119 @@
+/**
+ * Per-friend balances across one-on-one expenses and shared groups.
+ *
+ * Input debts are { debtor_id, creditor_id, amount, currency, group_id,
+ * group_name, created_at } for the outstanding part of each unpaid share.
+ * A group_id of null stands for one-on-one (friend) expenses.
+ */
+import { fromCents, toCents } from './splitCalculator';
+
+const contextKey = (groupId, currency) => `${groupId || 'direct'}|${currency}`;
+
+/**
+ * Net what each friend owes the user, per currency and per group
+ * @param {string} userId - The user the balances are for
+ * @param {Array} debts - Outstanding debts involving the user
+ * @returns {Array} - [{ friend_id, balances: { CUR: amount }, contexts: [{ group_id, group_name, currency, amount, oldest }] }],
+ *   amounts positive when the friend owes the user
+ */
+export const buildFriendBalances = (userId, debts) => {
+  const friends = {};
+
+  debts.forEach(debt => {
+    const owedToUser = debt.creditor_id === userId;
+    if (!owedToUser && debt.debtor_id !== userId) return;
+
+    const friendId = owedToUser ? debt.debtor_id : debt.creditor_id;
+    if (friendId === userId) return;
+
+    const friend = friends[friendId] || (friends[friendId] = { friend_id: friendId, contexts: {} });
+    const key = contextKey(debt.group_id, debt.currency);
+    const context = friend.contexts[key] || (friend.contexts[key] = {
+      group_id: debt.group_id || null,
+      group_name: debt.group_name || null,
+      currency: debt.currency,
+      cents: 0,
+      oldest: debt.created_at
+    });
+
+    context.cents += owedToUser ? toCents(debt.amount) : -toCents(debt.amount);
+    if (debt.created_at < context.oldest) context.oldest = debt.created_at;
+  });
+
+  return Object.values(friends)
+    .map(friend => {
+      const contexts = Object.values(friend.contexts)
+        .filter(context => context.cents !== 0)
+        .sort((a, b) => String(a.oldest).localeCompare(String(b.oldest)));
+
+      const balanceCents = {};
+      contexts.forEach(context => {
+        balanceCents[context.currency] = (balanceCents[context.currency] || 0) + context.cents;
+      });
+
+      const balances = {};
+      Object.entries(balanceCents)
+        .filter(([, cents]) => cents !== 0)
+        .forEach(([currency, cents]) => { balances[currency] = fromCents(cents); });
+
+      return {
+        friend_id: friend.friend_id,
+        balances,
+        contexts: contexts.map(({ cents, ...context }) => ({ ...context, amount: fromCents(cents) }))
+      };
+    })
+    .filter(friend => friend.contexts.length > 0);
+};
+
+/**
+ * Split a settle-up payment to a friend across the groups it pays off.
+ * Debts the friend owes back are netted first: they are settled in the
+ * other direction, and the same amount of the payer's oldest debts counts
+ * as paid without money changing hands. The cash then pays the oldest
+ * debts that are left.
+ * @param {Array} contexts - The friend's contexts in one currency, from the payer's view
+ *   (amount negative where the payer owes the friend), oldest first
+ * @param {number} amount - Cash paid to the friend
+ * @returns {Object} - { payments, offsetPayments, offsets, netted, cash, unallocated }: payments is the cash and
+ *   offsetPayments the payer's debts cancelled by offsets, the friend's debts; each is [{ group_id, amount }]
+ */
+export const planFriendSettlement = (contexts, amount) => {
+  const owed = contexts.filter(context => context.amount < 0)
+    .map(context => ({ group_id: context.group_id, cents: -toCents(context.amount) }));
+  const owing = contexts.filter(context => context.amount > 0)
+    .map(context => ({ group_id: context.group_id, cents: toCents(context.amount) }));
+
+  const owedCents = owed.reduce((sum, context) => sum + context.cents, 0);
+  const owingCents = owing.reduce((sum, context) => sum + context.cents, 0);
+
+  const nettedCents = Math.min(owedCents, owingCents);
+  const cashCents = Math.max(0, Math.min(toCents(amount), owedCents - nettedCents));
+
+  // Takes totalCents from the targets in order; left is what each still has
+  const allocate = (targets, totalCents) => {
+    let remaining = totalCents;
+    const taken = targets.map(target => {
+      const cents = Math.min(target.cents, remaining);
+      remaining -= cents;
+      return cents;
+    });
+
+    return {
+      allocations: targets
+        .map((target, index) => ({ group_id: target.group_id, amount: fromCents(taken[index]) }))
+        .filter(allocation => allocation.amount > 0),
+      left: targets.map((target, index) => ({ group_id: target.group_id, cents: target.cents - taken[index] }))
+    };
+  };
+
+  const offsetPayments = allocate(owed, nettedCents);
+
+  return {
+    payments: allocate(offsetPayments.left, cashCents).allocations,
+    offsetPayments: offsetPayments.allocations,
+    offsets: allocate(owing, nettedCents).allocations,
+    netted: fromCents(nettedCents),
+    cash: fromCents(cashCents),
+    unallocated: fromCents(toCents(amount) - cashCents)
+  };
+};
@@ -0,0 +1,57 @@
+/**
+ * @mentions in comment text.
+ *
+ * A mention is '@' followed by a member's full name or, when no one else in
+ * the group shares it, their first name. Matching ignores case, and longer
+ * names win so "@Ann Lee" is not read as "@Ann".
+ */
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const mentionPattern = (name) => new RegExp(`(^|\\s)@${escapeRegExp(name)}(?![\\w])`, 'i');
+
+/**
+ * Find the members mentioned in a piece of text
+ * @param {string} text - Comment text
+ * @param {Array} members - Group members ({ user_id, profile: { full_name } })
+ * @returns {Array<string>} - Mentioned user IDs, without duplicates
+ */
+export const extractMentions = (text, members = []) => {
+  if (!text || !text.includes('@')) return [];
+
+  const firstNameCounts = {};
+  members.forEach(member => {
+    const firstName = (member.profile?.full_name || '').split(' ')[0].toLowerCase();
+    if (firstName) firstNameCounts[firstName] = (firstNameCounts[firstName] || 0) + 1;
+  });
+
+  const candidates = [];
+  members.forEach(member => {
+    const fullName = (member.profile?.full_name || '').trim();
+    if (!fullName) return;
+
+    candidates.push({ userId: member.user_id, name: fullName });
+
+    const firstName = fullName.split(' ')[0];
+    if (firstName !== fullName && firstNameCounts[firstName.toLowerCase()] === 1) {
+      candidates.push({ userId: member.user_id, name: firstName });
+    }
+  });
+
+  // Longest names first; a matched mention is blanked out so a shorter
+  // name cannot match inside it
+  let remaining = text;
+  const mentioned = new Set();
+
+  candidates
+    .sort((a, b) => b.name.length - a.name.length)
+    .forEach(candidate => {
+      const pattern = mentionPattern(candidate.name);
+      if (pattern.test(remaining)) {
+        mentioned.add(candidate.userId);
+        remaining = remaining.replace(pattern, '$1');
+      }
+    });
+
+  return [...mentioned];
+};
@@ -0,0 +1,86 @@
+/**
+ * Group policy for chores nobody did in time.
+ *
+ * A pending task counts as missed once its due date plus graceDays has
+ * passed. action decides what happens next: 'rotate' lets the schedule move
+ * on to the next person, 'reassign' also gives a make-up copy of the chore
+ * to the housemate with the least to do. A penalty, when enabled, is
+ * recorded as an expense the member owes penaltyRecipientId (or whoever
+ * assigned the chore).
+ */
+import { addDays } from './recurrence';
+
+export const MISSED_TASK_ACTIONS = ['rotate', 'reassign'];
+
+export const DEFAULT_MISSED_TASK_POLICY = {
+  graceDays: 1,
+  action: 'rotate',
+  penaltyEnabled: false,
+  penaltyAmount: 0,
+  penaltyCurrency: 'USD',
+  penaltyRecipientId: null
+};
+
+// group_task_policies columns for each policy field
+const POLICY_COLUMNS = {
+  graceDays: 'grace_days',
+  action: 'action',
+  penaltyEnabled: 'penalty_enabled',
+  penaltyAmount: 'penalty_amount',
+  penaltyCurrency: 'penalty_currency',
+  penaltyRecipientId: 'penalty_recipient_id'
+};
+
+/**
+ * Read a group_task_policies row as a policy, defaults filling the gaps
+ * @param {Object|null} row - The row, null when the group never set a policy
+ * @returns {Object} - Policy
+ */
+export const fromPolicyRow = (row) =>
+  Object.entries(POLICY_COLUMNS).reduce((policy, [field, column]) => {
+    if (row && row[column] !== null && row[column] !== undefined) {
+      policy[field] = column === 'penalty_amount' ? Number(row[column]) : row[column];
+    }
+    return policy;
+  }, { ...DEFAULT_MISSED_TASK_POLICY });
+
+/**
+ * Turn policy fields into group_task_policies columns
+ * @param {Object} policy - Policy fields
+ * @returns {Object} - Columns to save; fields that are not part of a policy are dropped
+ */
+export const toPolicyRow = (policy) =>
+  Object.entries(POLICY_COLUMNS).reduce((row, [field, column]) => {
+    if (policy[field] !== undefined) row[column] = policy[field];
+    return row;
+  }, {});
+
+/**
+ * Latest due date that is already missed on a given day
+ * @param {string} asOfDate - Today (YYYY-MM-DD)
+ * @param {number} graceDays - Days allowed after the due date
+ * @returns {string} - Tasks due before this date are missed (YYYY-MM-DD)
+ */
+export const getMissedCutoff = (asOfDate, graceDays) =>
+  addDays(asOfDate, -Math.max(0, parseInt(graceDays, 10) || 0));
+
+/**
+ * Check a policy before saving it
+ * @param {Object} policy - Policy fields to save
+ * @returns {string|null} - Error message, null when valid
+ */
+export const validateMissedTaskPolicy = (policy) => {
+  if (policy.graceDays !== undefined && !(Number.isInteger(policy.graceDays) && policy.graceDays >= 0)) {
+    return 'Grace period must be a whole number of days';
+  }
+  if (policy.action !== undefined && !MISSED_TASK_ACTIONS.includes(policy.action)) {
+    return `Unsupported missed task action: ${policy.action}`;
+  }
+  if (policy.penaltyAmount !== undefined && !(Number(policy.penaltyAmount) >= 0)) {
+    return 'Penalty amount cannot be negative';
+  }
+  if (policy.penaltyEnabled && !(Number(policy.penaltyAmount) > 0)) {
+    return 'Set a penalty amount to enable penalties';
+  }
+  return null;
+};
@@ -0,0 +1,154 @@
+/**
+ * Offline write queue persisted in AsyncStorage.
+ *
+ * Each queued operation is { id, type, args, base, status, attempts,
+ * lastError, createdAt }. type names the expenses.js call to replay, base
+ * holds what the server row looked like when the change was made (used to
+ * detect conflicts), and status is 'pending', 'conflict' or 'failed'.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const QUEUE_KEY = 'offlineQueue:v1';
+
+export const OFFLINE_OPERATION_TYPES = ['createExpense', 'updateExpense', 'markShareAsPaid', 'recordSettlement'];
+
+// Temporary IDs for rows created offline; replaced by the server's on sync
+export const LOCAL_ID_PREFIX = 'local-';
+
+export const isLocalId = (id) => typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+
+export const createLocalId = () =>
+  `${LOCAL_ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+
+/**
+ * Whether an error message means the request never reached the server
+ */
+export const isNetworkError = (message) =>
+  /network request failed|failed to fetch|network ?error|timed? ?out|offline/i.test(String(message || ''));
+
+const listeners = new Set();
+
+// Serialize writes so two quick edits cannot overwrite each other's save
+let writeChain = Promise.resolve();
+
+export const loadQueue = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(QUEUE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error reading offline queue:', error);
+    return [];
+  }
+};
+
+/**
+ * Change the stored queue
+ * @param {Function} change - Receives the current operations, returns the new list
+ * @returns {Promise<Array>} - The saved operations
+ */
+export const updateQueue = (change) => {
+  writeChain = writeChain.then(async () => {
+    const operations = change(await loadQueue());
+    try {
+      await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(operations));
+    } catch (error) {
+      console.error('Error saving offline queue:', error);
+    }
+    listeners.forEach(listener => listener(operations));
+    return operations;
+  });
+  return writeChain;
+};
+
+export const enqueueOperation = async (type, args, base = null) => {
+  if (!OFFLINE_OPERATION_TYPES.includes(type)) {
+    throw new Error(`Unsupported offline operation: ${type}`);
+  }
+
+  const operation = {
+    id: createLocalId(),
+    type,
+    args,
+    base,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    createdAt: new Date().toISOString()
+  };
+
+  await updateQueue(operations => [...operations, operation]);
+  return operation;
+};
+
+export const removeOperation = (operationId) =>
+  updateQueue(operations => operations.filter(operation => operation.id !== operationId));
+
+export const patchOperation = (operationId, patch) =>
+  updateQueue(operations => operations.map(operation =>
+    operation.id === operationId ? { ...operation, ...patch } : operation
+  ));
+
+/**
+ * Listen for queue changes (e.g. to show a "3 changes waiting to sync" badge)
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Overlay queued changes on expenses loaded from the server (or cache) so
+ * the UI shows what the user entered while offline. Changed rows carry
+ * pending_sync: true, and sync_conflict: true when replay hit a conflict.
+ * @param {Array} expenses - Expenses with expense_shares
+ * @param {Array} operations - Queued operations
+ * @param {string} groupId - Only overlay new expenses of this group
+ * @returns {Array} - Expenses with pending changes applied
+ */
+export const applyPendingOperations = (expenses, operations, groupId = null) => {
+  let result = (expenses || []).map(expense => ({ ...expense }));
+  const mark = (row, operation) => ({
+    ...row,
+    pending_sync: true,
+    sync_conflict: row.sync_conflict || operation.status === 'conflict'
+  });
+
+  operations.forEach(operation => {
+    const [first, second] = operation.args;
+
+    if (operation.type === 'createExpense') {
+      if (groupId && first.group_id !== groupId) return;
+      result = [mark({
+        ...first,
+        id: first.client_ref,
+        expense_shares: (second || []).map((share, index) => ({
+          ...share,
+          id: `${first.client_ref}-${index}`,
+          paid: !!share.paid
+        }))
+      }, operation), ...result];
+    }
+
+    if (operation.type === 'updateExpense') {
+      result = result.map(expense =>
+        expense.id === first ? mark({ ...expense, ...second }, operation) : expense
+      );
+    }
+
+    if (operation.type === 'markShareAsPaid') {
+      result = result.map(expense => {
+        const shares = expense.expense_shares || [];
+        if (!shares.some(share => share.id === first)) return expense;
+        return mark({
+          ...expense,
+          expense_shares: shares.map(share =>
+            share.id === first ? { ...share, paid: second !== false, pending_sync: true } : share
+          )
+        }, operation);
+      });
+    }
+  });
+
+  return result;
+};
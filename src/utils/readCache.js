@@ -0,0 +1,223 @@
+/**
+ * Normalized read cache persisted in AsyncStorage.
+ *
+ * Rows are stored once under 'table:id' in entities. A query result
+ * (e.g. one group's expenses) is stored under its own key as { table, ids,
+ * fetchedAt, invalidated }, so a row shared by several queries is only kept
+ * once and an update to it shows up in all of them. Realtime events mark a
+ * table's queries invalidated; the next read then goes to the server.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const CACHE_KEY = 'readCache:v1';
+
+// Cached results older than this are shown as stale
+export const CACHE_STALE_AFTER_MS = 5 * 60 * 1000;
+
+const entityKey = (table, id) => `${table}:${id}`;
+
+let state = null;
+let loading = null;
+const listeners = new Set();
+
+// Serialize writes so a slow save cannot overwrite a newer one
+let writeChain = Promise.resolve();
+
+const loadState = async () => {
+  if (state) return state;
+  if (!loading) {
+    loading = (async () => {
+      try {
+        const stored = await AsyncStorage.getItem(CACHE_KEY);
+        state = stored ? JSON.parse(stored) : { entities: {}, queries: {} };
+      } catch (error) {
+        console.error('Error reading cache:', error);
+        state = { entities: {}, queries: {} };
+      }
+      loading = null;
+      return state;
+    })();
+  }
+  return loading;
+};
+
+const saveState = (change) => {
+  writeChain = writeChain.then(async () => {
+    const current = await loadState();
+    state = change(current);
+    try {
+      await AsyncStorage.setItem(CACHE_KEY, JSON.stringify(state));
+    } catch (error) {
+      console.error('Error saving cache:', error);
+    }
+    listeners.forEach(listener => listener(state));
+    return state;
+  });
+  return writeChain;
+};
+
+/**
+ * Whether a cached query should be refetched
+ * @param {Object} entry - { fetchedAt, invalidated }
+ * @param {number} maxAgeMs - Age after which the entry is stale
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export const isCacheEntryStale = (entry, maxAgeMs = CACHE_STALE_AFTER_MS, now = Date.now()) =>
+  !entry || entry.invalidated || now - entry.fetchedAt > maxAgeMs;
+
+/**
+ * Read a cached query result
+ * @param {string} queryKey - e.g. 'expenses:group:<id>'
+ * @param {Object} options - { maxAgeMs }
+ * @returns {Promise<Object|null>} - { rows, fetchedAt, stale } or null when nothing is cached
+ */
+export const readCachedQuery = async (queryKey, options = {}) => {
+  const { entities, queries } = await loadState();
+  const entry = queries[queryKey];
+  if (!entry) return null;
+
+  return {
+    rows: entry.ids
+      .map(id => entities[entityKey(entry.table, id)])
+      .filter(Boolean),
+    fetchedAt: entry.fetchedAt,
+    stale: isCacheEntryStale(entry, options.maxAgeMs)
+  };
+};
+
+/**
+ * Store a query result, replacing the cached copies of its rows
+ * @param {string} queryKey - Query key
+ * @param {string} table - Table the rows belong to
+ * @param {Array} rows - Rows with an id
+ * @returns {Promise<number>} - fetchedAt of the stored result
+ */
+export const writeCachedQuery = async (queryKey, table, rows) => {
+  const fetchedAt = Date.now();
+
+  await saveState(({ entities, queries }) => {
+    const nextEntities = { ...entities };
+    (rows || []).forEach(row => { nextEntities[entityKey(table, row.id)] = row; });
+
+    const nextQueries = {
+      ...queries,
+      [queryKey]: { table, ids: (rows || []).map(row => row.id), fetchedAt, invalidated: false }
+    };
+
+    return { entities: pruneEntities(nextEntities, nextQueries), queries: nextQueries };
+  });
+
+  return fetchedAt;
+};
+
+// Drop rows no query refers to any more
+const pruneEntities = (entities, queries) => {
+  const referenced = new Set();
+  Object.values(queries).forEach(entry => {
+    entry.ids.forEach(id => referenced.add(entityKey(entry.table, id)));
+  });
+
+  return Object.keys(entities).reduce((kept, key) => {
+    if (referenced.has(key)) kept[key] = entities[key];
+    return kept;
+  }, {});
+};
+
+/**
+ * Mark a table's cached queries stale after a change. A deleted row is
+ * removed from every query straight away so it never reappears.
+ * @param {string} table - Table that changed
+ * @param {Object} payload - Realtime payload ({ eventType, old }), optional
+ */
+export const invalidateTable = (table, payload = null) =>
+  saveState(({ entities, queries }) => {
+    const deletedId = payload?.eventType === 'DELETE' ? payload.old?.id : null;
+
+    const nextQueries = Object.entries(queries).reduce((next, [key, entry]) => {
+      if (entry.table !== table) {
+        next[key] = entry;
+      } else {
+        next[key] = {
+          ...entry,
+          ids: deletedId ? entry.ids.filter(id => id !== deletedId) : entry.ids,
+          invalidated: true
+        };
+      }
+      return next;
+    }, {});
+
+    return { entities: pruneEntities(entities, nextQueries), queries: nextQueries };
+  });
+
+/**
+ * Forget everything (e.g. on sign-out)
+ */
+export const clearReadCache = () =>
+  saveState(() => ({ entities: {}, queries: {} }));
+
+/**
+ * Read through the cache. By default the server is asked first and the
+ * cache is only a fallback when the request fails. With cacheFirst a cached
+ * result is returned immediately and refreshed in the background, and
+ * onRefresh receives the fresh result.
+ * @param {string} queryKey - Query key
+ * @param {string} table - Table the rows belong to
+ * @param {Function} fetchRows - Resolves to the rows, throws on failure
+ * @param {Object} options - { cacheFirst, maxAgeMs, onRefresh }
+ * @returns {Promise<Object>} - { rows, fromCache, stale, fetchedAt }
+ */
+export const readThrough = async (queryKey, table, fetchRows, options = {}) => {
+  const fetchAndStore = async () => {
+    const rows = await fetchRows();
+    const fetchedAt = await writeCachedQuery(queryKey, table, rows);
+    return { rows, fromCache: false, stale: false, fetchedAt };
+  };
+
+  if (options.cacheFirst) {
+    const cached = await readCachedQuery(queryKey, options);
+    if (cached) {
+      if (cached.stale) {
+        fetchAndStore()
+          .then(result => options.onRefresh && options.onRefresh(result))
+          .catch(error => console.error('Error refreshing cached data:', error.message));
+      }
+      return { ...cached, fromCache: true };
+    }
+  }
+
+  try {
+    return await fetchAndStore();
+  } catch (error) {
+    const cached = await readCachedQuery(queryKey, options);
+    if (!cached) throw error;
+    return { ...cached, fromCache: true, stale: true, error: error.message };
+  }
+};
+
+/**
+ * Listen for cache changes
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeToReadCache = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Describe how old cached data is, for a "last updated" indicator
+ * @param {number} fetchedAt - When the data was fetched, in ms
+ * @param {number} now - Current time in ms
+ * @returns {string} - e.g. 'just now', '5 min ago', '2 h ago', '3 days ago'
+ */
+export const formatCacheAge = (fetchedAt, now = Date.now()) => {
+  const minutes = Math.floor((now - fetchedAt) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
@@ -0,0 +1,272 @@
+/**
+ * Date helpers for recurring schedules.
+ *
+ * Dates are handled as 'YYYY-MM-DD' strings and computed in UTC so that an
+ * occurrence never drifts by a day when the device changes time zone. Only
+ * today() looks at the device clock, and it uses the local calendar day.
+ */
+
+export const EXPENSE_FREQUENCIES = ['weekly', 'monthly', 'every_n_days', 'last_day_of_month'];
+
+export const parseDate = (dateString) => {
+  const [year, month, day] = String(dateString).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+export const formatDate = (date) => date.toISOString().split('T')[0];
+
+// The date on the user's calendar; the UTC date is a day off for part of
+// the day anywhere west or east of UTC
+export const today = () => {
+  const now = new Date();
+  return formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+};
+
+export const addDays = (dateString, days) => {
+  const date = parseDate(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+};
+
+export const daysInMonth = (year, monthIndex) =>
+  new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+/**
+ * Move a date forward by whole months, keeping the requested day of month
+ * and clamping it to the length of the target month (31st -> 30th, 28th...)
+ */
+export const addMonths = (dateString, months, dayOfMonth) => {
+  const date = parseDate(dateString);
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const day = Math.min(dayOfMonth || date.getUTCDate(), daysInMonth(target.getUTCFullYear(), target.getUTCMonth()));
+  target.setUTCDate(day);
+  return formatDate(target);
+};
+
+export const endOfMonth = (dateString) => {
+  const date = parseDate(dateString);
+  return formatDate(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)));
+};
+
+/**
+ * Get the occurrence that follows a given one for a recurring expense schedule
+ * @param {string} dateString - Current occurrence (YYYY-MM-DD)
+ * @param {Object} schedule - { frequency, interval, day_of_month }
+ * @returns {string} - Next occurrence (YYYY-MM-DD)
+ */
+export const getNextExpenseOccurrence = (dateString, schedule) => {
+  const interval = Math.max(1, parseInt(schedule.interval, 10) || 1);
+
+  switch (schedule.frequency) {
+    case 'weekly':
+      return addDays(dateString, 7 * interval);
+    case 'monthly':
+      return addMonths(dateString, interval, schedule.day_of_month);
+    case 'every_n_days':
+      return addDays(dateString, interval);
+    case 'last_day_of_month':
+      return endOfMonth(addMonths(dateString, interval, 1));
+    default:
+      throw new Error(`Unsupported frequency: ${schedule.frequency}`);
+  }
+};
+
+/**
+ * Get the first occurrence of a schedule on or after its start date
+ * @param {Object} schedule - { frequency, start_date, day_of_month }
+ * @returns {string} - First occurrence (YYYY-MM-DD)
+ */
+export const getFirstExpenseOccurrence = (schedule) => {
+  const start = schedule.start_date || today();
+
+  if (schedule.frequency === 'last_day_of_month') {
+    return endOfMonth(start);
+  }
+
+  if (schedule.frequency === 'monthly' && schedule.day_of_month) {
+    const candidate = addMonths(start, 0, schedule.day_of_month);
+    return candidate >= start ? candidate : addMonths(start, 1, schedule.day_of_month);
+  }
+
+  return start;
+};
+
+// Task (chore) schedules. Rules are normalized to daily, weekly or monthly;
+// biweekly is weekly with an interval of 2.
+export const TASK_FREQUENCIES = ['daily', 'weekly', 'biweekly', 'monthly', 'custom'];
+
+// RRULE weekday codes, indexed like Date.getUTCDay()
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const RULE_FREQUENCIES = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly' };
+
+export const getWeekday = (dateString) => parseDate(dateString).getUTCDay();
+
+// Monday of the week a date falls in; weeks start on Monday as in RRULE
+const startOfWeek = (dateString) => addDays(dateString, -((getWeekday(dateString) + 6) % 7));
+
+const weeksBetween = (fromDate, toDate) =>
+  Math.round((parseDate(startOfWeek(toDate)) - parseDate(startOfWeek(fromDate))) / (7 * 24 * 60 * 60 * 1000));
+
+const parseRuleDate = (value) => {
+  const digits = String(value).replace(/[^0-9]/g, '').slice(0, 8);
+  if (digits.length !== 8) throw new Error(`Invalid date in recurrence rule: ${value}`);
+  return `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+};
+
+/**
+ * Parse an RRULE-like string such as 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH'.
+ * Supports FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY, BYMONTHDAY,
+ * UNTIL and COUNT.
+ * @param {string} ruleString - The rule, with or without a leading 'RRULE:'
+ * @returns {Object} - { frequency, interval, weekdays, day_of_month, end_date, count }
+ */
+export const parseRecurrenceRule = (ruleString) => {
+  const parts = String(ruleString || '').replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const fields = parts.reduce((map, part) => {
+    const [key, value] = part.split('=');
+    map[key.trim().toUpperCase()] = (value || '').trim().toUpperCase();
+    return map;
+  }, {});
+
+  const frequency = RULE_FREQUENCIES[fields.FREQ];
+  if (!frequency) throw new Error(`Unsupported recurrence frequency: ${fields.FREQ || 'none'}`);
+
+  const weekdays = fields.BYDAY
+    ? fields.BYDAY.split(',').map(code => {
+      const index = WEEKDAY_CODES.indexOf(code.trim());
+      if (index === -1) throw new Error(`Unsupported weekday in recurrence rule: ${code}`);
+      return index;
+    })
+    : [];
+
+  return {
+    frequency,
+    interval: Math.max(1, parseInt(fields.INTERVAL, 10) || 1),
+    weekdays,
+    day_of_month: fields.BYMONTHDAY ? parseInt(fields.BYMONTHDAY, 10) : null,
+    end_date: fields.UNTIL ? parseRuleDate(fields.UNTIL) : null,
+    count: fields.COUNT ? parseInt(fields.COUNT, 10) : null
+  };
+};
+
+/**
+ * Write a normalized task rule back as an RRULE-like string
+ * @param {Object} rule - Rule from normalizeTaskRecurrence
+ * @returns {string} - e.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH'
+ */
+export const formatRecurrenceRule = (rule) => {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if ((rule.frequency === 'weekly' || rule.frequency === 'daily') && rule.weekdays?.length) {
+    parts.push(`BYDAY=${rule.weekdays.map(day => WEEKDAY_CODES[day]).join(',')}`);
+  }
+  if (rule.frequency === 'monthly' && rule.day_of_month) parts.push(`BYMONTHDAY=${rule.day_of_month}`);
+  if (rule.end_date) parts.push(`UNTIL=${rule.end_date.replace(/-/g, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+};
+
+/**
+ * Turn the schedule picked for a chore into a normalized rule
+ * @param {Object} recurrence - { frequency, interval, weekdays, day_of_month, rule, start_date, end_date, count };
+ *   weekdays may be numbers (0 = Sunday) or RRULE codes, rule is used for 'custom'
+ * @returns {Object} - { frequency, interval, weekdays, day_of_month, start_date, end_date, count }
+ */
+export const normalizeTaskRecurrence = (recurrence) => {
+  if (!TASK_FREQUENCIES.includes(recurrence.frequency)) {
+    throw new Error(`Unsupported frequency: ${recurrence.frequency}`);
+  }
+
+  const startDate = recurrence.start_date || today();
+  const base = recurrence.frequency === 'custom'
+    ? parseRecurrenceRule(recurrence.rule)
+    : {
+      frequency: recurrence.frequency === 'biweekly' ? 'weekly' : recurrence.frequency,
+      interval: recurrence.frequency === 'biweekly' ? 2 : Math.max(1, parseInt(recurrence.interval, 10) || 1),
+      weekdays: (recurrence.weekdays || []).map(day =>
+        typeof day === 'number' ? day : WEEKDAY_CODES.indexOf(String(day).toUpperCase())
+      ),
+      day_of_month: recurrence.day_of_month || null,
+      end_date: recurrence.end_date || null,
+      count: recurrence.count || null
+    };
+
+  if (base.weekdays.some(day => day < 0 || day > 6)) throw new Error('Invalid weekday in schedule');
+
+  // A daily rule with weekdays only falls on those days; without any it is every day
+  let weekdays = [];
+  if (base.frequency === 'weekly') weekdays = base.weekdays.length ? base.weekdays : [getWeekday(startDate)];
+  if (base.frequency === 'daily') weekdays = base.weekdays;
+  weekdays = [...new Set(weekdays)].sort();
+
+  // Every 7th day is always the same weekday
+  if (base.frequency === 'daily' && base.interval % 7 === 0 && weekdays.length &&
+    !weekdays.includes(getWeekday(startDate))) {
+    throw new Error('Schedule never falls on the chosen weekdays');
+  }
+
+  return {
+    ...base,
+    weekdays,
+    day_of_month: base.frequency === 'monthly'
+      ? base.day_of_month || parseDate(startDate).getUTCDate()
+      : null,
+    start_date: startDate
+  };
+};
+
+// Whether a date is one of the rule's occurrences
+const matchesTaskRule = (dateString, rule) => {
+  if (dateString < rule.start_date) return false;
+
+  switch (rule.frequency) {
+    case 'daily':
+      if (rule.weekdays?.length && !rule.weekdays.includes(getWeekday(dateString))) return false;
+      return Math.round((parseDate(dateString) - parseDate(rule.start_date)) / (24 * 60 * 60 * 1000)) % rule.interval === 0;
+    case 'weekly':
+      return rule.weekdays.includes(getWeekday(dateString)) &&
+        weeksBetween(rule.start_date, dateString) % rule.interval === 0;
+    default:
+      throw new Error(`Unsupported frequency: ${rule.frequency}`);
+  }
+};
+
+/**
+ * Get the occurrence of a chore that follows a given date
+ * @param {string} dateString - Current occurrence (YYYY-MM-DD)
+ * @param {Object} rule - Rule from normalizeTaskRecurrence
+ * @returns {string} - Next occurrence (YYYY-MM-DD)
+ */
+export const getNextTaskOccurrence = (dateString, rule) => {
+  if (rule.frequency === 'monthly') {
+    const sameMonth = addMonths(dateString, 0, rule.day_of_month);
+    if (sameMonth > dateString && sameMonth >= rule.start_date) return sameMonth;
+    return addMonths(dateString, rule.interval, rule.day_of_month);
+  }
+
+  // Every candidate within one full cycle of weeks after the date; a daily
+  // rule with weekdays repeats its pattern within that many days too
+  const horizon = 7 * rule.interval;
+  for (let offset = 1; offset <= horizon + 7; offset++) {
+    const candidate = addDays(dateString, offset);
+    if (matchesTaskRule(candidate, rule)) return candidate;
+  }
+
+  throw new Error('Recurrence rule has no next occurrence');
+};
+
+/**
+ * Get the first occurrence of a chore on or after its start date
+ * @param {Object} rule - Rule from normalizeTaskRecurrence
+ * @returns {string} - First occurrence (YYYY-MM-DD)
+ */
+export const getFirstTaskOccurrence = (rule) => {
+  if (rule.frequency === 'monthly') {
+    const candidate = addMonths(rule.start_date, 0, rule.day_of_month);
+    return candidate >= rule.start_date ? candidate : addMonths(rule.start_date, 1, rule.day_of_month);
+  }
+  return matchesTaskRule(rule.start_date, rule)
+    ? rule.start_date
+    : getNextTaskOccurrence(rule.start_date, rule);
+};
@@ -0,0 +1,128 @@
+/**
+ * Decides which payment reminders are due.
+ *
+ * Pure functions only: the caller loads pending reminders, the creditors'
+ * reminder settings and the reminder log, and gets back what to send and
+ * why everything else was held back.
+ *
+ * Moving up the escalation ladder (see utils/dueDates) always earns a
+ * reminder, even inside the frequency window or past maxPerShare, so a
+ * share is never left without its firm reminder or admin notice.
+ */
+import { getEscalationRank } from './dueDates';
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  autoReminders: false,
+  frequency: 'weekly',
+  daysBefore: 3,
+  overdueDays: 0,
+  quietHoursStart: '22:00',
+  quietHoursEnd: '08:00',
+  maxPerShare: 3,
+  customMessage: 'Hey! Just a friendly reminder about the expense payment due soon.',
+  emailNotifications: true,
+  appNotifications: true
+};
+
+// Minimum days between two reminders for the same share
+export const REMINDER_FREQUENCY_DAYS = {
+  daily: 1,
+  weekly: 7,
+  biweekly: 14,
+  monthly: 30
+};
+
+// A run that claimed a reminder but never confirmed it (the app closed or
+// crashed mid-send) loses the claim after this long
+export const REMINDER_CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time || '').split(':').map(Number);
+  return Number.isNaN(hours) ? null : hours * 60 + (minutes || 0);
+};
+
+/**
+ * Whether a moment falls inside quiet hours (device local time). Windows
+ * may wrap past midnight, e.g. 22:00 to 08:00.
+ * @param {Date} now - Moment to check
+ * @param {Object} settings - { quietHoursStart, quietHoursEnd } as 'HH:MM'
+ * @returns {boolean}
+ */
+export const isInQuietHours = (now, settings) => {
+  const start = toMinutes(settings.quietHoursStart);
+  const end = toMinutes(settings.quietHoursEnd);
+  if (start === null || end === null || start === end) return false;
+
+  const current = now.getHours() * 60 + now.getMinutes();
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+/**
+ * Whether a 'sending' log entry was abandoned and may be claimed again
+ * @param {Object} log - Log entry ({ status, sent_at }), sent_at being the claim time
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isStaleClaim = (log, now = new Date()) =>
+  log.status === 'sending' && now.getTime() - new Date(log.sent_at).getTime() >= REMINDER_CLAIM_TIMEOUT_MS;
+
+/**
+ * Work out which reminders should go out now
+ * @param {Array} reminders - Pending reminders (see getPendingReminders), each with creditor_id,
+ *   status, days_overdue and, while upcoming, days_until_due
+ * @param {Object} context - Planning context
+ * @param {Object} context.settingsByCreditor - Creditor user ID -> reminder settings
+ * @param {Object} context.logsByShare - Share ID -> sent log entries ({ sent_at, escalation_level })
+ * @param {Date} context.now - Current time
+ * @returns {Object} - { due: [{ reminder, sequence, dedupeKey, escalationLevel, message }], skipped: [{ reminder, reason }] }
+ */
+export const planReminders = (reminders, { settingsByCreditor = {}, logsByShare = {}, now = new Date() } = {}) => {
+  const due = [];
+  const skipped = [];
+
+  reminders.forEach(reminder => {
+    const settings = { ...DEFAULT_REMINDER_SETTINGS, ...settingsByCreditor[reminder.creditor_id] };
+    const logs = logsByShare[reminder.share_id] || [];
+    const skip = (reason) => skipped.push({ reminder, reason });
+
+    if (!settings.autoReminders) return skip('disabled');
+    if (!settings.appNotifications) return skip('notifications_off');
+    if (reminder.status === 'upcoming') {
+      // Debtors hear about a share daysBefore days ahead of its due date
+      if (!(reminder.days_until_due <= settings.daysBefore)) return skip('not_due');
+    } else if (reminder.days_overdue < settings.overdueDays) {
+      return skip('not_overdue');
+    }
+
+    const lastRank = logs.reduce((rank, log) => Math.max(rank, getEscalationRank(log.escalation_level)), -1);
+    const escalates = getEscalationRank(reminder.escalation_level) > lastRank;
+
+    if (!escalates && logs.length >= settings.maxPerShare) return skip('max_reached');
+
+    const lastSent = logs.reduce((latest, log) => {
+      const sentAt = new Date(log.sent_at).getTime();
+      return sentAt > latest ? sentAt : latest;
+    }, 0);
+    const intervalDays = REMINDER_FREQUENCY_DAYS[settings.frequency] || REMINDER_FREQUENCY_DAYS.weekly;
+    if (!escalates && lastSent && now.getTime() - lastSent < intervalDays * DAY_MS) return skip('too_soon');
+
+    if (isInQuietHours(now, settings)) return skip('quiet_hours');
+
+    // The sequence number makes the log's dedupe key unique per reminder,
+    // so two overlapping runs cannot both send the nth reminder for a share
+    const sequence = logs.length + 1;
+    due.push({
+      reminder,
+      sequence,
+      dedupeKey: `${reminder.share_id}:${sequence}`,
+      escalationLevel: reminder.escalation_level,
+      message: settings.customMessage
+    });
+  });
+
+  return { due, skipped };
+};
@@ -0,0 +1,211 @@
+/**
+ * Split engine for expenses.
+ *
+ * Every calculation is done in integer cents so that the resulting shares
+ * always add up to the expense total exactly. Rounding remainders are handed
+ * out with the largest-remainder method; ties go to the participant listed
+ * first, so the same input always produces the same shares.
+ */
+
+export const SPLIT_MODES = ['equal', 'percentage', 'shares', 'exact', 'itemized'];
+
+export const toCents = (amount) => Math.round(Number(amount) * 100);
+
+export const fromCents = (cents) => cents / 100;
+
+/**
+ * Distribute an amount in cents proportionally to a list of weights
+ * @param {number} totalCents - Amount to distribute
+ * @param {Array<number>} weights - Non-negative weights, one per recipient
+ * @returns {Array<number>} - Cents per recipient, summing to totalCents
+ */
+export const allocateCents = (totalCents, weights) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weightSum <= 0) {
+    throw new Error('Split weights must add up to more than zero');
+  }
+
+  const allocations = weights.map((weight, index) => {
+    const exact = (totalCents * weight) / weightSum;
+    const base = Math.floor(exact);
+    return { index, base, remainder: exact - base };
+  });
+
+  let leftover = totalCents - allocations.reduce((sum, a) => sum + a.base, 0);
+
+  // Hand out the leftover cents to the largest fractional parts first
+  const byRemainder = [...allocations].sort((a, b) =>
+    b.remainder - a.remainder || a.index - b.index
+  );
+  for (let i = 0; leftover > 0; i = (i + 1) % byRemainder.length) {
+    byRemainder[i].base += 1;
+    leftover--;
+  }
+
+  return allocations.map(a => a.base);
+};
+
+const requireParticipants = (participants) => {
+  if (!Array.isArray(participants) || participants.length === 0) {
+    throw new Error('At least one participant is required');
+  }
+  participants.forEach(p => {
+    if (!p || !p.user_id) throw new Error('Every participant needs a user_id');
+  });
+};
+
+const splitEqual = (totalCents, participants) => {
+  requireParticipants(participants);
+  return allocateCents(totalCents, participants.map(() => 1))
+    .map((cents, i) => ({ user_id: participants[i].user_id, cents }));
+};
+
+const splitByPercentage = (totalCents, participants) => {
+  requireParticipants(participants);
+  const percentages = participants.map(p => Number(p.percentage) || 0);
+  if (percentages.some(pct => pct < 0)) {
+    throw new Error('Percentages cannot be negative');
+  }
+
+  const totalPercentage = percentages.reduce((sum, pct) => sum + pct, 0);
+  if (Math.abs(totalPercentage - 100) > 0.001) {
+    throw new Error(`Percentages must add up to 100 (got ${totalPercentage})`);
+  }
+
+  return allocateCents(totalCents, percentages)
+    .map((cents, i) => ({ user_id: participants[i].user_id, cents }));
+};
+
+const splitByShares = (totalCents, participants) => {
+  requireParticipants(participants);
+  const weights = participants.map(p => Number(p.shares) || 0);
+  if (weights.some(weight => weight < 0)) {
+    throw new Error('Share weights cannot be negative');
+  }
+
+  return allocateCents(totalCents, weights)
+    .map((cents, i) => ({ user_id: participants[i].user_id, cents }));
+};
+
+const splitExact = (totalCents, participants) => {
+  requireParticipants(participants);
+  const shares = participants.map(p => ({ user_id: p.user_id, cents: toCents(p.amount || 0) }));
+  if (shares.some(share => share.cents < 0)) {
+    throw new Error('Exact amounts cannot be negative');
+  }
+
+  const assigned = shares.reduce((sum, share) => sum + share.cents, 0);
+  if (assigned !== totalCents) {
+    throw new Error(
+      `Exact amounts add up to ${fromCents(assigned).toFixed(2)} but the expense total is ${fromCents(totalCents).toFixed(2)}`
+    );
+  }
+
+  return shares;
+};
+
+const splitItemized = (totalCents, split) => {
+  const items = split.items || [];
+  if (items.length === 0) {
+    throw new Error('Itemized splits need at least one line item');
+  }
+
+  // Sub-totals per user, in order of first appearance
+  const subtotals = new Map();
+  items.forEach((item, itemIndex) => {
+    const userIds = item.user_ids || [];
+    if (userIds.length === 0) {
+      throw new Error(`Line item ${item.description || itemIndex + 1} has nobody assigned`);
+    }
+
+    const itemCents = toCents(item.amount);
+    if (itemCents < 0) throw new Error('Line item amounts cannot be negative');
+
+    allocateCents(itemCents, userIds.map(() => 1)).forEach((cents, i) => {
+      subtotals.set(userIds[i], (subtotals.get(userIds[i]) || 0) + cents);
+    });
+  });
+
+  const userIds = Array.from(subtotals.keys());
+  const itemCents = userIds.map(id => subtotals.get(id));
+  const subtotalCents = itemCents.reduce((sum, cents) => sum + cents, 0);
+
+  // Tax and tip follow each person's share of the sub-total
+  const taxCents = toCents(split.tax || 0);
+  const tipCents = toCents(split.tip || 0);
+  const taxShares = taxCents > 0 ? allocateCents(taxCents, itemCents) : itemCents.map(() => 0);
+  const tipShares = tipCents > 0 ? allocateCents(tipCents, itemCents) : itemCents.map(() => 0);
+
+  const itemizedTotal = subtotalCents + taxCents + tipCents;
+  if (itemizedTotal !== totalCents) {
+    throw new Error(
+      `Line items plus tax and tip add up to ${fromCents(itemizedTotal).toFixed(2)} but the expense total is ${fromCents(totalCents).toFixed(2)}`
+    );
+  }
+
+  return userIds.map((user_id, i) => ({
+    user_id,
+    cents: itemCents[i] + taxShares[i] + tipShares[i]
+  }));
+};
+
+/**
+ * Calculate expense shares for a split mode
+ * @param {number} total - Expense total
+ * @param {Object} split - Split definition
+ * @param {string} split.mode - One of SPLIT_MODES
+ * @param {Array} split.participants - [{ user_id, percentage | shares | amount }]
+ * @param {Array} split.items - Itemized mode: [{ description, amount, user_ids }]
+ * @param {number} split.tax - Itemized mode: tax to allocate proportionally
+ * @param {number} split.tip - Itemized mode: tip to allocate proportionally
+ * @returns {Object} - Success status and shares ([{ user_id, amount }]) or error
+ */
+export const calculateSplit = (total, split = {}) => {
+  try {
+    const totalCents = toCents(total);
+    if (!Number.isFinite(totalCents) || totalCents <= 0) {
+      throw new Error('Expense total must be greater than zero');
+    }
+
+    let shares;
+    switch (split.mode) {
+      case 'equal':
+        shares = splitEqual(totalCents, split.participants);
+        break;
+      case 'percentage':
+        shares = splitByPercentage(totalCents, split.participants);
+        break;
+      case 'shares':
+        shares = splitByShares(totalCents, split.participants);
+        break;
+      case 'exact':
+        shares = splitExact(totalCents, split.participants);
+        break;
+      case 'itemized':
+        shares = splitItemized(totalCents, split);
+        break;
+      default:
+        throw new Error(`Unknown split mode: ${split.mode}`);
+    }
+
+    // Merge duplicate participants and drop empty shares
+    const merged = new Map();
+    shares.forEach(share => {
+      merged.set(share.user_id, (merged.get(share.user_id) || 0) + share.cents);
+    });
+
+    const result = Array.from(merged.entries())
+      .filter(([, cents]) => cents > 0)
+      .map(([user_id, cents]) => ({ user_id, amount: fromCents(cents) }));
+
+    // Final guard: the shares must add up to the total to the cent
+    const allocated = result.reduce((sum, share) => sum + toCents(share.amount), 0);
+    if (allocated !== totalCents) {
+      throw new Error('Split does not add up to the expense total');
+    }
+
+    return { success: true, shares: result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
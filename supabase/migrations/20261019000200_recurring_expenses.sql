@@ -0,0 +1,48 @@
+-- Recurring expense templates, materialized into expenses by
+-- materializeRecurringExpenses in src/supabase/recurringExpenses.js
+create table if not exists public.recurring_expenses (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.groups(id) on delete cascade,
+  created_by uuid not null,
+  description text not null,
+  amount numeric(12, 2) not null check (amount > 0),
+  category text not null default 'Other',
+  currency text not null default 'USD',
+  split jsonb not null,
+  frequency text not null
+    check (frequency in ('weekly', 'monthly', 'every_n_days', 'last_day_of_month')),
+  interval integer not null default 1 check (interval > 0),
+  day_of_month integer check (day_of_month between 1 and 31),
+  start_date date not null,
+  end_date date,
+  next_occurrence date,
+  skipped_dates date[] not null default '{}',
+  -- One-off changes to the next occurrence only: { occurrence, ...fields }
+  next_override jsonb,
+  status text not null default 'active' check (status in ('active', 'paused', 'ended')),
+  last_generated_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  constraint recurring_expenses_created_by_fkey
+    foreign key (created_by) references public.profiles(id) on delete cascade
+);
+
+create index if not exists recurring_expenses_due_idx
+  on public.recurring_expenses (group_id, status, next_occurrence);
+
+alter table public.expenses
+  add column if not exists recurring_expense_id uuid
+    references public.recurring_expenses(id) on delete set null;
+
+alter table public.recurring_expenses enable row level security;
+
+create policy "Group members manage recurring expenses"
+  on public.recurring_expenses for all
+  using (exists (
+    select 1 from public.group_members gm
+    where gm.group_id = recurring_expenses.group_id and gm.user_id = auth.uid()
+  ))
+  with check (exists (
+    select 1 from public.group_members gm
+    where gm.group_id = recurring_expenses.group_id and gm.user_id = auth.uid()
+  ));
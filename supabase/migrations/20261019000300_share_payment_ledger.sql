@@ -0,0 +1,104 @@
+-- Partial settlement payments: each share keeps its original amount and
+-- tracks how much of it has been paid; every payment a settlement makes is
+-- a row in the expense_share_payments ledger.
+alter table public.expense_shares
+  add column if not exists amount_paid numeric(12, 2) not null default 0;
+
+create table if not exists public.expense_share_payments (
+  id uuid primary key default gen_random_uuid(),
+  settlement_id uuid not null references public.expense_settlements(id) on delete cascade,
+  share_id uuid not null references public.expense_shares(id) on delete cascade,
+  amount numeric(12, 2) not null check (amount > 0),
+  -- What the share showed before this payment, restored if it is reversed
+  previous_payment_method text,
+  previous_settlement_note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists expense_share_payments_settlement_idx
+  on public.expense_share_payments (settlement_id);
+create index if not exists expense_share_payments_share_idx
+  on public.expense_share_payments (share_id, created_at);
+
+alter table public.expense_share_payments enable row level security;
+
+create policy "Settlement parties read share payments"
+  on public.expense_share_payments for select
+  using (exists (
+    select 1 from public.expense_settlements s
+    where s.id = expense_share_payments.settlement_id
+      and auth.uid() in (s.from_user_id, s.to_user_id)
+  ));
+
+create policy "Settlement parties write share payments"
+  on public.expense_share_payments for all
+  using (exists (
+    select 1 from public.expense_settlements s
+    where s.id = expense_share_payments.settlement_id
+      and auth.uid() in (s.from_user_id, s.to_user_id)
+  ));
+
+-- Record a settlement and the share payments it makes in one transaction,
+-- so a settlement never exists without its payments. allocations is a list
+-- of { share_id, amount } planned by recordSettlement. The allocations are
+-- checked again here: each share must be the payer's, on an expense in the
+-- settlement's group that the recipient created, and still have that much
+-- outstanding, or the whole settlement is aborted.
+create or replace function public.record_settlement(settlement_data jsonb, allocations jsonb)
+returns public.expense_settlements
+language plpgsql
+as $$
+declare
+  settlement public.expense_settlements;
+  allocation jsonb;
+  target_share public.expense_shares;
+  paid_after numeric(12, 2);
+begin
+  settlement := jsonb_populate_record(null::public.expense_settlements, settlement_data);
+  settlement.id := coalesce(settlement.id, gen_random_uuid());
+  settlement.created_at := coalesce(settlement.created_at, now());
+
+  insert into public.expense_settlements select settlement.*;
+
+  for allocation in select * from jsonb_array_elements(coalesce(allocations, '[]'::jsonb)) loop
+    select es.* into target_share
+    from public.expense_shares es
+    where es.id = (allocation->>'share_id')::uuid
+      and es.user_id = settlement.from_user_id
+    for update;
+
+    if not found then
+      raise exception 'Share % is not owed by the payer', allocation->>'share_id';
+    end if;
+
+    if not exists (
+      select 1 from public.expenses e
+      where e.id = target_share.expense_id
+        and e.group_id = settlement.group_id
+        and e.created_by = settlement.to_user_id
+    ) then
+      raise exception 'Share % is not owed to the recipient in this group', target_share.id;
+    end if;
+
+    paid_after := target_share.amount_paid + (allocation->>'amount')::numeric;
+    if paid_after > target_share.amount then
+      raise exception 'Share % was paid in the meantime', target_share.id;
+    end if;
+
+    insert into public.expense_share_payments
+      (settlement_id, share_id, amount, previous_payment_method, previous_settlement_note)
+    values
+      (settlement.id, target_share.id, (allocation->>'amount')::numeric, target_share.payment_method, target_share.settlement_note);
+
+    update public.expense_shares
+    set amount_paid = paid_after,
+        paid = paid_after >= target_share.amount,
+        paid_at = case when paid_after >= target_share.amount then now() else null end,
+        payment_method = settlement.payment_method,
+        settlement_note = settlement.note
+    where id = target_share.id;
+  end loop;
+
+  return settlement;
+end;
+$$;
@@ -0,0 +1,90 @@
+-- Voided settlements stay on record; the share payments they made are
+-- marked reversed instead of being deleted.
+alter table public.expense_settlements
+  add column if not exists voided_at timestamptz,
+  add column if not exists voided_by uuid references public.profiles(id),
+  add column if not exists void_reason text;
+
+alter table public.expense_share_payments
+  add column if not exists reversed_at timestamptz;
+
+-- Void a settlement and reverse the share payments it made in one
+-- transaction, so a settlement is never voided with only some of its shares
+-- restored, and a retry cannot reverse a payment twice. Each share gets its
+-- paid-so-far total and paid flag back, and the payment method and note it
+-- showed before unless a later payment has replaced them.
+create or replace function public.void_settlement(p_settlement_id uuid, p_voided_by uuid, p_reason text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  settlement public.expense_settlements;
+  payment public.expense_share_payments;
+  target_share public.expense_shares;
+  paid_after numeric(12, 2);
+  restored integer := 0;
+begin
+  select * into settlement
+  from public.expense_settlements
+  where id = p_settlement_id
+  for update;
+
+  if not found then
+    raise exception 'Settlement not found';
+  end if;
+  if settlement.status = 'voided' then
+    raise exception 'Settlement has already been voided';
+  end if;
+  if p_voided_by is distinct from settlement.from_user_id and p_voided_by is distinct from settlement.to_user_id then
+    raise exception 'Only the people involved can void a settlement';
+  end if;
+
+  for payment in
+    select * from public.expense_share_payments
+    where settlement_id = p_settlement_id and reversed_at is null
+    order by created_at
+    for update
+  loop
+    select * into target_share
+    from public.expense_shares
+    where id = payment.share_id
+    for update;
+
+    paid_after := greatest(0, target_share.amount_paid - payment.amount);
+
+    update public.expense_shares
+    set amount_paid = paid_after,
+        paid = paid_after >= target_share.amount,
+        paid_at = case when paid_after >= target_share.amount then target_share.paid_at else null end,
+        payment_method = case when exists (
+          select 1 from public.expense_share_payments later
+          where later.share_id = payment.share_id
+            and later.reversed_at is null
+            and later.created_at > payment.created_at
+        ) then target_share.payment_method else payment.previous_payment_method end,
+        settlement_note = case when exists (
+          select 1 from public.expense_share_payments later
+          where later.share_id = payment.share_id
+            and later.reversed_at is null
+            and later.created_at > payment.created_at
+        ) then target_share.settlement_note else payment.previous_settlement_note end
+    where id = target_share.id;
+
+    update public.expense_share_payments
+    set reversed_at = now()
+    where id = payment.id;
+
+    restored := restored + 1;
+  end loop;
+
+  update public.expense_settlements
+  set status = 'voided',
+      voided_at = now(),
+      voided_by = p_voided_by,
+      void_reason = p_reason
+  where id = p_settlement_id
+  returning * into settlement;
+
+  return jsonb_build_object('settlement', to_jsonb(settlement), 'restored_shares', restored);
+end;
+$$;
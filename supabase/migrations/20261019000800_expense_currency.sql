@@ -0,0 +1,16 @@
+-- Every expense records its own currency and the rate to its group's base
+-- currency on the expense date; group totals are reported in that base.
+alter table public.groups
+  add column if not exists base_currency text not null default 'USD'
+    check (base_currency ~ '^[A-Z]{3}$');
+
+alter table public.expenses
+  add column if not exists currency text not null default 'USD',
+  add column if not exists base_currency text,
+  add column if not exists exchange_rate numeric(18, 8) check (exchange_rate > 0);
+
+-- Expenses recorded before currencies existed were in US dollars
+update public.expenses
+set base_currency = coalesce(base_currency, 'USD'),
+    exchange_rate = coalesce(exchange_rate, 1)
+where base_currency is null or exchange_rate is null;
@@ -0,0 +1,80 @@
+-- Receipt photos and PDFs, stored under expenses/<expense id>/ in the
+-- receipts bucket. The bucket is private: files are read through signed
+-- URLs, and only people who can see the expense can read or change them.
+insert into storage.buckets (id, name, public)
+values ('receipts', 'receipts', false)
+on conflict (id) do update set public = false;
+
+-- Whether the signed-in user can see an expense: a member of its group, or
+-- for an expense outside any group, whoever entered it or has a share in it
+create or replace function public.can_access_expense(p_expense_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.expenses e
+    where e.id = p_expense_id
+      and (
+        exists (
+          select 1 from public.group_members gm
+          where gm.group_id = e.group_id and gm.user_id = auth.uid()
+        )
+        or (
+          e.group_id is null
+          and (
+            e.created_by = auth.uid()
+            or exists (
+              select 1 from public.expense_shares es
+              where es.expense_id = e.id and es.user_id = auth.uid()
+            )
+          )
+        )
+      )
+  );
+$$;
+
+-- The expense a receipt file belongs to, from its expenses/<expense id>/ path
+create or replace function public.receipt_expense_id(object_name text)
+returns uuid
+language sql
+immutable
+as $$
+  select case
+    when (storage.foldername(object_name))[1] = 'expenses'
+      and (storage.foldername(object_name))[2] ~ '^[0-9a-f-]{36}$'
+    then (storage.foldername(object_name))[2]::uuid
+  end;
+$$;
+
+create policy "Expense participants read receipt files"
+  on storage.objects for select
+  using (bucket_id = 'receipts' and public.can_access_expense(public.receipt_expense_id(name)));
+
+create policy "Expense participants upload receipt files"
+  on storage.objects for insert
+  with check (bucket_id = 'receipts' and public.can_access_expense(public.receipt_expense_id(name)));
+
+create policy "Expense participants delete receipt files"
+  on storage.objects for delete
+  using (bucket_id = 'receipts' and public.can_access_expense(public.receipt_expense_id(name)));
+
+create table if not exists public.expense_receipts (
+  id uuid primary key default gen_random_uuid(),
+  expense_id uuid not null references public.expenses(id) on delete cascade,
+  file_path text not null,
+  file_name text,
+  content_type text not null,
+  uploaded_by uuid references public.profiles(id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists expense_receipts_expense_idx on public.expense_receipts (expense_id);
+
+alter table public.expense_receipts enable row level security;
+
+create policy "Expense participants manage receipts"
+  on public.expense_receipts for all
+  using (public.can_access_expense(expense_receipts.expense_id));
@@ -0,0 +1,14 @@
+-- Where an imported expense came from, so re-importing the same statement
+-- can flag rows that are already in the group
+alter table public.expenses
+  add column if not exists import_source text
+    check (import_source in ('splitwise', 'bank_csv', 'ofx')),
+  add column if not exists import_ref text;
+
+create index if not exists expenses_import_ref_idx
+  on public.expenses (group_id, import_ref)
+  where import_ref is not null;
+
+-- A Splitwise row records who paid, which need not be the member importing
+alter table public.expenses
+  add column if not exists paid_by uuid references public.profiles(id);
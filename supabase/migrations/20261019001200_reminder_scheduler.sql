@@ -0,0 +1,23 @@
+-- Automatic reminder scheduling. expense_reminder_settings keeps its
+-- existing camelCase columns, so the new settings follow that naming.
+alter table public.expense_reminder_settings
+  add column if not exists "overdueDays" integer not null default 0,
+  add column if not exists "quietHoursStart" text,
+  add column if not exists "quietHoursEnd" text,
+  add column if not exists "maxPerShare" integer;
+
+-- A log entry is claimed as 'sending' before the notification goes out and
+-- confirmed as 'sent' afterwards. dedupe_key (share ID and reminder number)
+-- stops two runs from sending the same reminder; a claim left in 'sending'
+-- is taken over by a later run once it is stale.
+alter table public.expense_reminder_logs
+  add column if not exists dedupe_key text,
+  add column if not exists escalation_level text
+    check (escalation_level in ('gentle', 'firm', 'admin'));
+
+create unique index if not exists expense_reminder_logs_dedupe_key_idx
+  on public.expense_reminder_logs (dedupe_key)
+  where dedupe_key is not null;
+
+create index if not exists expense_reminder_logs_share_status_idx
+  on public.expense_reminder_logs (share_id, status);
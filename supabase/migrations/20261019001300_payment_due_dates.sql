@@ -0,0 +1,13 @@
+-- Payment terms: each group sets how many days members have to pay their
+-- share, and every share records the due date it was given
+alter table public.groups
+  add column if not exists payment_term_days integer not null default 7
+    check (payment_term_days >= 0);
+
+alter table public.expense_shares
+  add column if not exists due_date date,
+  add column if not exists paid_at timestamptz;
+
+create index if not exists expense_shares_unpaid_due_idx
+  on public.expense_shares (due_date)
+  where paid = false;
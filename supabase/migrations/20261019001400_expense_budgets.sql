@@ -0,0 +1,44 @@
+-- Monthly budgets per group, optionally per category (null = all spending),
+-- in the group's base currency
+create table if not exists public.expense_budgets (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.groups(id) on delete cascade,
+  category text,
+  amount numeric(12, 2) not null check (amount > 0),
+  created_by uuid references public.profiles(id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create unique index if not exists expense_budgets_group_category_idx
+  on public.expense_budgets (group_id, coalesce(lower(category), ''));
+
+-- One row per budget, month and threshold; inserting it is the claim to
+-- send that alert
+create table if not exists public.budget_alerts (
+  id uuid primary key default gen_random_uuid(),
+  budget_id uuid not null references public.expense_budgets(id) on delete cascade,
+  month text not null check (month ~ '^\d{4}-\d{2}$'),
+  threshold integer not null,
+  created_at timestamptz not null default now(),
+  unique (budget_id, month, threshold)
+);
+
+alter table public.expense_budgets enable row level security;
+alter table public.budget_alerts enable row level security;
+
+create policy "Group members manage budgets"
+  on public.expense_budgets for all
+  using (exists (
+    select 1 from public.group_members gm
+    where gm.group_id = expense_budgets.group_id and gm.user_id = auth.uid()
+  ));
+
+create policy "Group members record budget alerts"
+  on public.budget_alerts for all
+  using (exists (
+    select 1
+    from public.expense_budgets b
+    join public.group_members gm on gm.group_id = b.group_id
+    where b.id = budget_alerts.budget_id and gm.user_id = auth.uid()
+  ));
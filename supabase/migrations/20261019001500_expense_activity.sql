@@ -0,0 +1,157 @@
+-- Comment thread and activity log on each expense
+create table if not exists public.expense_comments (
+  id uuid primary key default gen_random_uuid(),
+  expense_id uuid not null references public.expenses(id) on delete cascade,
+  group_id uuid not null references public.groups(id) on delete cascade,
+  user_id uuid not null,
+  body text not null check (length(trim(body)) > 0),
+  mentions uuid[] not null default '{}',
+  created_at timestamptz not null default now(),
+  edited_at timestamptz,
+  constraint expense_comments_user_id_fkey foreign key (user_id) references public.profiles(id)
+);
+
+create index if not exists expense_comments_expense_idx
+  on public.expense_comments (expense_id, created_at);
+
+-- One row per change: created, edited (with { field: { from, to } } and
+-- share changes), deleted or restored
+create table if not exists public.expense_activity (
+  id uuid primary key default gen_random_uuid(),
+  expense_id uuid not null references public.expenses(id) on delete cascade,
+  group_id uuid not null references public.groups(id) on delete cascade,
+  user_id uuid,
+  action text not null,
+  changes jsonb,
+  created_at timestamptz not null default now(),
+  constraint expense_activity_user_id_fkey foreign key (user_id) references public.profiles(id)
+);
+
+create index if not exists expense_activity_expense_idx
+  on public.expense_activity (expense_id, created_at);
+
+alter table public.expense_comments enable row level security;
+alter table public.expense_activity enable row level security;
+
+create policy "Group members read comments"
+  on public.expense_comments for select
+  using (exists (
+    select 1 from public.group_members gm
+    where gm.group_id = expense_comments.group_id and gm.user_id = auth.uid()
+  ));
+
+create policy "Members write their own comments"
+  on public.expense_comments for all
+  using (user_id = auth.uid())
+  with check (
+    user_id = auth.uid()
+    and exists (
+      select 1 from public.group_members gm
+      where gm.group_id = expense_comments.group_id and gm.user_id = auth.uid()
+    )
+  );
+
+create policy "Group members read and add activity"
+  on public.expense_activity for all
+  using (exists (
+    select 1 from public.group_members gm
+    where gm.group_id = expense_activity.group_id and gm.user_id = auth.uid()
+  ));
+
+-- Apply an edit to an expense and its shares in one transaction, so an
+-- expense is never left with shares that no longer add up to its amount.
+-- p_shares ([{ user_id, amount }]) replaces the current shares when given:
+-- new members get a share, changed amounts are updated and members left
+-- out lose theirs, unless they already paid towards it. Returns the updated
+-- expense and the share changes as [{ user_id, from, to }].
+create or replace function public.apply_expense_edit(p_expense_id uuid, p_updates jsonb, p_shares jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  expense public.expenses;
+  edited_columns text;
+  existing public.expense_shares;
+  new_share jsonb;
+  new_amount numeric(12, 2);
+  default_due_date date;
+  share_changes jsonb := '[]'::jsonb;
+begin
+  select * into expense
+  from public.expenses
+  where id = p_expense_id
+  for update;
+
+  if not found then
+    raise exception 'Expense % not found', p_expense_id;
+  end if;
+
+  if coalesce(p_updates, '{}'::jsonb) ?| array['id', 'group_id', 'created_by', 'created_at'] then
+    raise exception 'These expense fields cannot be edited';
+  end if;
+
+  select string_agg(quote_ident(key), ', ') into edited_columns
+  from jsonb_object_keys(coalesce(p_updates, '{}'::jsonb)) as key;
+
+  if edited_columns is not null then
+    execute format(
+      'update public.expenses set (%1$s) = (select %1$s from jsonb_populate_record($1, $2)) where id = $3 returning *',
+      edited_columns
+    ) into expense using expense, p_updates, p_expense_id;
+  end if;
+
+  if p_shares is not null then
+    select es.due_date into default_due_date
+    from public.expense_shares es
+    where es.expense_id = p_expense_id
+    limit 1;
+
+    for new_share in select * from jsonb_array_elements(p_shares) loop
+      new_amount := (new_share->>'amount')::numeric;
+
+      select * into existing
+      from public.expense_shares
+      where expense_id = p_expense_id and user_id = (new_share->>'user_id')::uuid
+      for update;
+
+      if not found then
+        insert into public.expense_shares (expense_id, user_id, amount, paid, due_date)
+        values (
+          p_expense_id,
+          (new_share->>'user_id')::uuid,
+          new_amount,
+          false,
+          coalesce((new_share->>'due_date')::date, default_due_date)
+        );
+        share_changes := share_changes || jsonb_build_object('user_id', new_share->'user_id', 'from', null, 'to', new_amount);
+      elsif existing.amount <> new_amount then
+        if new_amount < existing.amount_paid then
+          raise exception 'A share cannot be lowered below the % already paid towards it', existing.amount_paid;
+        end if;
+
+        update public.expense_shares set amount = new_amount where id = existing.id;
+        share_changes := share_changes || jsonb_build_object('user_id', existing.user_id, 'from', existing.amount, 'to', new_amount);
+      end if;
+    end loop;
+
+    for existing in
+      select es.* from public.expense_shares es
+      where es.expense_id = p_expense_id
+        and not exists (
+          select 1 from jsonb_array_elements(p_shares) s
+          where (s->>'user_id')::uuid = es.user_id
+        )
+      for update
+    loop
+      if existing.paid or existing.amount_paid > 0 then
+        raise exception 'Shares that have received payments cannot be removed';
+      end if;
+
+      delete from public.expense_shares where id = existing.id;
+      share_changes := share_changes || jsonb_build_object('user_id', existing.user_id, 'from', existing.amount, 'to', null);
+    end loop;
+  end if;
+
+  return jsonb_build_object('expense', to_jsonb(expense), 'share_changes', share_changes);
+end;
+$$;
@@ -0,0 +1,158 @@
+-- Expense history, soft delete and acknowledgement of money edits.
+-- version counts the edits of an expense; each edit first stores the state
+-- it replaces in expense_versions, whose unique (expense_id, version) lets
+-- only one of two edits made on the same version through.
+alter table public.expenses
+  add column if not exists version integer not null default 1,
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references public.profiles(id);
+
+create index if not exists expenses_group_deleted_idx
+  on public.expenses (group_id, deleted_at);
+
+create table if not exists public.expense_versions (
+  id uuid primary key default gen_random_uuid(),
+  expense_id uuid not null references public.expenses(id) on delete cascade,
+  version integer not null,
+  snapshot jsonb not null,
+  edited_by uuid,
+  created_at timestamptz not null default now(),
+  unique (expense_id, version),
+  constraint expense_versions_edited_by_fkey foreign key (edited_by) references public.profiles(id)
+);
+
+-- Edits to money fields of an expense members already paid towards wait
+-- here until every one of them has acknowledged
+create table if not exists public.expense_edit_requests (
+  id uuid primary key default gen_random_uuid(),
+  expense_id uuid not null references public.expenses(id) on delete cascade,
+  group_id uuid not null references public.groups(id) on delete cascade,
+  requested_by uuid not null references public.profiles(id),
+  updates jsonb not null,
+  shares jsonb,
+  base_version integer not null,
+  required_user_ids uuid[] not null,
+  acknowledged_user_ids uuid[] not null default '{}',
+  status text not null default 'pending'
+    check (status in ('pending', 'applying', 'applied', 'rejected', 'superseded')),
+  rejected_by uuid references public.profiles(id),
+  reject_reason text,
+  created_at timestamptz not null default now(),
+  resolved_at timestamptz
+);
+
+create index if not exists expense_edit_requests_pending_idx
+  on public.expense_edit_requests using gin (required_user_ids)
+  where status = 'pending';
+
+alter table public.expense_versions enable row level security;
+alter table public.expense_edit_requests enable row level security;
+
+create policy "Group members read and add versions"
+  on public.expense_versions for all
+  using (exists (
+    select 1
+    from public.expenses e
+    join public.group_members gm on gm.group_id = e.group_id
+    where e.id = expense_versions.expense_id and gm.user_id = auth.uid()
+  ));
+
+create policy "Group members manage edit requests"
+  on public.expense_edit_requests for all
+  using (exists (
+    select 1 from public.group_members gm
+    where gm.group_id = expense_edit_requests.group_id and gm.user_id = auth.uid()
+  ));
+
+-- Add one member's acknowledgement to a pending edit request in a single
+-- statement, so acknowledgements made at the same time are all kept
+create or replace function public.acknowledge_expense_edit(p_request_id uuid, p_user_id uuid)
+returns public.expense_edit_requests
+language plpgsql
+as $$
+declare
+  edit_request public.expense_edit_requests;
+begin
+  update public.expense_edit_requests
+  set acknowledged_user_ids = array_append(acknowledged_user_ids, p_user_id)
+  where id = p_request_id
+    and status = 'pending'
+    and p_user_id = any(required_user_ids)
+    and not (p_user_id = any(acknowledged_user_ids))
+  returning * into edit_request;
+
+  if found then
+    return edit_request;
+  end if;
+
+  select * into edit_request from public.expense_edit_requests where id = p_request_id;
+
+  if not found then
+    raise exception 'Edit request % not found', p_request_id;
+  elsif edit_request.status <> 'pending' then
+    raise exception 'This change is already %', edit_request.status;
+  elsif not (p_user_id = any(edit_request.required_user_ids)) then
+    raise exception 'Your acknowledgement is not needed for this change';
+  end if;
+
+  -- Acknowledged before
+  return edit_request;
+end;
+$$;
+
+-- Keep an expense's current state as a version, then apply the edit (see
+-- apply_expense_edit), all in one transaction. The edit only goes through
+-- on the version it was made on, so of two edits made on the same version
+-- the second is turned away instead of overwriting the first.
+create or replace function public.record_expense_edit(
+  p_expense_id uuid,
+  p_base_version integer,
+  p_edited_by uuid,
+  p_updates jsonb,
+  p_shares jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  expense public.expenses;
+begin
+  select * into expense
+  from public.expenses
+  where id = p_expense_id
+  for update;
+
+  if not found then
+    raise exception 'Expense % not found', p_expense_id;
+  elsif expense.deleted_at is not null then
+    raise exception 'Deleted expenses cannot be edited';
+  elsif expense.version <> p_base_version then
+    raise exception 'The expense changed while you were editing it';
+  end if;
+
+  if coalesce(p_updates, '{}'::jsonb) ?| array['version', 'deleted_at', 'deleted_by'] then
+    raise exception 'These expense fields cannot be edited';
+  end if;
+
+  insert into public.expense_versions (expense_id, version, snapshot, edited_by)
+  values (
+    p_expense_id,
+    expense.version,
+    jsonb_build_object(
+      'expense', to_jsonb(expense),
+      'shares', (
+        select coalesce(jsonb_agg(to_jsonb(es)), '[]'::jsonb)
+        from public.expense_shares es
+        where es.expense_id = p_expense_id
+      )
+    ),
+    p_edited_by
+  );
+
+  return public.apply_expense_edit(
+    p_expense_id,
+    coalesce(p_updates, '{}'::jsonb) || jsonb_build_object('version', expense.version + 1),
+    p_shares
+  );
+end;
+$$;
@@ -0,0 +1,134 @@
+-- One-on-one friend expenses and cross-group settle-up. Friend expenses have
+-- no group and record who paid separately from who entered them; balances
+-- and settlements owe a share to paid_by, falling back to created_by.
+alter table public.expenses
+  add column if not exists paid_by uuid references public.profiles(id);
+
+alter table public.expenses
+  alter column group_id drop not null;
+
+alter table public.expense_settlements
+  alter column group_id drop not null;
+
+alter table public.expense_settlements
+  add column if not exists currency text check (currency ~ '^[A-Z]{3}$');
+
+create policy "Participants manage friend expenses"
+  on public.expenses for all
+  using (
+    group_id is null
+    and (
+      auth.uid() in (created_by, paid_by)
+      or exists (
+        select 1 from public.expense_shares es
+        where es.expense_id = expenses.id and es.user_id = auth.uid()
+      )
+    )
+  );
+
+-- Shares are owed to whoever paid, and friend settlements (no group) can
+-- only pay off friend expenses
+create or replace function public.record_settlement(settlement_data jsonb, allocations jsonb)
+returns public.expense_settlements
+language plpgsql
+as $$
+declare
+  settlement public.expense_settlements;
+  allocation jsonb;
+  target_share public.expense_shares;
+  paid_after numeric(12, 2);
+begin
+  settlement := jsonb_populate_record(null::public.expense_settlements, settlement_data);
+  settlement.id := coalesce(settlement.id, gen_random_uuid());
+  settlement.created_at := coalesce(settlement.created_at, now());
+
+  insert into public.expense_settlements select settlement.*;
+
+  for allocation in select * from jsonb_array_elements(coalesce(allocations, '[]'::jsonb)) loop
+    select es.* into target_share
+    from public.expense_shares es
+    where es.id = (allocation->>'share_id')::uuid
+      and es.user_id = settlement.from_user_id
+    for update;
+
+    if not found then
+      raise exception 'Share % is not owed by the payer', allocation->>'share_id';
+    end if;
+
+    if not exists (
+      select 1 from public.expenses e
+      where e.id = target_share.expense_id
+        and e.group_id is not distinct from settlement.group_id
+        and coalesce(e.paid_by, e.created_by) = settlement.to_user_id
+    ) then
+      raise exception 'Share % is not owed to the recipient in this group', target_share.id;
+    end if;
+
+    paid_after := target_share.amount_paid + (allocation->>'amount')::numeric;
+    if paid_after > target_share.amount then
+      raise exception 'Share % was paid in the meantime', target_share.id;
+    end if;
+
+    insert into public.expense_share_payments
+      (settlement_id, share_id, amount, previous_payment_method, previous_settlement_note)
+    values
+      (settlement.id, target_share.id, (allocation->>'amount')::numeric, target_share.payment_method, target_share.settlement_note);
+
+    update public.expense_shares
+    set amount_paid = paid_after,
+        paid = paid_after >= target_share.amount,
+        paid_at = case when paid_after >= target_share.amount then now() else null end,
+        payment_method = settlement.payment_method,
+        settlement_note = settlement.note
+    where id = target_share.id;
+  end loop;
+
+  return settlement;
+end;
+$$;
+
+-- Record several settlements and their share payments in one transaction,
+-- e.g. the offsets and payments of a friend settle-up. settlements is a list
+-- of { settlement_data, allocations } as record_settlement takes them.
+create or replace function public.record_settlements(settlements jsonb)
+returns setof public.expense_settlements
+language plpgsql
+as $$
+declare
+  item jsonb;
+begin
+  for item in select * from jsonb_array_elements(coalesce(settlements, '[]'::jsonb)) loop
+    return next public.record_settlement(item->'settlement_data', item->'allocations');
+  end loop;
+end;
+$$;
+
+-- The payer of a friend expense can see its receipts too
+create or replace function public.can_access_expense(p_expense_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.expenses e
+    where e.id = p_expense_id
+      and (
+        exists (
+          select 1 from public.group_members gm
+          where gm.group_id = e.group_id and gm.user_id = auth.uid()
+        )
+        or (
+          e.group_id is null
+          and (
+            auth.uid() in (e.created_by, e.paid_by)
+            or exists (
+              select 1 from public.expense_shares es
+              where es.expense_id = e.id and es.user_id = auth.uid()
+            )
+          )
+        )
+      )
+  );
+$$;
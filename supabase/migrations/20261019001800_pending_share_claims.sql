@@ -0,0 +1,159 @@
+-- Pending shares are claimed by the user who signs up with their email.
+-- Claims lock the rows they take and skip rows locked by another claim, so
+-- two devices signing in at once cannot both turn a row into a share.
+alter table public.pending_expense_shares
+  add column if not exists claimed_by uuid references public.profiles(id),
+  add column if not exists claimed_at timestamptz;
+
+create index if not exists pending_expense_shares_email_status_idx
+  on public.pending_expense_shares (email, status);
+
+create index if not exists group_invitations_email_status_idx
+  on public.group_invitations (email, status);
+
+-- Both claims run with the owner's rights, since the rows were written by
+-- other people, but only ever for the signed-in user's own email address
+-- (auth.email(), never one the client passes in) and only once it is
+-- confirmed. skip locked leaves rows another sign-in is claiming to it.
+
+-- Turn the pending shares waiting for the user's email into real shares.
+-- A group expense's share waits until the user belongs to its group, so
+-- nobody is given a share of a group they cannot see; expenses that no
+-- longer exist cancel the row.
+create or replace function public.claim_pending_shares()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  claimant uuid := auth.uid();
+  claimant_email text := lower(trim(auth.email()));
+  pending record;
+  claimed jsonb := '[]'::jsonb;
+  failed jsonb := '[]'::jsonb;
+  waiting integer := 0;
+begin
+  if claimant is null or claimant_email is null then
+    raise exception 'Sign in to claim pending shares';
+  end if;
+
+  if not exists (select 1 from auth.users u where u.id = claimant and u.email_confirmed_at is not null) then
+    raise exception 'Confirm your email address to claim pending shares';
+  end if;
+
+  for pending in
+    select ps.id, ps.expense_id, ps.amount,
+      e.id as found_expense_id, e.description, e.date, e.group_id, e.created_by,
+      g.payment_term_days
+    from public.pending_expense_shares ps
+    left join public.expenses e on e.id = ps.expense_id
+    left join public.groups g on g.id = e.group_id
+    where lower(trim(ps.email)) = claimant_email
+      and ps.status = 'pending'
+    for update of ps skip locked
+  loop
+    if pending.found_expense_id is null then
+      update public.pending_expense_shares
+      set status = 'cancelled', claimed_by = claimant, claimed_at = now()
+      where id = pending.id;
+      continue;
+    end if;
+
+    if pending.group_id is not null and not exists (
+      select 1 from public.group_members gm
+      where gm.group_id = pending.group_id and gm.user_id = claimant
+    ) then
+      waiting := waiting + 1;
+      continue;
+    end if;
+
+    begin
+      insert into public.expense_shares (expense_id, user_id, amount, paid, due_date)
+      values (
+        pending.expense_id,
+        claimant,
+        pending.amount,
+        false,
+        pending.date + coalesce(pending.payment_term_days, 7)
+      );
+
+      update public.pending_expense_shares
+      set status = 'claimed', claimed_by = claimant, claimed_at = now()
+      where id = pending.id;
+
+      claimed := claimed || jsonb_build_object(
+        'id', pending.id,
+        'expense_id', pending.expense_id,
+        'description', pending.description,
+        'created_by', pending.created_by,
+        'amount', pending.amount
+      );
+    exception when others then
+      failed := failed || jsonb_build_object('id', pending.id, 'error', sqlerrm);
+    end;
+  end loop;
+
+  return jsonb_build_object(
+    'user_id', claimant,
+    'email', claimant_email,
+    'claimed', claimed,
+    'failed', failed,
+    'waiting', waiting
+  );
+end;
+$$;
+
+-- Accept every pending, unexpired invitation sent to the user's email
+create or replace function public.claim_pending_invitations()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  claimant uuid := auth.uid();
+  claimant_email text := lower(trim(auth.email()));
+  invitation record;
+  accepted jsonb := '[]'::jsonb;
+  failed jsonb := '[]'::jsonb;
+begin
+  if claimant is null or claimant_email is null then
+    raise exception 'Sign in to claim pending invitations';
+  end if;
+
+  if not exists (select 1 from auth.users u where u.id = claimant and u.email_confirmed_at is not null) then
+    raise exception 'Confirm your email address to claim pending invitations';
+  end if;
+
+  for invitation in
+    select gi.id, gi.token, gi.group_id, gi.invited_by, g.name as group_name
+    from public.group_invitations gi
+    left join public.groups g on g.id = gi.group_id
+    where lower(trim(gi.email)) = claimant_email
+      and gi.status = 'pending'
+      and (gi.expires_at is null or gi.expires_at > now())
+    for update of gi skip locked
+  loop
+    begin
+      perform public.accept_group_invitation(invitation.token, claimant);
+
+      accepted := accepted || jsonb_build_object(
+        'id', invitation.id,
+        'group_id', invitation.group_id,
+        'group_name', invitation.group_name,
+        'invited_by', invitation.invited_by
+      );
+    exception when others then
+      failed := failed || jsonb_build_object('id', invitation.id, 'error', sqlerrm);
+    end;
+  end loop;
+
+  return jsonb_build_object(
+    'user_id', claimant,
+    'email', claimant_email,
+    'accepted', accepted,
+    'failed', failed
+  );
+end;
+$$;
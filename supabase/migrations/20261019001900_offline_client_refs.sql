@@ -0,0 +1,16 @@
+-- Expenses and settlements created offline carry the ID the device gave
+-- them, so replaying the queue can tell whether one already reached the
+-- server even though the response was lost
+alter table public.expenses
+  add column if not exists client_ref text;
+
+alter table public.expense_settlements
+  add column if not exists client_ref text;
+
+create unique index if not exists expenses_client_ref_idx
+  on public.expenses (client_ref)
+  where client_ref is not null;
+
+create unique index if not exists expense_settlements_client_ref_idx
+  on public.expense_settlements (client_ref)
+  where client_ref is not null;
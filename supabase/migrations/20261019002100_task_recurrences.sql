@@ -0,0 +1,70 @@
+-- Recurring chores: one task_recurrences row per chore holds its schedule
+-- and the due date of its latest occurrence; every occurrence is a task
+-- linked to it. last_due_date doubles as the claim for creating the next
+-- occurrence, so completions and sweeps on several devices create it once.
+create table if not exists public.task_recurrences (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.groups(id) on delete cascade,
+  -- The first occurrence; its task_assignments hold the rotation, so it
+  -- cannot be deleted while the chore exists. no action rather than
+  -- restrict, so deleting the group can still remove both together.
+  task_id uuid not null references public.tasks(id) on delete no action,
+  frequency text not null check (frequency in ('daily', 'weekly', 'monthly')),
+  interval integer not null default 1 check (interval > 0),
+  -- 0 = Sunday; a daily rule with weekdays only falls on those days
+  weekdays integer[] not null default '{}',
+  day_of_month integer check (day_of_month between 1 and 31),
+  rule text,
+  start_date date not null,
+  end_date date,
+  max_occurrences integer check (max_occurrences > 0),
+  occurrence_count integer not null default 1,
+  last_due_date date not null,
+  status text not null default 'active' check (status in ('active', 'ended')),
+  created_by uuid references public.profiles(id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists task_recurrences_due_idx
+  on public.task_recurrences (group_id, status, last_due_date);
+
+alter table public.tasks
+  add column if not exists recurrence_id uuid references public.task_recurrences(id) on delete set null,
+  add column if not exists priority text;
+
+create index if not exists tasks_recurrence_idx
+  on public.tasks (recurrence_id, due_date);
+
+-- Members taking turns on a chore, in rotation order; is_current marks
+-- whose turn it is and is released with a conditional update
+create table if not exists public.task_assignments (
+  id uuid primary key default gen_random_uuid(),
+  task_id uuid not null references public.tasks(id) on delete cascade,
+  user_id uuid not null references public.profiles(id) on delete cascade,
+  rotation_order integer not null,
+  is_current boolean not null default false,
+  created_at timestamptz not null default now(),
+  unique (task_id, user_id)
+);
+
+create unique index if not exists task_assignments_current_idx
+  on public.task_assignments (task_id) where is_current;
+
+alter table public.task_recurrences enable row level security;
+alter table public.task_assignments enable row level security;
+
+create policy "Group members manage task recurrences"
+  on public.task_recurrences for all
+  using (exists (
+    select 1 from public.group_members gm
+    where gm.group_id = task_recurrences.group_id and gm.user_id = auth.uid()
+  ));
+
+create policy "Group members manage task rotations"
+  on public.task_assignments for all
+  using (exists (
+    select 1
+    from public.tasks t
+    join public.group_members gm on gm.group_id = t.group_id
+    where t.id = task_assignments.task_id and gm.user_id = auth.uid()
+  ));
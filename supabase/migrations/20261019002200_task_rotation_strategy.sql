@@ -0,0 +1,6 @@
+-- How a rotating chore picks the next assignee; null uses the app's default.
+-- Set on the task that owns the rotation (the first occurrence of a
+-- recurring chore).
+alter table public.tasks
+  add column if not exists rotation_strategy text
+    check (rotation_strategy in ('round_robin', 'skip_away', 'least_recently_done', 'load_balanced'));
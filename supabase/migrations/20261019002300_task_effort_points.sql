@@ -0,0 +1,8 @@
+-- How much work a chore is. Completions keep the points the chore was worth
+-- when it was done, so changing a chore later does not rewrite history.
+alter table public.tasks
+  add column if not exists effort_points numeric(6, 2) not null default 1 check (effort_points > 0);
+
+-- Missed chores are recorded with 0 points
+alter table public.task_completions
+  add column if not exists effort_points numeric(6, 2) check (effort_points >= 0);
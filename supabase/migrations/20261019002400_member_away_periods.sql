@@ -0,0 +1,36 @@
+-- Periods a member is away from the house (inclusive dates). Rotations pass
+-- over them, their due chores are reassigned and, if asked, they are left
+-- out of equal splits of recurring expenses meanwhile.
+create extension if not exists btree_gist;
+
+create table if not exists public.member_away_periods (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.groups(id) on delete cascade,
+  user_id uuid not null references public.profiles(id) on delete cascade,
+  start_date date not null,
+  end_date date not null,
+  exclude_from_splits boolean not null default false,
+  note text,
+  created_by uuid references public.profiles(id),
+  created_at timestamptz not null default now(),
+  check (start_date <= end_date),
+  -- A member's periods never overlap, even when two are added at once
+  -- (createAwayPeriod turns the 23P01 violation into a friendly error)
+  constraint member_away_periods_no_overlap exclude using gist (
+    group_id with =,
+    user_id with =,
+    daterange(start_date, end_date, '[]') with &&
+  )
+);
+
+create index if not exists member_away_periods_group_dates_idx
+  on public.member_away_periods (group_id, start_date, end_date);
+
+alter table public.member_away_periods enable row level security;
+
+create policy "Group members manage away periods"
+  on public.member_away_periods for all
+  using (exists (
+    select 1 from public.group_members gm
+    where gm.group_id = member_away_periods.group_id and gm.user_id = auth.uid()
+  ));
@@ -0,0 +1,58 @@
+-- What happens to chores nobody did in time, per group. Groups without a
+-- row use the app's defaults (see DEFAULT_MISSED_TASK_POLICY).
+create table if not exists public.group_task_policies (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null unique references public.groups(id) on delete cascade,
+  grace_days integer not null default 1 check (grace_days >= 0),
+  action text not null default 'rotate' check (action in ('rotate', 'reassign')),
+  penalty_enabled boolean not null default false,
+  penalty_amount numeric(12, 2) not null default 0 check (penalty_amount >= 0),
+  penalty_currency text not null default 'USD',
+  -- Null charges the penalty to whoever assigned the chore
+  penalty_recipient_id uuid references public.profiles(id) on delete set null,
+  created_at timestamptz not null default now(),
+  check (not penalty_enabled or penalty_amount > 0)
+);
+
+alter table public.group_task_policies enable row level security;
+
+create policy "Group members manage task policies"
+  on public.group_task_policies for all
+  using (exists (
+    select 1 from public.group_members gm
+    where gm.group_id = group_task_policies.group_id and gm.user_id = auth.uid()
+  ));
+
+-- missed_at is set when a sweep claims the task; missed_handled_at once the
+-- completion record, make-up task and penalty are all done, so a sweep that
+-- failed part-way is picked up again
+alter table public.tasks
+  add column if not exists missed_at timestamptz,
+  add column if not exists missed_handled_at timestamptz,
+  add column if not exists makeup_for uuid references public.tasks(id) on delete set null;
+
+-- Tasks marked missed before the sweep existed have nothing left to do
+update public.tasks
+set missed_handled_at = coalesce(missed_at, now())
+where status = 'missed' and missed_handled_at is null;
+
+create index if not exists tasks_missed_sweep_idx
+  on public.tasks (group_id, status, due_date) where missed_handled_at is null;
+create unique index if not exists tasks_makeup_for_idx
+  on public.tasks (makeup_for) where makeup_for is not null;
+
+-- A missed chore is recorded as a completion that never happened
+alter table public.task_completions
+  add column if not exists missed boolean not null default false;
+alter table public.task_completions
+  alter column completed_at drop not null;
+
+create unique index if not exists task_completions_missed_idx
+  on public.task_completions (task_id) where missed;
+
+-- Penalty expenses point back at the chore, so each is charged once
+alter table public.expenses
+  add column if not exists missed_task_id uuid references public.tasks(id) on delete set null;
+
+create unique index if not exists expenses_missed_task_idx
+  on public.expenses (missed_task_id) where missed_task_id is not null;